@@ -24,6 +24,18 @@
         structNameInput: document.getElementById('structNameInput'),
         packageNameInput: document.getElementById('packageNameInput'),
         generateTableName: document.getElementById('generateTableName'),
+        generateAssociations: document.getElementById('generateAssociations'),
+        nullableStrategy: document.getElementById('nullableStrategy'),
+        repositoryStyle: document.getElementById('repositoryStyle'),
+        typeOverridesInput: document.getElementById('typeOverridesInput'),
+        customInitialismsInput: document.getElementById('customInitialismsInput'),
+        tagPresetSelect: document.getElementById('tagPresetSelect'),
+        deleteTagPreset: document.getElementById('deleteTagPreset'),
+        tagOptionsList: document.getElementById('tagOptionsList'),
+        tagOmitEmpty: document.getElementById('tagOmitEmpty'),
+        tagJSONString: document.getElementById('tagJSONString'),
+        tagPresetName: document.getElementById('tagPresetName'),
+        saveTagPreset: document.getElementById('saveTagPreset'),
         inlineNestedStructs: document.getElementById('inlineNestedStructs'),
         converterOptions: document.getElementById('converterOptions'),
 
@@ -33,10 +45,21 @@
         outputFormatJSON: document.getElementById('outputFormatJSON'),
         outputFormatYAML: document.getElementById('outputFormatYAML'),
         outputFormatTOML: document.getElementById('outputFormatTOML'),
+        outputFormatJSONSchema: document.getElementById('outputFormatJSONSchema'),
         outputTitle: document.getElementById('outputTitle'),
         protoNestedMode: document.getElementById('protoNestedMode'),
         goStructOptions: document.getElementById('goStructOptions'),
+        ddlDialect: document.getElementById('ddlDialect'),
         configFormatLabels: document.querySelectorAll('.config-format'),
+        modelFormatInputs: document.querySelectorAll('.model-format input'),
+        modelVariant: document.getElementById('modelVariant'),
+        renameTypesBtn: document.getElementById('renameTypesBtn'),
+        exportSqlcBtn: document.getElementById('exportSqlcBtn'),
+        renameTypesModal: document.getElementById('renameTypesModal'),
+        renameTypesList: document.getElementById('renameTypesList'),
+        closeRenameTypes: document.getElementById('closeRenameTypes'),
+        resetRenameTypes: document.getElementById('resetRenameTypes'),
+        applyRenameTypes: document.getElementById('applyRenameTypes'),
 
         // Diff Elements
         diffTargetInput: document.getElementById('diffTargetInput'),
@@ -44,6 +67,14 @@
         diffOutputArea: document.getElementById('diffOutputArea'),
         copyDiffBtn: document.getElementById('copyDiffBtn'),
         clearDiffBtn: document.getElementById('clearDiffBtn'),
+        diffDetectReorder: document.getElementById('diffDetectReorder'),
+        diffSafeMode: document.getElementById('diffSafeMode'),
+        diffOutputMode: document.getElementById('diffOutputMode'),
+        diffViewToggle: document.getElementById('diffViewToggle'),
+        diffVisualView: document.getElementById('diffVisualView'),
+        diffRiskBadges: document.getElementById('diffRiskBadges'),
+        exportDiffDropdown: document.getElementById('exportDiffDropdown'),
+        exportDiffBtn: document.getElementById('exportDiffBtn'),
 
         // Mode Switcher
         modeConverter: document.getElementById('modeConverter'),
@@ -85,6 +116,9 @@
     let currentSettings = null;
     let lastParsedData = null;
     let lastGeneratedCode = '';
+    let lastOutputIsDDL = false;  // Go struct input produces CREATE TABLE DDL instead of Go code
+    let generatedTypeNames = [];  // Nested struct / enum names of the last JSON-like input, before renaming
+    let typeNameOverrides = {};   // Generated type name -> name chosen in the rename panel
     let currentMode = 'converter'; // 'converter', 'diff', 'markdown', or 'toolbox'
     let lastRenderedHtml = '';
     let currentTool = 'timestamp';
@@ -93,6 +127,7 @@
     async function init() {
         // Load settings
         currentSettings = await Settings.load();
+        renderTagOptions();
         updateSettingsUI();
 
         // Initialize Editors
@@ -197,6 +232,9 @@
         elements.settingsBtn.addEventListener('click', () => showModal(true));
         elements.closeModal.addEventListener('click', () => showModal(false));
         elements.saveSettings.addEventListener('click', handleSaveSettings);
+        elements.tagPresetSelect.addEventListener('change', handleTagPresetChange);
+        elements.saveTagPreset.addEventListener('click', handleSaveTagPreset);
+        elements.deleteTagPreset.addEventListener('click', handleDeleteTagPreset);
         // elements.inputArea.addEventListener('input', handleInputChange); // Removed, using editor event
         elements.dbType.addEventListener('change', handleDbTypeChange);
         elements.inlineNestedStructs.addEventListener('change', handleInlineNestedChange);
@@ -207,7 +245,16 @@
         if (elements.outputFormatJSON) elements.outputFormatJSON.addEventListener('change', handleOutputFormatChange);
         if (elements.outputFormatYAML) elements.outputFormatYAML.addEventListener('change', handleOutputFormatChange);
         if (elements.outputFormatTOML) elements.outputFormatTOML.addEventListener('change', handleOutputFormatChange);
+        if (elements.outputFormatJSONSchema) elements.outputFormatJSONSchema.addEventListener('change', handleOutputFormatChange);
         elements.protoNestedMode.addEventListener('change', handleProtoNestedModeChange);
+        elements.modelFormatInputs.forEach(input => input.addEventListener('change', handleOutputFormatChange));
+        elements.modelVariant.addEventListener('change', handleModelVariantChange);
+        elements.ddlDialect.addEventListener('change', handleDDLDialectChange);
+        elements.renameTypesBtn.addEventListener('click', () => showRenameTypesModal(true));
+        elements.exportSqlcBtn.addEventListener('click', handleExportSqlc);
+        elements.closeRenameTypes.addEventListener('click', () => showRenameTypesModal(false));
+        elements.resetRenameTypes.addEventListener('click', handleResetRenameTypes);
+        elements.applyRenameTypes.addEventListener('click', handleApplyRenameTypes);
 
         // Attach event listeners - Diff
         elements.modeConverter.addEventListener('click', () => switchMode('converter'));
@@ -216,6 +263,12 @@
         // elements.diffSourceInput.addEventListener('input', handleDiffChange); // Removed
         elements.copyDiffBtn.addEventListener('click', handleCopyDiff);
         elements.clearDiffBtn.addEventListener('click', handleClearDiff);
+        elements.diffDetectReorder.addEventListener('change', handleDetectReorderChange);
+        elements.diffSafeMode.addEventListener('change', handleSafeModeChange);
+        elements.diffOutputMode.addEventListener('change', handleDiffOutputModeChange);
+        elements.diffViewToggle.addEventListener('click', handleDiffViewToggle);
+        elements.exportDiffBtn.addEventListener('click', toggleDiffExportDropdown);
+        elements.exportDiffDropdown.addEventListener('click', handleDiffExport);
 
         // Attach event listeners - Markdown
         elements.modeMarkdown.addEventListener('click', () => switchMode('markdown'));
@@ -259,6 +312,10 @@
         document.addEventListener('keydown', handleKeyboard);
 
         setStatus('就绪', 'ready');
+
+        // Applied last so that an invalid saved value stays in the status bar
+        applyTypeOverrides(currentSettings.typeOverrides);
+        applyCustomInitialisms(currentSettings.customInitialisms);
     }
 
     // Debounce function
@@ -324,6 +381,8 @@
 
         if (!targetDDL.trim() && !sourceDDL.trim()) {
             editorManager.setValue('diffOutputArea', '-- 在左侧分别输入新旧 DDL\n-- 将自动生成 ALTER 语句');
+            renderRiskBadges([]);
+            renderDiffVisual('', '');
             return;
         }
 
@@ -335,11 +394,20 @@
                 throw new Error('Diff Engine 未加载');
             }
 
-            const statements = diffEngine.generateDiff(targetDDL, sourceDDL);
+            const statements = diffEngine.generateDiff(targetDDL, sourceDDL, {
+                detectReorder: elements.diffDetectReorder.checked,
+                safeMode: elements.diffSafeMode.checked,
+                outputMode: elements.diffOutputMode.value
+            });
             editorManager.setValue('diffOutputArea', statements.join('\n'));
-            setStatus('Diff 生成成功', 'success');
+            renderRiskBadges(diffEngine.risks);
+            renderDiffVisual(targetDDL, sourceDDL);
+
+            const dialectNames = { mysql: 'MySQL', postgresql: 'PostgreSQL', sqlite: 'SQLite' };
+            setStatus(`Diff 生成成功（${dialectNames[diffEngine.dialect]}）`, 'success');
         } catch (e) {
             editorManager.setValue('diffOutputArea', `-- 错误: ${e.message}`);
+            renderRiskBadges([]);
             setStatus('Diff 生成失败', 'error');
         }
     }
@@ -348,6 +416,88 @@
         debouncedDiff();
     }
 
+    // Risk counts per level next to the output title; hover lists the reasons
+    function renderRiskBadges(risks) {
+        elements.diffRiskBadges.innerHTML = '';
+
+        for (const level of Object.keys(RISK_LEVELS)) {
+            const matching = risks.filter(risk => risk.level === level);
+            if (matching.length === 0) continue;
+
+            const badge = document.createElement('span');
+            badge.className = `badge risk-${level}`;
+            badge.textContent = `${RISK_LEVELS[level]} ${matching.length}`;
+            badge.title = matching.map(risk => risk.reason).join('\n');
+            elements.diffRiskBadges.appendChild(badge);
+        }
+    }
+
+    function handleSafeModeChange() {
+        currentSettings.diffSafeMode = elements.diffSafeMode.checked;
+        Settings.save(currentSettings);
+        handleDiff();
+    }
+
+    // Side-by-side column comparison; only rendered while the visual view is open
+    function renderDiffVisual(targetDDL, sourceDDL) {
+        if (!currentSettings.diffVisualView) return;
+
+        try {
+            const tables = targetDDL.trim() || sourceDDL.trim()
+                ? diffEngine.compareSchemas(targetDDL, sourceDDL, { dialect: diffEngine.dialect })
+                : [];
+            DiffVisualizer.render(elements.diffVisualView, tables, { onSelect: handleDiffVisualSelect });
+        } catch (e) {
+            elements.diffVisualView.textContent = e.message;
+        }
+    }
+
+    // Jump from a clicked table / column row to its statement in the output editor
+    function handleDiffVisualSelect(table, column) {
+        const tableNames = [table.name, table.targetName].filter(Boolean);
+        const markers = tableNames.flatMap(name => [
+            diffEngine.quote(name),
+            `--table=${diffEngine.shellQuote(name)}`,  // gh-ost
+            `t=${name}"`                                 // pt-online-schema-change DSN
+        ]);
+        const text = editorManager.getValue('diffOutputArea');
+        const line = DiffVisualizer.findOutputLine(text, markers, column ? diffEngine.quote(column.name) : null);
+
+        if (line === -1) {
+            setStatus(`${column ? column.name : table.name} 没有对应的变更语句`, 'ready');
+            return;
+        }
+        editorManager.revealLine('diffOutputArea', line);
+    }
+
+    function handleDiffViewToggle() {
+        currentSettings.diffVisualView = !currentSettings.diffVisualView;
+        Settings.save(currentSettings);
+        updateDiffViewToggle();
+        handleDiff();
+    }
+
+    function updateDiffViewToggle() {
+        const visual = !!currentSettings.diffVisualView;
+        elements.diffVisualView.classList.toggle('hidden', !visual);
+        elements.diffViewToggle.textContent = visual ? '仅 SQL' : '可视化';
+        const editor = editorManager.get('diffOutputArea');
+        if (editor) editor.refresh();
+    }
+
+    function handleDiffOutputModeChange() {
+        currentSettings.diffOutputMode = elements.diffOutputMode.value;
+        Settings.save(currentSettings);
+        handleDiff();
+    }
+
+    // Handle column reorder toggle in the diff header
+    function handleDetectReorderChange() {
+        currentSettings.diffDetectReorder = elements.diffDetectReorder.checked;
+        Settings.save(currentSettings);
+        handleDiff();
+    }
+
     function handleCopyDiff() {
         const text = editorManager.getValue('diffOutputArea');
         if (!text || text.startsWith('--')) {
@@ -361,10 +511,38 @@
         });
     }
 
+    function toggleDiffExportDropdown(event) {
+        event.stopPropagation();
+        elements.exportDiffDropdown.classList.toggle('open');
+    }
+
+    // Export the diff as up/down migration files; the down script is the reverse diff
+    function handleDiffExport(event) {
+        const item = event.target.closest('.dropdown-item');
+        if (!item) return;
+
+        const format = item.dataset.format;
+        elements.exportDiffDropdown.classList.remove('open');
+
+        try {
+            const files = generateMigrationFiles(
+                editorManager.getValue('diffTargetInput'),
+                editorManager.getValue('diffSourceInput'),
+                { format, detectReorder: elements.diffDetectReorder.checked, safeMode: elements.diffSafeMode.checked }
+            );
+            Exporter.exportFiles(files);
+            setStatus(`已导出 ${MIGRATION_FORMATS[format]} 迁移: ${files.map(file => file.filename).join(', ')}`, 'success');
+        } catch (e) {
+            setStatus(`导出失败: ${e.message}`, 'error');
+        }
+    }
+
     function handleClearDiff() {
         editorManager.setValue('diffTargetInput', '');
         editorManager.setValue('diffSourceInput', '');
         editorManager.setValue('diffOutputArea', '-- 在左侧分别输入新旧 DDL\n-- 将自动生成 ALTER 语句');
+        renderRiskBadges([]);
+        renderDiffVisual('', '');
         // historyManager.save('diffTargetInput', ''); // DISABLED
         // historyManager.save('diffSourceInput', ''); // DISABLED
         setStatus('Diff 已清空', 'ready');
@@ -457,6 +635,9 @@
         if (!elements.exportMarkdownDropdown.contains(event.target)) {
             elements.exportMarkdownDropdown.classList.remove('open');
         }
+        if (!elements.exportDiffDropdown.contains(event.target)) {
+            elements.exportDiffDropdown.classList.remove('open');
+        }
     }
 
     // Handle markdown export (PNG/JPG/SVG)
@@ -573,6 +754,9 @@
 
             // Show/hide config format options based on input type
             updateConfigFormatVisibility(detectedType);
+            updateDDLDialectVisibility(detectedType);
+        } else {
+            updateDDLDialectVisibility(elements.dbType.value);
         }
 
         // Trigger auto-conversion
@@ -581,7 +765,7 @@
 
     // Show/hide config format output options based on input type
     function updateConfigFormatVisibility(inputType) {
-        const isConfigFormat = ['json', 'yaml', 'toml', 'xml'].includes(inputType);
+        const isConfigFormat = ['json', 'yaml', 'toml', 'xml', 'jsonschema'].includes(inputType);
 
         elements.configFormatLabels.forEach(label => {
             if (isConfigFormat) {
@@ -592,6 +776,11 @@
         });
     }
 
+    // The DDL dialect select only applies to Go struct input
+    function updateDDLDialectVisibility(inputType) {
+        elements.ddlDialect.classList.toggle('hidden', inputType !== 'go');
+    }
+
     // Auto-format input content
     let isFormatting = false; // Flag to prevent infinite loop
 
@@ -609,13 +798,13 @@
         }
 
         // Only format JSON and SQL types
-        if (!['json', 'mysql', 'postgresql', 'sqlite'].includes(inputType)) {
+        if (!['json', 'jsonschema', 'mysql', 'postgresql', 'sqlite'].includes(inputType)) {
             return;
         }
 
         try {
             const indent = currentSettings.formatIndent === 'tab' ? 'tab' : (currentSettings.formatIndent || 4);
-            const formatted = AutoFormatter.format(input, inputType, {
+            const formatted = AutoFormatter.format(input, inputType === 'jsonschema' ? 'json' : inputType, {
                 indent: indent === 'tab' ? 1 : indent,
                 useTabs: indent === 'tab'
             });
@@ -671,20 +860,32 @@
         }
     }
 
+    // Selected TypeScript / Java / Rust / Python / Kotlin target, or null
+    function getModelTarget() {
+        const checked = Array.from(elements.modelFormatInputs).find(input => input.checked);
+        return checked ? checked.value : null;
+    }
+
     // Handle output format change
     function handleOutputFormatChange() {
         const isProtoFormat = elements.outputFormatProto.checked;
+        const modelTarget = getModelTarget();
 
         // Toggle visibility of format-specific options
         if (isProtoFormat) {
             elements.goStructOptions.classList.add('hidden');
             elements.protoNestedMode.classList.remove('hidden');
             editorManager.setMode('outputArea', 'proto');
+        } else if (modelTarget) {
+            elements.goStructOptions.classList.add('hidden');
+            elements.protoNestedMode.classList.add('hidden');
+            editorManager.setMode('outputArea', ModelGenerator.getTarget(modelTarget).editorMode);
         } else {
             elements.goStructOptions.classList.remove('hidden');
             elements.protoNestedMode.classList.add('hidden');
             editorManager.setMode('outputArea', 'go');
         }
+        updateModelVariantOptions(modelTarget);
 
         // Re-convert if data exists
         if (lastParsedData) {
@@ -692,6 +893,47 @@
         }
     }
 
+    // Fill the style select with the variants of the selected model target
+    function updateModelVariantOptions(modelTarget) {
+        const variants = modelTarget ? ModelGenerator.getTarget(modelTarget).variants : null;
+        elements.modelVariant.innerHTML = '';
+
+        if (!variants) {
+            elements.modelVariant.classList.add('hidden');
+            return;
+        }
+
+        Object.entries(variants).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            elements.modelVariant.appendChild(option);
+        });
+        elements.modelVariant.value = ModelGenerator.resolveVariant(modelTarget, (currentSettings.modelVariants || {})[modelTarget]);
+        elements.modelVariant.classList.remove('hidden');
+    }
+
+    // Handle model style change (e.g. TypeScript interface / zod)
+    function handleModelVariantChange() {
+        const modelTarget = getModelTarget();
+        if (!modelTarget) return;
+
+        currentSettings.modelVariants = { ...currentSettings.modelVariants, [modelTarget]: elements.modelVariant.value };
+        Settings.save(currentSettings);
+        if (lastParsedData) {
+            handleConvert();
+        }
+    }
+
+    // Options shared by preview and export of model targets
+    function getModelOptions() {
+        return {
+            variant: elements.modelVariant.value,
+            structName: currentSettings.structName || undefined,
+            packageName: currentSettings.packageName || 'model'
+        };
+    }
+
     // Handle Protocol Buffer nested mode change
     function handleProtoNestedModeChange() {
         if (lastParsedData) {
@@ -699,6 +941,15 @@
         }
     }
 
+    // Handle DDL dialect change (Go struct input)
+    function handleDDLDialectChange() {
+        currentSettings.goDDLDialect = elements.ddlDialect.value;
+        Settings.save(currentSettings);
+        if (lastOutputIsDDL) {
+            handleConvert();
+        }
+    }
+
     // Update input type badge
     function updateInputTypeBadge(type) {
         const typeLabels = {
@@ -709,6 +960,8 @@
             'yaml': 'YAML',
             'toml': 'TOML',
             'xml': 'XML',
+            'go': 'Go Struct',
+            'jsonschema': 'JSON Schema',
             'unknown': '未知'
         };
 
@@ -728,7 +981,9 @@
             'json': 'json',
             'yaml': 'yaml',
             'toml': 'toml',
-            'xml': 'xml'
+            'xml': 'xml',
+            'go': 'go',
+            'jsonschema': 'json'
         };
 
         const mode = modeMap[type] || 'sql';
@@ -753,28 +1008,50 @@
                 inputType = detectInputType(input);
             }
 
+            // Go struct input goes the other way: structs -> CREATE TABLE DDL
+            if (inputType === 'go') {
+                const goResult = parseGoStructs(input);
+                if (goResult.error) throw new Error(goResult.error);
+
+                const ddl = generateDDLFromGoStructs(goResult, { dialect: elements.ddlDialect.value });
+                lastParsedData = null;
+                updateGeneratedTypeNames(null);
+                elements.exportSqlcBtn.classList.add('hidden');
+                lastGeneratedCode = ddl;
+                lastOutputIsDDL = true;
+                editorManager.setMode('outputArea', 'sql');
+                editorManager.setValue('outputArea', ddl);
+
+                const tableCount = goResult.structs.filter(struct => !struct.embeddedOnly).length;
+                setStatus(tableCount > 1 ? `DDL 生成成功！共 ${tableCount} 张表` : 'DDL 生成成功！', 'success');
+                return;
+            }
+
             // Parse based on type
             let parsedData;
             let configData = null; // For config format conversions
 
             switch (inputType) {
                 case 'mysql':
-                    parsedData = parseMySQLDDL(input);
-                    break;
                 case 'postgresql':
-                    parsedData = parsePostgreSQLDDL(input);
-                    break;
                 case 'sqlite':
-                    parsedData = parseSQLiteDDL(input);
+                    // A DDL script may hold any number of CREATE TABLE statements
+                    parsedData = parseDDLSchema(input, inputType);
                     break;
                 case 'json':
                     const structName = currentSettings.structName || 'Response';
                     parsedData = parseJSON(input, structName);
-                    // Also store raw data for config conversions
+                    // Also store raw data for config conversions ("---" separated samples become a list)
                     try {
-                        configData = JSON.parse(input);
+                        const samples = splitJSONSamples(input).map(text => JSON.parse(text));
+                        configData = samples.length === 1 ? samples[0] : samples;
                     } catch (e) { }
                     break;
+                case 'jsonschema':
+                    // Struct name from settings wins over the schema title
+                    parsedData = parseJSONSchema(input, currentSettings.structName);
+                    configData = JSON.parse(input);
+                    break;
                 case 'yaml':
                     if (typeof parseYAML !== 'undefined') {
                         const yamlResult = parseYAML(input);
@@ -815,8 +1092,16 @@
                 throw new Error(parsedData.error);
             }
 
+            // Nested types of JSON-like input can be renamed before output
+            updateGeneratedTypeNames(parsedData);
+            if (parsedData.nestedStructs) {
+                parsedData = renameNestedStructs(parsedData, typeNameOverrides);
+            }
+
             // Store parsed data
             lastParsedData = parsedData;
+            elements.exportSqlcBtn.classList.toggle('hidden', !parsedData.tables);
+            const tableCount = parsedData.tables ? parsedData.tables.length : 0;
 
             // Determine output format
             let outputFormat = 'go';
@@ -824,21 +1109,20 @@
             else if (elements.outputFormatJSON && elements.outputFormatJSON.checked) outputFormat = 'json';
             else if (elements.outputFormatYAML && elements.outputFormatYAML.checked) outputFormat = 'yaml';
             else if (elements.outputFormatTOML && elements.outputFormatTOML.checked) outputFormat = 'toml';
+            else if (elements.outputFormatJSONSchema && elements.outputFormatJSONSchema.checked) outputFormat = 'jsonschema';
+            else if (getModelTarget()) outputFormat = getModelTarget();
 
             let generatedCode;
             const indent = currentSettings.formatIndent === 'tab' ? 2 : (currentSettings.formatIndent || 4);
 
             if (outputFormat === 'proto') {
                 // Generate Protocol Buffer message
-                if (!['json', 'yaml', 'toml', 'xml'].includes(inputType)) {
-                    throw new Error('Protocol Buffer 仅支持 JSON/YAML/TOML/XML 输入');
+                if (!['mysql', 'postgresql', 'sqlite', 'json', 'yaml', 'toml', 'xml', 'jsonschema'].includes(inputType)) {
+                    throw new Error('Protocol Buffer 仅支持 DDL/JSON/YAML/TOML/XML/JSON Schema 输入');
                 }
 
-                const dataForProto = configData || (parsedData ? parsedData.data : null);
-                if (!dataForProto) throw new Error('无法解析输入数据');
-
                 const protoOptions = {
-                    messageName: currentSettings.structName || 'Message',
+                    messageName: currentSettings.structName || (inputType === 'jsonschema' ? parsedData.structName : 'Message'),
                     nestedMode: elements.protoNestedMode.value,
                     packageName: currentSettings.packageName || 'model',
                     syntax: 'proto3',
@@ -846,13 +1130,18 @@
                     numericFloatType: 'float'
                 };
 
-                // Parse JSON for Protocol Buffer (adds field numbers)
-                const protoParsedData = parseJSONForProtobuf(JSON.stringify(dataForProto), protoOptions.messageName);
-                if (protoParsedData.error) {
-                    throw new Error(protoParsedData.error);
-                }
+                if (parsedData.tables) {
+                    // One message per table, ENUM / SET columns as enums; messages are named after their tables
+                    generatedCode = generateProtoSchema(parsedData, { ...protoOptions, messageName: currentSettings.structName });
+                } else {
+                    if (!parsedData.fields) throw new Error('无法解析输入数据');
 
-                generatedCode = generateProtoMessage(protoParsedData, protoOptions);
+                    // Reuse the parsed fields (merged samples, schema optionality and enums, renamed types)
+                    // and add field numbers
+                    const protoParsedData = prepareProtobufData({ ...parsedData, structName: protoOptions.messageName });
+
+                    generatedCode = generateProtoMessage(protoParsedData, protoOptions);
+                }
                 editorManager.setMode('outputArea', 'proto');
 
             } else if (['json', 'yaml', 'toml'].includes(outputFormat)) {
@@ -877,25 +1166,45 @@
                         break;
                 }
 
+            } else if (outputFormat === 'jsonschema') {
+                // JSON Schema from the inferred (or input schema) fields
+                if (!parsedData.fields) {
+                    throw new Error('JSON Schema 仅支持 JSON/YAML/TOML/XML/JSON Schema 输入');
+                }
+                generatedCode = generateJSONSchema(parsedData, { indent });
+                editorManager.setMode('outputArea', 'json');
+
+            } else if (ModelGenerator.targets[outputFormat]) {
+                // TypeScript / Java / Rust / Python / Kotlin from the same parsed fields
+                generatedCode = ModelGenerator.generate(parsedData, outputFormat, getModelOptions());
+                editorManager.setMode('outputArea', ModelGenerator.getTarget(outputFormat).editorMode);
+
             } else {
                 // Generate Go struct (existing logic)
                 const options = {
                     structName: currentSettings.structName || undefined, // Use undefined to trigger auto-generation
                     packageName: currentSettings.packageName,
                     generateTableName: currentSettings.generateTableName,
+                    generateAssociations: currentSettings.generateAssociations !== false,
+                    nullableStrategy: currentSettings.nullableStrategy,
+                    tagConfig: currentSettings.structTags,
+                    repositoryStyle: currentSettings.repositoryStyle || 'none',
                     inlineNestedStructs: elements.inlineNestedStructs.checked,  // Read directly from UI
-                    inputType: inputType  // Pass input type to control tag generation
+                    inputType: inputType === 'jsonschema' ? 'json' : inputType  // Pass input type to control tag generation
                 };
-                generatedCode = generateGoStruct(parsedData, options);
+                generatedCode = parsedData.tables
+                    ? generateGoStructs(parsedData, options)
+                    : generateGoStruct(parsedData, options);
                 editorManager.setMode('outputArea', 'go');
             }
 
             lastGeneratedCode = generatedCode;
+            lastOutputIsDDL = false;
 
             // Display output
             editorManager.setValue('outputArea', generatedCode);
 
-            setStatus('转换成功！', 'success');
+            setStatus(tableCount > 1 ? `转换成功！共 ${tableCount} 张表` : '转换成功！', 'success');
 
         } catch (error) {
             setStatus(`转换失败: ${error.message}`, 'error');
@@ -927,6 +1236,12 @@
 
     // Handle export button click
     async function handleExport() {
+        if (lastGeneratedCode && lastOutputIsDDL) {
+            Exporter.triggerDownload(lastGeneratedCode, 'schema.sql');
+            setStatus('导出成功！', 'success');
+            return;
+        }
+
         if (!lastGeneratedCode || !lastParsedData) {
             setStatus('没有可导出的内容', 'error');
             return;
@@ -962,14 +1277,36 @@
 
                 setStatus('Proto 文件导出成功！', 'success');
 
+            } else if (elements.outputFormatJSONSchema && elements.outputFormatJSONSchema.checked) {
+                // user.schema.json
+                const schemaName = currentSettings.structName || lastParsedData.structName || 'schema';
+                Exporter.triggerDownload(lastGeneratedCode, `${Naming.toSnakeCase(schemaName)}.schema.json`, 'application/json');
+                setStatus('导出成功！', 'success');
+
+            } else if (getModelTarget()) {
+                // Java exports one file per class, the other targets a single file
+                const files = ModelGenerator.generateFiles(lastParsedData, getModelTarget(), getModelOptions());
+                Exporter.exportFiles(files);
+                setStatus(files.length > 1 ? `已导出 ${files.length} 个文件` : '导出成功！', 'success');
+
             } else {
                 // Export as Go file (existing logic)
-                const structName = currentSettings.structName ||
-                    lastParsedData.structName ||
-                    snakeToCamel(lastParsedData.tableName);
+                const tables = lastParsedData.tables || [lastParsedData];
+
+                // Multi-table exports are named after the package
+                let structName = currentSettings.packageName || 'model';
+                if (tables.length === 1) {
+                    structName = currentSettings.structName ||
+                        tables[0].structName ||
+                        Naming.toGoName(tables[0].tableName);
+                }
 
-                // Determine required imports
-                const imports = getRequiredImports(lastParsedData.fields);
+                // Determine required imports across all tables
+                const imports = getRequiredImports(tables.flatMap(table => table.fields), {
+                    nullableStrategy: currentSettings.nullableStrategy,
+                    enums: tables.flatMap(table => table.enums || []),
+                    repositoryStyle: lastParsedData.tables ? currentSettings.repositoryStyle || 'none' : 'none'
+                });
 
                 Exporter.exportAsGoFile(
                     lastGeneratedCode,
@@ -986,6 +1323,22 @@
         }
     }
 
+    // Export the parsed DDL as an sqlc project: schema.sql, query.sql and sqlc.yaml in one zip
+    function handleExportSqlc() {
+        if (!lastParsedData || !lastParsedData.tables) {
+            setStatus('sqlc 导出仅支持 DDL 输入', 'error');
+            return;
+        }
+
+        try {
+            const files = generateSqlcFiles(lastParsedData, { packageName: currentSettings.packageName || 'model' });
+            Exporter.exportAsZip(files, 'sqlc.zip');
+            setStatus('sqlc 文件导出成功！', 'success');
+        } catch (error) {
+            setStatus(`导出失败: ${error.message}`, 'error');
+        }
+    }
+
     // Handle clear button click
     function handleClear() {
         editorManager.setValue('inputArea', '');
@@ -993,17 +1346,240 @@
         editorManager.setValue('outputArea', '// 在左侧输入 DDL 或 JSON，点击"转换"按钮生成 Go struct');
         lastParsedData = null;
         lastGeneratedCode = '';
+        lastOutputIsDDL = false;
+        typeNameOverrides = {};
+        updateGeneratedTypeNames(null);
+        elements.exportSqlcBtn.classList.add('hidden');
         elements.inputType.textContent = '未检测';
         elements.inputType.classList.remove('detected');
         updateLineCount('');
         setStatus('已清除', 'ready');
     }
 
+    // Remember the generated nested type names; the rename button is shown when there are any
+    function updateGeneratedTypeNames(parsedData) {
+        generatedTypeNames = parsedData ? [
+            ...(parsedData.nestedStructs || []).map(struct => struct.name),
+            ...(parsedData.enums || []).map(enumDef => enumDef.name)
+        ] : [];
+        elements.renameTypesBtn.classList.toggle('hidden', generatedTypeNames.length === 0);
+    }
+
+    // Show/hide the nested type rename panel, filled with the current names
+    function showRenameTypesModal(show) {
+        if (!show) {
+            elements.renameTypesModal.classList.add('hidden');
+            return;
+        }
+
+        elements.renameTypesList.innerHTML = '';
+        generatedTypeNames.forEach(name => {
+            const row = document.createElement('div');
+            row.className = 'rename-type-row';
+
+            const label = document.createElement('label');
+            label.textContent = name;
+            label.title = name;
+
+            const input = document.createElement('input');
+            input.className = 'input';
+            input.dataset.typeName = name;
+            input.value = typeNameOverrides[name] || name;
+            input.spellcheck = false;
+
+            row.append(label, input);
+            elements.renameTypesList.appendChild(row);
+        });
+        elements.renameTypesModal.classList.remove('hidden');
+    }
+
+    // Apply the names typed in the rename panel
+    function handleApplyRenameTypes() {
+        const overrides = {};
+        const used = new Set([lastParsedData && lastParsedData.structName]);
+
+        for (const input of elements.renameTypesList.querySelectorAll('input')) {
+            const name = input.value.trim() || input.dataset.typeName;
+            if (!/^[\p{L}_][\p{L}\p{N}_]*$/u.test(name)) {
+                setStatus(`类型名无效: ${name}`, 'error');
+                return;
+            }
+            if (used.has(name)) {
+                setStatus(`类型名重复: ${name}`, 'error');
+                return;
+            }
+            used.add(name);
+            if (name !== input.dataset.typeName) {
+                overrides[input.dataset.typeName] = name;
+            }
+        }
+
+        typeNameOverrides = overrides;
+        showRenameTypesModal(false);
+        handleConvert();
+    }
+
+    // Drop all renames
+    function handleResetRenameTypes() {
+        typeNameOverrides = {};
+        showRenameTypesModal(false);
+        handleConvert();
+    }
+
+    // Load user type mappings into TypeMapper; invalid saved text falls back to the built-in mappings
+    function applyTypeOverrides(text) {
+        try {
+            TypeMapper.setOverrides(TypeMapper.parseOverrides(text));
+        } catch (error) {
+            TypeMapper.setOverrides([]);
+            setStatus(`类型映射无效，已使用内置映射: ${error.message}`, 'error');
+        }
+    }
+
+    // Load user initialisms into Naming; invalid saved text falls back to golint's list only
+    function applyCustomInitialisms(text) {
+        try {
+            Naming.setCustomInitialisms(Naming.parseInitialisms(text));
+        } catch (error) {
+            Naming.setCustomInitialisms([]);
+            setStatus(`自定义缩写无效，已忽略: ${error.message}`, 'error');
+        }
+    }
+
+    // One row per struct tag: enable checkbox + key naming style
+    function renderTagOptions() {
+        elements.tagOptionsList.innerHTML = '';
+        Object.entries(TagBuilder.tags).forEach(([tag, { label }]) => {
+            const row = document.createElement('div');
+            row.className = 'tag-option-row';
+
+            const checkbox = document.createElement('label');
+            checkbox.className = 'checkbox';
+            checkbox.innerHTML = `<input type="checkbox" data-tag="${tag}" /><span>${label}</span>`;
+            row.appendChild(checkbox);
+
+            // gorm and validate values are not keys
+            if (tag !== 'gorm' && tag !== 'validate') {
+                const naming = document.createElement('select');
+                naming.className = 'select';
+                naming.dataset.tagNaming = tag;
+                Object.entries(TagBuilder.namingStyles).forEach(([value, text]) => {
+                    naming.appendChild(new Option(text, value));
+                });
+                row.appendChild(naming);
+            }
+
+            elements.tagOptionsList.appendChild(row);
+        });
+    }
+
+    // Built-in presets, then the user's own
+    function renderTagPresetOptions() {
+        elements.tagPresetSelect.innerHTML = '';
+        elements.tagPresetSelect.appendChild(new Option('选择预设...', ''));
+        Object.entries(TagBuilder.presets).forEach(([id, preset]) => {
+            elements.tagPresetSelect.appendChild(new Option(preset.label, `builtin:${id}`));
+        });
+        Object.keys(currentSettings.tagPresets || {}).forEach(name => {
+            elements.tagPresetSelect.appendChild(new Option(name, `user:${name}`));
+        });
+    }
+
+    function setTagConfigForm(config) {
+        const { tags, naming, omitEmpty, jsonString } = TagBuilder.normalize(config);
+        elements.tagOptionsList.querySelectorAll('[data-tag]').forEach(input => {
+            input.checked = tags.includes(input.dataset.tag);
+        });
+        elements.tagOptionsList.querySelectorAll('[data-tag-naming]').forEach(select => {
+            select.value = naming[select.dataset.tagNaming] || 'original';
+        });
+        elements.tagOmitEmpty.value = omitEmpty;
+        elements.tagJSONString.checked = !!jsonString;
+    }
+
+    function readTagConfigForm() {
+        const naming = {};
+        elements.tagOptionsList.querySelectorAll('[data-tag-naming]').forEach(select => {
+            if (select.value !== 'original') naming[select.dataset.tagNaming] = select.value;
+        });
+        return {
+            tags: Array.from(elements.tagOptionsList.querySelectorAll('[data-tag]:checked')).map(input => input.dataset.tag),
+            naming,
+            omitEmpty: elements.tagOmitEmpty.value,
+            jsonString: elements.tagJSONString.checked
+        };
+    }
+
+    // Load a preset into the form; it is applied when the settings are saved
+    function handleTagPresetChange() {
+        const [kind, name] = elements.tagPresetSelect.value.split(/:(.*)/);
+        const config = kind === 'builtin'
+            ? (TagBuilder.presets[name] || {}).config
+            : (currentSettings.tagPresets || {})[name];
+        if (config) {
+            setTagConfigForm(config);
+        }
+    }
+
+    async function handleSaveTagPreset() {
+        const name = elements.tagPresetName.value.trim();
+        if (!name) {
+            setStatus('请输入预设名称', 'error');
+            return;
+        }
+
+        currentSettings.tagPresets = { ...currentSettings.tagPresets, [name]: readTagConfigForm() };
+        await Settings.save(currentSettings);
+        renderTagPresetOptions();
+        elements.tagPresetSelect.value = `user:${name}`;
+        elements.tagPresetName.value = '';
+        setStatus(`预设「${name}」已保存`, 'success');
+    }
+
+    async function handleDeleteTagPreset() {
+        const [kind, name] = elements.tagPresetSelect.value.split(/:(.*)/);
+        if (kind !== 'user') {
+            setStatus('只能删除自定义预设', 'error');
+            return;
+        }
+
+        const presets = { ...currentSettings.tagPresets };
+        delete presets[name];
+        currentSettings.tagPresets = presets;
+        await Settings.save(currentSettings);
+        renderTagPresetOptions();
+        setStatus(`预设「${name}」已删除`, 'success');
+    }
+
     // Handle settings save
     async function handleSaveSettings() {
+        // Validate type mappings before anything is saved
+        let typeOverrides;
+        try {
+            typeOverrides = TypeMapper.parseOverrides(elements.typeOverridesInput.value);
+        } catch (error) {
+            setStatus(error.message, 'error');
+            return;
+        }
+        let initialisms;
+        try {
+            initialisms = Naming.parseInitialisms(elements.customInitialismsInput.value);
+        } catch (error) {
+            setStatus(error.message, 'error');
+            return;
+        }
+        TypeMapper.setOverrides(typeOverrides);
+        currentSettings.typeOverrides = elements.typeOverridesInput.value;
+        Naming.setCustomInitialisms(initialisms);
+        currentSettings.customInitialisms = elements.customInitialismsInput.value;
+        currentSettings.structTags = readTagConfigForm();
+
         currentSettings.structName = elements.structNameInput.value;
         currentSettings.packageName = elements.packageNameInput.value;
         currentSettings.generateTableName = elements.generateTableName.checked;
+        currentSettings.generateAssociations = elements.generateAssociations.checked;
+        currentSettings.nullableStrategy = elements.nullableStrategy.value;
+        currentSettings.repositoryStyle = elements.repositoryStyle.value;
 
         // Appearance
         currentSettings.editorTheme = elements.editorTheme.value;
@@ -1030,8 +1606,20 @@
         elements.structNameInput.value = currentSettings.structName || '';
         elements.packageNameInput.value = currentSettings.packageName || 'model';
         elements.generateTableName.checked = currentSettings.generateTableName !== false;
+        elements.generateAssociations.checked = currentSettings.generateAssociations !== false;
+        elements.nullableStrategy.value = currentSettings.nullableStrategy || 'none';
+        elements.repositoryStyle.value = currentSettings.repositoryStyle || 'none';
+        elements.typeOverridesInput.value = currentSettings.typeOverrides || '';
+        elements.customInitialismsInput.value = currentSettings.customInitialisms || '';
+        setTagConfigForm(currentSettings.structTags);
+        renderTagPresetOptions();
         // Set inline nested struct checkbox in header
         elements.inlineNestedStructs.checked = currentSettings.inlineNestedStructs !== false;
+        elements.ddlDialect.value = currentSettings.goDDLDialect || 'mysql';
+        elements.diffDetectReorder.checked = currentSettings.diffDetectReorder !== false;
+        elements.diffSafeMode.checked = currentSettings.diffSafeMode === true;
+        elements.diffOutputMode.value = currentSettings.diffOutputMode || 'alter';
+        updateDiffViewToggle();
 
         // Appearance
         elements.editorTheme.value = currentSettings.editorTheme || 'dracula';
@@ -1190,20 +1778,6 @@
         }
     }
 
-    // Utility: snake_case to PascalCase  
-    function snakeToCamel(str) {
-        if (!str) return '';
-
-        // Split by underscores and capitalize first letter of each word
-        return str
-            .split('_')
-            .map(word => {
-                if (!word) return '';
-                return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
-            })
-            .join('');
-    }
-
     // Start the app
     document.addEventListener('DOMContentLoaded', init);
 
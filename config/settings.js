@@ -7,6 +7,24 @@ const Settings = {
         structName: '',
         packageName: 'model',
         generateTableName: true,
+        generateAssociations: true,  // Belongs-to fields from foreign keys
+        nullableStrategy: 'none',    // 'none', 'pointer', 'sql', 'generic', 'guregu'
+        repositoryStyle: 'none',     // CRUD code after DDL structs: 'none', 'gorm', 'sqlx', 'sql'
+        typeOverrides: '',           // TypeMapper overrides, one "DECIMAL = github.com/shopspring/decimal.Decimal" per line
+        customInitialisms: '',       // Extra Go initialisms besides golint's, e.g. "GRPC, OAuth"
+        structTags: {                // Struct tags to generate, see TagBuilder
+            tags: ['json', 'gorm'],
+            naming: {},              // Key style per tag: 'original', 'snake', 'camel'
+            omitEmpty: 'optional',   // 'optional', 'nullable', 'always'
+            jsonString: false
+        },
+        tagPresets: {},              // User tag presets: { name: structTags }
+        goDDLDialect: 'mysql',       // Go struct input: dialect of the generated CREATE TABLE
+        modelVariants: {},           // Style per model target, e.g. { typescript: 'zod', java: 'jpa' }
+        diffDetectReorder: true,     // Diff: move columns into the designed order
+        diffSafeMode: false,         // Diff: comment out statements that may lose data
+        diffOutputMode: 'alter',     // Diff (MySQL): 'alter', 'combined', 'gh-ost', 'pt-osc'
+        diffVisualView: false,       // Diff: show the side-by-side column comparison above the SQL
         theme: 'dark',
         editorTheme: 'dracula',
         editorFont: "'JetBrains Mono', monospace",
@@ -0,0 +1,294 @@
+// DDL Generator
+// Generates CREATE TABLE statements from parsed Go structs (GORM models), following GORM's conventions:
+// snake_case plural table names, an ID field as auto-increment primary key, and gorm tag settings
+
+// Fields of gorm.Model
+const GORM_MODEL_FIELDS = [
+    { name: 'ID', goType: 'uint', tags: {}, gorm: { PRIMARYKEY: true }, comment: '', embedded: false },
+    { name: 'CreatedAt', goType: 'time.Time', tags: {}, gorm: {}, comment: '', embedded: false },
+    { name: 'UpdatedAt', goType: 'time.Time', tags: {}, gorm: {}, comment: '', embedded: false },
+    { name: 'DeletedAt', goType: 'gorm.DeletedAt', tags: {}, gorm: { INDEX: true }, comment: '', embedded: false }
+];
+
+const INTEGER_GO_TYPES = ['int', 'int8', 'int16', 'int32', 'int64', 'uint', 'uint8', 'uint16', 'uint32', 'uint64', 'byte', 'rune'];
+
+/**
+ * Generate CREATE TABLE DDL for every table struct
+ * @param {object} parsedData - Result of parseGoStructs
+ * @param {object} options - { dialect: 'mysql' | 'postgresql' | 'sqlite' }
+ * @returns {string} - DDL script
+ */
+function generateDDLFromGoStructs(parsedData, options = {}) {
+    const { dialect = 'mysql' } = options;
+    const structsByName = new Map(parsedData.structs.map(struct => [struct.name, struct]));
+
+    const statements = parsedData.structs
+        .filter(struct => !struct.embeddedOnly)
+        .map(struct => buildTableFromStruct(struct, structsByName, dialect))
+        .filter(table => table.columns.length > 0)
+        .map(table => buildCreateTableDDL(table, dialect));
+
+    if (statements.length === 0) {
+        throw new Error('没有可生成表的 struct 字段');
+    }
+
+    return statements.join('\n\n') + '\n';
+}
+
+// Resolve a struct into { name, columns, primaryKey, indexes }
+function buildTableFromStruct(struct, structsByName, dialect) {
+    const tableName = struct.tableName || pluralizeTableName(goNameToSnake(struct.name));
+    const fields = flattenStructFields(struct.fields, structsByName, '');
+
+    let primaryKey = fields.filter(({ field }) => field.gorm.PRIMARYKEY);
+    if (primaryKey.length === 0) {
+        // GORM uses a field named ID as the primary key by default
+        primaryKey = fields.filter(({ field }) => field.name === 'ID');
+    }
+    const primaryNames = new Set(primaryKey.map(({ column }) => column));
+
+    const columns = fields
+        .map(({ field, column }) => buildColumn(field, column, {
+            dialect,
+            primaryKey: primaryNames.has(column),
+            singleKey: primaryKey.length === 1
+        }))
+        .filter(Boolean);
+
+    return {
+        name: tableName,
+        columns,
+        primaryKey: columns.filter(column => primaryNames.has(column.name)).map(column => column.name),
+        indexes: collectStructIndexes(tableName, columns)
+    };
+}
+
+// Expand embedded structs (anonymous fields, gorm.Model, `gorm:"embedded"`) into [{ field, column }]
+function flattenStructFields(fields, structsByName, prefix) {
+    const result = [];
+
+    for (const field of fields) {
+        // GORM ignores fields tagged gorm:"-" and unexported fields
+        if (field.gorm['-'] !== undefined || !/^\p{Lu}/u.test(field.name)) continue;
+
+        const type = field.goType.replace(/^\*/, '');
+        if (field.embedded || field.gorm.EMBEDDED) {
+            const innerPrefix = prefix + (field.gorm.EMBEDDEDPREFIX || '');
+            if (type === 'gorm.Model') {
+                result.push(...flattenStructFields(GORM_MODEL_FIELDS, structsByName, innerPrefix));
+            } else if (structsByName.has(type)) {
+                result.push(...flattenStructFields(structsByName.get(type).fields, structsByName, innerPrefix));
+            }
+            continue;
+        }
+
+        // Associations (has one / has many / belongs to) are not columns
+        if (structsByName.has(type) || (/^\[\]\*?\w+/.test(type) && type !== '[]byte')) continue;
+
+        const column = field.gorm.COLUMN || `${prefix}${goNameToSnake(field.name)}`;
+        result.push({ field, column });
+    }
+
+    return result;
+}
+
+// Column model: { name, type, nullable, autoIncrement, defaultValue, onUpdate, unique, comment, indexes }
+function buildColumn(field, columnName, { dialect, primaryKey, singleKey }) {
+    const { goType } = TypeMapper.unwrapGoType(field.goType);
+    const gorm = field.gorm;
+    const isInteger = INTEGER_GO_TYPES.includes(goType);
+    const hasIndex = !!(gorm.INDEX || gorm.UNIQUEINDEX || gorm.UNIQUE);
+
+    const autoIncrement = gorm.AUTOINCREMENT === true || gorm.AUTOINCREMENT === 'true' ||
+        (primaryKey && singleKey && isInteger && gorm.AUTOINCREMENT !== 'false');
+
+    let type = gorm.TYPE || mapGoFieldToSQL(goType, gorm, dialect, { primaryKey, hasIndex });
+    if (!type) return null;
+    if (autoIncrement && dialect === 'postgresql') {
+        type = { smallint: 'smallserial', integer: 'serial', bigint: 'bigserial' }[type] || type;
+    }
+
+    let defaultValue = gorm.DEFAULT !== undefined ? formatDDLDefault(gorm.DEFAULT, goType) : null;
+    let onUpdate = null;
+    if (defaultValue === null && goType === 'time.Time') {
+        // autoCreateTime / autoUpdateTime become database defaults (DATETIME(3) needs CURRENT_TIMESTAMP(3))
+        const now = dialect === 'mysql' && /\(\d\)$/.test(type) ? `CURRENT_TIMESTAMP${type.match(/\(\d\)$/)[0]}` : 'CURRENT_TIMESTAMP';
+        if (gorm.AUTOCREATETIME || gorm.AUTOUPDATETIME) defaultValue = now;
+        if (gorm.AUTOUPDATETIME && dialect === 'mysql') onUpdate = now;
+    }
+
+    const comment = unquoteGormValue(gorm.COMMENT || field.comment || '');
+
+    return {
+        name: columnName,
+        type,
+        nullable: !primaryKey && !autoIncrement && !gorm.NOTNULL,
+        autoIncrement,
+        defaultValue,
+        onUpdate,
+        unique: !!gorm.UNIQUE && !primaryKey,
+        // Generated structs repeat the column name as the comment when there is none
+        comment: [columnName, field.name].includes(comment) ? '' : comment,
+        indexes: parseIndexSettings(gorm)
+    };
+}
+
+// Column type from the Go type plus size / precision / scale
+function mapGoFieldToSQL(goType, gorm, dialect, { primaryKey, hasIndex }) {
+    const size = parseInt(gorm.SIZE, 10) || 0;
+    const precision = parseInt(gorm.PRECISION, 10) || 0;
+    const scale = parseInt(gorm.SCALE, 10) || 0;
+
+    // size on integers is the bit width: `gorm:"size:32"`
+    if (INTEGER_GO_TYPES.includes(goType) && [8, 16, 32, 64].includes(size)) {
+        return TypeMapper.mapGoToSQL(dialect, `${goType.startsWith('u') ? 'uint' : 'int'}${size}`);
+    }
+
+    if (goType === 'string' && dialect !== 'sqlite') {
+        // GORM keeps indexed / key strings short enough for an index on MySQL
+        const length = size || (dialect === 'mysql' && (primaryKey || hasIndex || gorm.DEFAULT !== undefined) ? 191 : 0);
+        if (length > 0) return `varchar(${length})`;
+    }
+
+    if ((goType === 'float32' || goType === 'float64') && precision) {
+        return `decimal(${precision},${scale})`;
+    }
+
+    let type = TypeMapper.mapGoToSQL(dialect, goType);
+    if (!type) return goType.includes('.') ? (dialect === 'mysql' ? 'longtext' : 'text') : null;
+
+    if (precision && /^(decimal|numeric)$/.test(type)) type += `(${precision},${scale})`;
+    if (precision && goType === 'time.Time' && dialect !== 'sqlite') {
+        type = type.replace(/\(\d\)$/, '') + `(${precision})`;
+    }
+    return type;
+}
+
+// index / uniqueIndex settings: "idx_name,sort:desc,priority:2" or "" for the default name
+function parseIndexSettings(gorm) {
+    const indexes = [];
+
+    for (const key of ['INDEX', 'UNIQUEINDEX']) {
+        if (!gorm[key]) continue;
+        const parts = gorm[key] === true ? [''] : gorm[key].split(',');
+        const index = { name: parts[0].trim(), unique: key === 'UNIQUEINDEX', priority: 10, sort: '', kind: '' };
+
+        for (const part of parts.slice(1)) {
+            const [option, value = ''] = part.split(':').map(text => text.trim());
+            if (/^priority$/i.test(option)) index.priority = parseInt(value, 10) || 10;
+            if (/^sort$/i.test(option)) index.sort = value.toUpperCase();
+            if (/^class$/i.test(option)) index.kind = value.toUpperCase();
+            if (/^unique$/i.test(option)) index.unique = true;
+        }
+        indexes.push(index);
+    }
+
+    return indexes;
+}
+
+// Group column index settings by name; unnamed indexes get GORM's idx_<table>_<column>
+function collectStructIndexes(tableName, columns) {
+    const byName = new Map();
+
+    columns.forEach((column, position) => {
+        for (const setting of column.indexes) {
+            const name = setting.name || `idx_${tableName}_${column.name}`;
+            if (!byName.has(name)) {
+                byName.set(name, { name, unique: setting.unique, kind: setting.kind, columns: [] });
+            }
+            const index = byName.get(name);
+            index.unique = index.unique || setting.unique;
+            index.kind = index.kind || setting.kind;
+            index.columns.push({ name: column.name, order: setting.sort, priority: setting.priority, position });
+        }
+    });
+
+    return [...byName.values()].map(index => ({
+        ...index,
+        columns: index.columns.sort((a, b) => a.priority - b.priority || a.position - b.position)
+    }));
+}
+
+// Render a table model as CREATE TABLE plus the statements the dialect keeps outside it
+function buildCreateTableDDL(table, dialect) {
+    const quote = (name) => dialect === 'mysql' ? `\`${name}\`` : `"${name}"`;
+    const quoteString = (value) => `'${(dialect === 'mysql' ? value.replace(/\\/g, '\\\\') : value).replace(/'/g, "''")}'`;
+    const columnList = (index) => index.columns.map(column => quote(column.name) + (column.order === 'DESC' ? ' DESC' : '')).join(', ');
+
+    // SQLite AUTOINCREMENT only exists on an INTEGER PRIMARY KEY column
+    const inlineKey = dialect === 'sqlite' && table.primaryKey.length === 1 &&
+        table.columns.some(column => column.autoIncrement && column.name === table.primaryKey[0]);
+
+    const lines = table.columns.map(column => {
+        let def = `  ${quote(column.name)} ${column.type}`;
+        if (inlineKey && column.autoIncrement) return `${def} PRIMARY KEY AUTOINCREMENT`;
+
+        if (!column.nullable) def += ' NOT NULL';
+        if (column.autoIncrement && dialect === 'mysql') def += ' AUTO_INCREMENT';
+        if (column.defaultValue !== null) def += ` DEFAULT ${column.defaultValue}`;
+        if (column.onUpdate) def += ` ON UPDATE ${column.onUpdate}`;
+        if (column.unique) def += ' UNIQUE';
+        if (column.comment && dialect === 'mysql') def += ` COMMENT ${quoteString(column.comment)}`;
+        return def;
+    });
+
+    if (table.primaryKey.length > 0 && !inlineKey) {
+        lines.push(`  PRIMARY KEY (${table.primaryKey.map(quote).join(', ')})`);
+    }
+    if (dialect === 'mysql') {
+        for (const index of table.indexes) {
+            const type = index.kind ? `${index.kind} KEY` : (index.unique ? 'UNIQUE KEY' : 'KEY');
+            lines.push(`  ${type} ${quote(index.name)} (${columnList(index)})`);
+        }
+    }
+
+    const tableOptions = dialect === 'mysql' ? ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4' : '';
+    const statements = [`CREATE TABLE ${quote(table.name)} (\n${lines.join(',\n')}\n)${tableOptions};`];
+
+    if (dialect !== 'mysql') {
+        for (const index of table.indexes) {
+            statements.push(`CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${quote(index.name)} ON ${quote(table.name)} (${columnList(index)});`);
+        }
+    }
+    if (dialect === 'postgresql') {
+        for (const column of table.columns.filter(column => column.comment)) {
+            statements.push(`COMMENT ON COLUMN ${quote(table.name)}.${quote(column.name)} IS ${quoteString(column.comment)};`);
+        }
+    }
+
+    return statements.join('\n');
+}
+
+// default:0 / default:'abc' / default:abc / default:CURRENT_TIMESTAMP -> SQL literal
+function formatDDLDefault(value, goType) {
+    const text = String(value).trim();
+    if (/^'.*'$/.test(text) || /^(null|true|false)$/i.test(text) || /\(.*\)$/.test(text) || /^current_timestamp$/i.test(text)) {
+        return text;
+    }
+    if (goType !== 'string' && /^-?\d+(\.\d+)?$/.test(text)) {
+        return text;
+    }
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+// comment:'用户名' -> 用户名
+function unquoteGormValue(value) {
+    return String(value).replace(/^'(.*)'$/, '$1');
+}
+
+// UserID -> user_id, HTTPCode -> http_code
+function goNameToSnake(name) {
+    return Naming.toSnakeCase(name);
+}
+
+// GORM's default table names are plural: user -> users, category -> categories
+function pluralizeTableName(name) {
+    if (/[^aeiou]y$/.test(name)) return name.replace(/y$/, 'ies');
+    if (/(s|x|z|ch|sh)$/.test(name)) return `${name}es`;
+    return `${name}s`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { generateDDLFromGoStructs, goNameToSnake };
+}
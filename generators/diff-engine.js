@@ -1,14 +1,43 @@
 // DDL Diff Engine
 // Compares two DDL schemas and generates ALTER statements
+// Output follows the input dialect: MySQL, PostgreSQL, or SQLite (table rebuilds where ALTER is not supported)
+
+const DIFF_DIALECTS = ['mysql', 'postgresql', 'sqlite'];
+
+// MySQL output styles: plain statements, one combined ALTER per table, or online schema change tool commands
+const DIFF_OUTPUT_MODES = ['alter', 'combined', 'gh-ost', 'pt-osc'];
+
+// Risk levels attached to generated statements: data loss, or long table locks / full table copies
+const RISK_LEVELS = {
+    danger: '数据丢失',
+    lock: '锁表'
+};
 
 class DiffEngine {
     constructor() {
         this.statements = [];
+        this.dialect = 'mysql';
+        this.detectReorder = true;
+        this.undoSafeMode = false;
+        this.risks = [];
+        this.copyStatements = new Set();
     }
 
     // Main entry point
-    generateDiff(targetDDL, sourceDDL) {
+    // Both sides may hold any number of CREATE TABLE statements (e.g. a full mysqldump)
+    // options.dialect forces the dialect; otherwise it is detected from the inputs
+    // options.detectReorder (default true) also moves existing columns into the designed order
+    // options.safeMode comments out statements that may lose data; risks are listed in this.risks
+    // options.undoSafeMode reverses a safe-mode diff (a down migration): the tables and columns whose
+    // DROP was commented out still exist, so they are not created again
+    // options.outputMode (MySQL): see DIFF_OUTPUT_MODES
+    generateDiff(targetDDL, sourceDDL, options = {}) {
         this.statements = [];
+        this.risks = [];
+        this.copyStatements = new Set();
+        this.dialect = options.dialect || this.detectDialect(targetDDL, sourceDDL);
+        this.detectReorder = options.detectReorder !== false;
+        this.undoSafeMode = !!options.undoSafeMode;
 
         try {
             const target = this.parseDDL(targetDDL);
@@ -18,93 +47,736 @@ class DiffEngine {
                 return ['-- 无法解析 DDL，请确保格式正确'];
             }
 
-            if (target.tableName !== source.tableName) {
-                this.statements.push(`-- 表名不同: ${target.tableName} vs ${source.tableName}`);
-                this.statements.push(`-- 假设您想修改表: ${target.tableName}`);
+            if (target.tables.length === 1 && source.tables.length === 1) {
+                // Two versions of one table: compare them even when the names differ
+                const [targetTable, sourceTable] = [target.tables[0], source.tables[0]];
+                if (targetTable.tableName !== sourceTable.tableName) {
+                    this.statements.push(`-- 表名不同: ${targetTable.tableName} vs ${sourceTable.tableName}`);
+                    this.statements.push(`-- 假设您想修改表: ${targetTable.tableName}`);
+                }
+                this.diffTable(targetTable.tableName, targetTable, sourceTable);
+            } else {
+                this.diffSchema(target.tables, source.tables);
             }
 
-            const tableName = target.tableName; // Use target (online) table name for ALTERs
-
-            // 1. Check for New Columns (in Source but not in Target)
-            this.checkNewColumns(tableName, target.fields, source.fields);
-
-            // 2. Check for Modified Columns (different definitions)
-            this.checkModifiedColumns(tableName, target.fields, source.fields);
-
-            // 3. Check for Removed Columns (in Target but not in Source)
-            this.checkRemovedColumns(tableName, target.fields, source.fields);
-
             if (this.statements.length === 0) {
                 return ['-- 两个 DDL 完全一致，无需修改'];
             }
 
-            return this.statements;
+            const output = this.annotateRisks(this.statements, options.safeMode);
+            const outputMode = options.outputMode || 'alter';
+            if (outputMode === 'alter') {
+                return output;
+            }
+            if (this.dialect !== 'mysql') {
+                return ['-- 合并 ALTER 与 gh-ost / pt-online-schema-change 仅支持 MySQL，以下为普通语句', ...output];
+            }
+            return this.formatOnlineChanges(output, outputMode);
 
         } catch (e) {
             return [`-- Diff 错误: ${e.message}`];
         }
     }
 
-    // Parse DDL (Wrapper around existing parser)
+    /**
+     * Column-level comparison of both schemas for the visual diff view
+     * Tables are paired the same way as generateDiff (one table each side, by name, or detected renames)
+     * @param {string} targetDDL - Current DDL
+     * @param {string} sourceDDL - New DDL
+     * @param {object} options - { dialect }
+     * @returns {Array} - [{ name, targetName, status, keysChanged, columns: [{ name, status, target, source, changes }] }]
+     *   status: 'added' | 'removed' | 'renamed' | 'changed' | 'same'; column status also 'moved'
+     */
+    compareSchemas(targetDDL, sourceDDL, options = {}) {
+        this.dialect = options.dialect || this.detectDialect(targetDDL, sourceDDL);
+
+        const target = this.parseDDL(targetDDL);
+        const source = this.parseDDL(sourceDDL);
+        if (!target || !source) {
+            throw new Error('无法解析 DDL，请确保格式正确');
+        }
+
+        const pairs = [];
+        if (target.tables.length === 1 && source.tables.length === 1) {
+            pairs.push({ from: target.tables[0], to: source.tables[0] });
+        } else {
+            const key = (table) => table.tableName.toLowerCase();
+            const targetMap = new Map(target.tables.map(table => [key(table), table]));
+            const sourceMap = new Map(source.tables.map(table => [key(table), table]));
+            const renames = this.detectRenames(
+                target.tables.filter(table => !sourceMap.has(key(table))),
+                source.tables.filter(table => !targetMap.has(key(table))));
+
+            for (const table of source.tables) {
+                const rename = renames.find(r => r.to === table);
+                pairs.push({ from: rename ? rename.from : targetMap.get(key(table)) || null, to: table });
+            }
+            for (const table of target.tables) {
+                if (!sourceMap.has(key(table)) && !renames.some(r => r.from === table)) {
+                    pairs.push({ from: table, to: null });
+                }
+            }
+        }
+
+        return pairs.map(({ from, to }) => this.compareTable(from, to));
+    }
+
+    // One table of the visual diff; a missing side means the table is added or removed
+    compareTable(target, source) {
+        const table = source || target;
+        const summary = (field) => field && {
+            type: `${field.type}${field.isUnsigned ? ' UNSIGNED' : ''}`,
+            nullable: field.nullable,
+            defaultValue: field.column && field.column.defaultValue ? field.column.defaultValue.raw : '',
+            comment: this.getComment(field)
+        };
+
+        if (!target || !source) {
+            const status = source ? 'added' : 'removed';
+            return {
+                name: table.tableName,
+                targetName: target ? target.tableName : null,
+                status,
+                keysChanged: false,
+                columns: table.fields.map(field => ({
+                    name: field.name,
+                    status,
+                    target: source ? null : summary(field),
+                    source: source ? summary(field) : null,
+                    changes: []
+                }))
+            };
+        }
+
+        const targetMap = new Map(target.fields.map(f => [f.name.toLowerCase(), f]));
+        const sourceNames = new Set(source.fields.map(f => f.name.toLowerCase()));
+        const moved = this.findMovedColumns(target.fields, source.fields);
+
+        const columns = source.fields.map(sField => {
+            const tField = targetMap.get(sField.name.toLowerCase());
+            if (!tField) {
+                return { name: sField.name, status: 'added', target: null, source: summary(sField), changes: [] };
+            }
+
+            const before = summary(tField);
+            const after = summary(sField);
+            const changes = ['type', 'nullable', 'defaultValue', 'comment'].filter(attr => {
+                if (attr === 'type') return before.type.toLowerCase().replace(/\s+/g, '') !== after.type.toLowerCase().replace(/\s+/g, '');
+                if (attr === 'defaultValue') return this.normalizeDefault(tField.column && tField.column.defaultValue) !== this.normalizeDefault(sField.column && sField.column.defaultValue);
+                return before[attr] !== after[attr];
+            });
+            // Charset, collation, AUTO_INCREMENT, generated expression, ON UPDATE
+            if (changes.length === 0 && this.isDifferent(tField, sField)) changes.push('other');
+
+            let status = changes.length > 0 ? 'changed' : 'same';
+            if (status === 'same' && moved.includes(sField.name.toLowerCase())) status = 'moved';
+            return { name: sField.name, status, target: before, source: after, changes };
+        });
+
+        // Removed columns stay next to the column they followed in the old table
+        target.fields.forEach((tField, index) => {
+            if (sourceNames.has(tField.name.toLowerCase())) return;
+            const previous = index > 0 ? target.fields[index - 1].name.toLowerCase() : null;
+            const at = previous ? columns.findIndex(column => column.name.toLowerCase() === previous) + 1 : 0;
+            columns.splice(at, 0, { name: tField.name, status: 'removed', target: summary(tField), source: null, changes: [] });
+        });
+
+        const indexChanges = this.diffByKey(this.collectIndexes(target), this.collectIndexes(source),
+            index => index.name || this.indexSignature(index), index => this.indexSignature(index));
+        const foreignKeyChanges = this.diffByKey(target.foreignKeys || [], source.foreignKeys || [],
+            fk => fk.name || this.foreignKeySignature(fk), fk => this.foreignKeySignature(fk));
+        const keysChanged = indexChanges.added.length + indexChanges.removed.length +
+            foreignKeyChanges.added.length + foreignKeyChanges.removed.length > 0 ||
+            this.normalizeColumns(target.primaryKey || []) !== this.normalizeColumns(source.primaryKey || []);
+
+        const renamed = target.tableName.toLowerCase() !== source.tableName.toLowerCase();
+        const changed = keysChanged || columns.some(column => column.status !== 'same');
+
+        return {
+            name: source.tableName,
+            targetName: target.tableName,
+            status: renamed ? 'renamed' : (changed ? 'changed' : 'same'),
+            keysChanged,
+            columns
+        };
+    }
+
+    // Pick the dialect from either input; PostgreSQL / SQLite markers win over the MySQL default
+    detectDialect(...ddls) {
+        const detected = ddls
+            .filter(ddl => ddl && ddl.trim())
+            .map(ddl => detectInputType(ddl))
+            .filter(type => DIFF_DIALECTS.includes(type));
+
+        if (detected.includes('postgresql')) return 'postgresql';
+        if (detected.includes('sqlite')) return 'sqlite';
+        return 'mysql';
+    }
+
+    // Compare two table lists: CREATE new tables, ALTER matched ones, DROP removed ones
+    diffSchema(targetTables, sourceTables) {
+        const key = (table) => table.tableName.toLowerCase();
+        const targetMap = new Map(targetTables.map(table => [key(table), table]));
+        const sourceMap = new Map(sourceTables.map(table => [key(table), table]));
+
+        const addedTables = sourceTables.filter(table => !targetMap.has(key(table)));
+        const removedTables = targetTables.filter(table => !sourceMap.has(key(table)));
+        const renames = this.detectRenames(removedTables, addedTables);
+        const renamedFrom = new Set(renames.map(r => r.from));
+        const renamedTo = new Set(renames.map(r => r.to));
+
+        // 1. Renames keep the data; columns are then diffed under the new name
+        for (const { from, to, similarity } of renames) {
+            this.statements.push(`-- 表 ${from.tableName} 与 ${to.tableName} 列相似度 ${Math.round(similarity * 100)}%，按重命名处理`);
+            this.statements.push(this.dialect === 'mysql'
+                ? `RENAME TABLE ${this.quote(from.tableName)} TO ${this.quote(to.tableName)};`
+                : `ALTER TABLE ${this.quote(from.tableName)} RENAME TO ${this.quote(to.tableName)};`);
+        }
+
+        // 2. New tables
+        for (const table of addedTables) {
+            if (renamedTo.has(table)) continue;
+            if (this.undoSafeMode) {
+                this.statements.push(`-- 安全模式未删除表 ${table.tableName}，无需重建`);
+            } else {
+                this.statements.push(...this.createTableStatements(table));
+            }
+        }
+
+        // 3. Tables present on both sides, in source order
+        for (const sourceTable of sourceTables) {
+            const targetTable = targetMap.get(key(sourceTable));
+            if (targetTable) {
+                this.diffTable(targetTable.tableName, targetTable, sourceTable);
+            }
+        }
+        for (const { from, to } of renames) {
+            this.diffTable(to.tableName, from, to);
+        }
+
+        // 4. Removed tables
+        for (const table of removedTables) {
+            if (!renamedFrom.has(table)) {
+                this.statements.push(`DROP TABLE ${this.quote(table.tableName)};`);
+                this.flagRisks([{ level: 'danger', reason: `删除表 ${table.tableName} 及其全部数据` }]);
+            }
+        }
+    }
+
+    // Column, key and constraint ALTERs for one table
+    // Foreign keys and indexes are dropped before columns change and added after, so every step is valid
+    diffTable(tableName, target, source) {
+        const foreignKeyChanges = this.diffByKey(target.foreignKeys || [], source.foreignKeys || [],
+            fk => fk.name || this.foreignKeySignature(fk), fk => this.foreignKeySignature(fk));
+        const indexChanges = this.diffByKey(this.collectIndexes(target), this.collectIndexes(source),
+            index => index.name || this.indexSignature(index), index => this.indexSignature(index));
+        const moved = this.detectReorder ? this.findMovedColumns(target.fields, source.fields) : [];
+
+        // SQLite cannot alter columns or constraints in place
+        if (this.dialect === 'sqlite' && (moved.length > 0 || this.needsRebuild(target, source, foreignKeyChanges, indexChanges))) {
+            // The reversed rebuild was commented out in safe mode: the table still has this shape
+            if (this.undoSafeMode && this.rebuildRisks(tableName, source, target).some(risk => risk.level === 'danger')) {
+                this.statements.push(`-- 安全模式未重建表 ${tableName}，无需回滚`);
+                return;
+            }
+            const start = this.statements.length;
+            this.rebuildTable(tableName, target, source);
+            this.flagRisks(this.rebuildRisks(tableName, target, source), start);
+            return;
+        }
+
+        // 1. Drop removed / changed foreign keys and indexes
+        this.dropForeignKeys(tableName, foreignKeyChanges.removed, target.foreignKeys || []);
+        this.dropIndexes(tableName, indexChanges.removed);
+
+        // 2. Check for New Columns (in Source but not in Target)
+        this.checkNewColumns(tableName, target.fields, source.fields);
+
+        // 3. Check for Modified Columns (different definitions); MySQL moves carry their own MODIFY
+        const movedNames = new Set(this.dialect === 'mysql' ? moved : []);
+        this.checkModifiedColumns(tableName, target.fields, source.fields.filter(f => !movedNames.has(f.name.toLowerCase())));
+        this.reorderColumns(tableName, target.fields, source.fields, moved);
+
+        // 4. Primary key
+        this.checkPrimaryKey(tableName, target, source);
+
+        // 5. Add new / changed indexes and foreign keys
+        for (const index of indexChanges.added) {
+            this.statements.push(this.addIndexStatement(tableName, index));
+        }
+        for (const foreignKey of foreignKeyChanges.added) {
+            this.statements.push(`ALTER TABLE ${this.quote(tableName)} ADD ${this.foreignKeyDefinition(foreignKey)};`);
+        }
+
+        // 6. Check for Removed Columns (in Target but not in Source)
+        this.checkRemovedColumns(tableName, target.fields, source.fields);
+    }
+
+    // SQLite only supports ADD COLUMN (nullable or with a constant default) and index changes in place
+    needsRebuild(target, source, foreignKeyChanges, indexChanges) {
+        const targetMap = new Map(target.fields.map(f => [f.name.toLowerCase(), f]));
+        const sourceNames = new Set(source.fields.map(f => f.name.toLowerCase()));
+
+        const modified = source.fields.some(f => targetMap.has(f.name.toLowerCase()) && this.isDifferent(targetMap.get(f.name.toLowerCase()), f));
+        const removed = target.fields.some(f => !sourceNames.has(f.name.toLowerCase()));
+        const unsupportedAdd = source.fields.some(f => !targetMap.has(f.name.toLowerCase()) && (
+            f.isPrimaryKey || f.isUnique ||
+            (!f.nullable && !f.defaultValue) ||
+            (f.defaultValue && f.defaultValue.kind === 'expression')
+        ));
+        const keyChanged = this.normalizeColumns(target.primaryKey || []) !== this.normalizeColumns(source.primaryKey || []);
+        const constraintChanged = [...indexChanges.removed, ...indexChanges.added].some(index => index.constraint);
+
+        return modified || removed || unsupportedAdd || keyChanged || constraintChanged ||
+            foreignKeyChanges.removed.length > 0 || foreignKeyChanges.added.length > 0;
+    }
+
+    // SQLite's documented 12-step procedure: create the new shape, copy rows, swap names, recreate indexes
+    rebuildTable(tableName, target, source) {
+        const tempName = `${tableName}_new`;
+        const targetNames = new Set(target.fields.map(f => f.name.toLowerCase()));
+        const copied = source.fields
+            .filter(f => targetNames.has(f.name.toLowerCase()))
+            .map(f => this.quote(f.name))
+            .join(', ');
+
+        this.statements.push(`-- SQLite 不支持直接修改列或约束，通过重建表 ${tableName} 完成`);
+        this.statements.push('PRAGMA foreign_keys = OFF;');
+        this.statements.push('BEGIN TRANSACTION;');
+        this.statements.push(this.buildCreateTable(source, tempName));
+        if (copied) {
+            this.statements.push(`INSERT INTO ${this.quote(tempName)} (${copied}) SELECT ${copied} FROM ${this.quote(tableName)};`);
+        }
+        this.statements.push(`DROP TABLE ${this.quote(tableName)};`);
+        this.statements.push(`ALTER TABLE ${this.quote(tempName)} RENAME TO ${this.quote(tableName)};`);
+        for (const index of (source.indexes || []).filter(index => !index.constraint)) {
+            this.statements.push(this.addIndexStatement(tableName, index));
+        }
+        this.statements.push('PRAGMA foreign_key_check;');
+        this.statements.push('COMMIT;');
+        this.statements.push('PRAGMA foreign_keys = ON;');
+    }
+
+    // Match items by identity; changed items are reported as removed + added
+    diffByKey(targetItems, sourceItems, identity, signature) {
+        const targetMap = new Map(targetItems.map(item => [identity(item).toLowerCase(), item]));
+        const sourceMap = new Map(sourceItems.map(item => [identity(item).toLowerCase(), item]));
+        const removed = [];
+        const added = [];
+
+        for (const [key, item] of targetMap) {
+            const sourceItem = sourceMap.get(key);
+            if (!sourceItem || signature(sourceItem) !== signature(item)) removed.push(item);
+        }
+        for (const [key, item] of sourceMap) {
+            const targetItem = targetMap.get(key);
+            if (!targetItem || signature(targetItem) !== signature(item)) added.push(item);
+        }
+
+        return { removed, added };
+    }
+
+    // Table indexes plus column-level UNIQUE (named after the column as MySQL does)
+    collectIndexes(table) {
+        const columnUniques = table.fields
+            .filter(field => field.isUnique)
+            .map(field => ({
+                name: this.dialect === 'postgresql' ? `${table.tableName}_${field.name}_key` : field.name,
+                unique: true,
+                constraint: true,
+                kind: null,
+                using: null,
+                columns: [{ name: field.name }]
+            }));
+        return [...(table.indexes || []), ...columnUniques];
+    }
+
+    // Comparable form of an index: type, columns with prefix length and order; BTREE is the default method
+    indexSignature(index) {
+        const columns = index.columns.map(column =>
+            `${(column.name || column.expression || '').toLowerCase()}(${column.length || ''})${column.order === 'DESC' ? ' desc' : ''}`);
+        const using = index.using && index.using.toUpperCase() !== 'BTREE' ? index.using.toUpperCase() : '';
+        return `${index.kind || (index.unique ? 'UNIQUE' : 'INDEX')}|${using}|${columns.join(',')}`;
+    }
+
+    foreignKeySignature(foreignKey) {
+        return [
+            foreignKey.columns.join(','),
+            foreignKey.refTable,
+            foreignKey.refColumns.join(','),
+            foreignKey.onDelete || '',
+            foreignKey.onUpdate || ''
+        ].join('|').toLowerCase();
+    }
+
+    // Check for DROP INDEX
+    // Unnamed indexes carry the server's default name: MySQL uses the first column,
+    // PostgreSQL <table>_<columns>_key for UNIQUE constraints and <table>_<columns>_idx for indexes
+    dropIndexes(tableName, indexes) {
+        for (const index of indexes) {
+            const columnNames = index.columns.map(column => column.name).filter(Boolean);
+            let name = index.name;
+
+            if (this.dialect === 'mysql') {
+                name = name || columnNames[0];
+                this.statements.push(`ALTER TABLE ${this.quote(tableName)} DROP INDEX ${this.quote(name)};`);
+            } else if (this.dialect === 'postgresql' && index.constraint) {
+                name = name || `${tableName}_${columnNames.join('_')}_key`;
+                this.statements.push(`ALTER TABLE ${this.quote(tableName)} DROP CONSTRAINT ${this.quote(name)};`);
+            } else {
+                name = name || `${tableName}_${columnNames.join('_')}_idx`;
+                this.statements.push(`DROP INDEX ${this.quote(name)};`);
+            }
+        }
+    }
+
+    // ADD INDEX for MySQL; CREATE INDEX / ADD CONSTRAINT ... UNIQUE elsewhere
+    addIndexStatement(tableName, index) {
+        if (this.dialect === 'mysql') {
+            return `ALTER TABLE ${this.quote(tableName)} ADD ${this.indexDefinition(index, 'INDEX')};`;
+        }
+
+        const columns = this.indexColumnList(index);
+        if (this.dialect === 'postgresql' && index.constraint) {
+            const name = index.name ? `CONSTRAINT ${this.quote(index.name)} ` : '';
+            return `ALTER TABLE ${this.quote(tableName)} ADD ${name}UNIQUE (${columns});`;
+        }
+
+        const name = index.name ? `${this.quote(index.name)} ` : '';
+        const using = this.dialect === 'postgresql' && index.using ? ` USING ${index.using.toLowerCase()}` : '';
+        return `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${name}ON ${this.quote(tableName)}${using} (${columns});`;
+    }
+
+    // Check for DROP FOREIGN KEY; unnamed constraints get the server's generated name
+    // (MySQL <table>_ibfk_<n>, PostgreSQL <table>_<columns>_fkey)
+    dropForeignKeys(tableName, foreignKeys, allForeignKeys) {
+        const unnamed = allForeignKeys.filter(foreignKey => !foreignKey.name);
+
+        for (const foreignKey of foreignKeys) {
+            if (!foreignKey.name) {
+                this.statements.push(`-- 外键 (${foreignKey.columns.join(', ')}) 未命名，请确认实际约束名`);
+            }
+
+            if (this.dialect === 'postgresql') {
+                const name = foreignKey.name || `${tableName}_${foreignKey.columns.join('_')}_fkey`;
+                this.statements.push(`ALTER TABLE ${this.quote(tableName)} DROP CONSTRAINT ${this.quote(name)};`);
+            } else {
+                const name = foreignKey.name || `${tableName}_ibfk_${unnamed.indexOf(foreignKey) + 1}`;
+                this.statements.push(`ALTER TABLE ${this.quote(tableName)} DROP FOREIGN KEY ${this.quote(name)};`);
+            }
+        }
+    }
+
+    // Check for primary key changes
+    checkPrimaryKey(tableName, target, source) {
+        const targetKey = target.primaryKey || [];
+        const sourceKey = source.primaryKey || [];
+        if (this.normalizeColumns(targetKey) === this.normalizeColumns(sourceKey)) return;
+
+        const alter = `ALTER TABLE ${this.quote(tableName)}`;
+        const columns = sourceKey.map(name => this.quote(name)).join(', ');
+        const start = this.statements.length;
+
+        // PostgreSQL drops the key by constraint name (default <table>_pkey)
+        let dropKey = 'DROP PRIMARY KEY';
+        if (this.dialect === 'postgresql') {
+            const declared = target.ast && target.ast.primaryKey;
+            dropKey = `DROP CONSTRAINT ${this.quote((declared && declared.name) || `${tableName}_pkey`)}`;
+        }
+
+        if (targetKey.length > 0 && sourceKey.length > 0) {
+            this.statements.push(`${alter} ${dropKey}, ADD PRIMARY KEY (${columns});`);
+        } else if (sourceKey.length > 0) {
+            this.statements.push(`${alter} ADD PRIMARY KEY (${columns});`);
+        } else {
+            this.statements.push(`${alter} ${dropKey};`);
+        }
+        this.flagRisks([{ level: 'lock', reason: `修改表 ${tableName} 的主键需要重建表` }], start);
+    }
+
+    normalizeColumns(columns) {
+        return columns.map(name => name.toLowerCase()).join(',');
+    }
+
+    // Pair dropped and created tables whose columns mostly match (same name and type)
+    // Best pairs first; below the threshold the tables are treated as unrelated
+    detectRenames(removedTables, addedTables, threshold = 0.7) {
+        const signature = (field) => `${field.name.toLowerCase()} ${field.type.toLowerCase().replace(/\s+/g, '')}`;
+        const candidates = [];
+
+        for (const from of removedTables) {
+            const fromColumns = new Set(from.fields.map(signature));
+            for (const to of addedTables) {
+                const common = to.fields.filter(field => fromColumns.has(signature(field))).length;
+                const similarity = common / Math.max(from.fields.length, to.fields.length);
+                if (similarity >= threshold) {
+                    candidates.push({ from, to, similarity });
+                }
+            }
+        }
+
+        candidates.sort((a, b) => b.similarity - a.similarity);
+
+        const renames = [];
+        const used = new Set();
+        for (const candidate of candidates) {
+            if (used.has(candidate.from) || used.has(candidate.to)) continue;
+            used.add(candidate.from);
+            used.add(candidate.to);
+            renames.push(candidate);
+        }
+        return renames;
+    }
+
+    // Parse DDL into { tables } via the schema parser; empty input is an empty schema
     parseDDL(ddl) {
-        // Reuse global parseMySQLDDL from parsers/mysql-parser.js
-        // We might need to enhance the parser strictly for diffing if needed
-        // For now, rely on consistent formatting or re-parsing
-        if (!ddl || !ddl.trim()) return null;
+        if (!ddl || !ddl.trim()) return { tables: [] };
 
-        // Improve robustness: Try to identify DDL type or assume MySQL
-        // Since diff feature is primarily asked for DDLs, we use MySQL parser
-        // If PostgreSQL/SQLite needed later, we can add detection logic
-        const result = parseMySQLDDL(ddl);
+        const result = parseDDLSchema(ddl, this.dialect);
 
         if (result.error) {
             console.error("Diff Parse Error:", result.error);
             return null;
         }
 
-        // Enrich fields with original raw definition if possible, 
-        // to make reconstruction easier. 
-        // Since we don't have raw line in result, we might need to rely on what we have
-        // or re-parse locally if needed. 
-        // Actually, let's add a helper to reconstruct definition from parsed fields
-        result.fields.forEach(field => {
-            field.fullDefinition = this.reconstructDefinition(field);
+        // Every field carries its AST column (type params, charset, collation, generated expression),
+        // so the definition can be rebuilt without re-reading the DDL text
+        result.tables.forEach(table => {
+            table.fields.forEach(field => {
+                field.fullDefinition = this.reconstructDefinition(field);
+            });
         });
 
         return result;
     }
 
+    // CREATE TABLE plus what the dialect keeps outside it (PostgreSQL / SQLite indexes, PostgreSQL comments)
+    createTableStatements(table) {
+        const statements = [this.buildCreateTable(table)];
+        if (this.dialect === 'mysql') return statements;
+
+        for (const index of table.indexes.filter(index => !index.constraint)) {
+            statements.push(this.addIndexStatement(table.tableName, index));
+        }
+
+        if (this.dialect === 'postgresql') {
+            const options = (table.ast && table.ast.options) || {};
+            if (options.comment) {
+                statements.push(`COMMENT ON TABLE ${this.quote(table.tableName)} IS ${this.quoteString(options.comment)};`);
+            }
+            for (const field of table.fields) {
+                const comment = this.getComment(field);
+                if (comment) statements.push(this.columnCommentStatement(table.tableName, field.name, comment));
+            }
+        }
+
+        return statements;
+    }
+
+    // Rebuild a complete CREATE TABLE statement from a parsed table
+    buildCreateTable(table, tableName = table.tableName) {
+        const mysql = this.dialect === 'mysql';
+
+        // SQLite AUTOINCREMENT only exists as INTEGER PRIMARY KEY AUTOINCREMENT on the column
+        const inlineKey = this.dialect === 'sqlite' && table.primaryKey.length === 1 &&
+            table.fields.some(f => f.isAutoIncrement && f.name.toLowerCase() === table.primaryKey[0].toLowerCase());
+
+        const lines = table.fields.map(field => {
+            let def = field.fullDefinition;
+            if (inlineKey && field.isAutoIncrement) def += ' PRIMARY KEY AUTOINCREMENT';
+            return `  ${this.quote(field.name)} ${def}`;
+        });
+
+        if (table.primaryKey.length > 0 && !inlineKey) {
+            lines.push(`  PRIMARY KEY (${table.primaryKey.map(name => this.quote(name)).join(', ')})`);
+        }
+        for (const index of this.collectIndexes(table)) {
+            if (mysql) {
+                lines.push(`  ${this.indexDefinition(index)}`);
+            } else if (index.constraint) {
+                const name = index.name ? `CONSTRAINT ${this.quote(index.name)} ` : '';
+                lines.push(`  ${name}UNIQUE (${this.indexColumnList(index)})`);
+            }
+        }
+        for (const foreignKey of table.foreignKeys) {
+            lines.push(`  ${this.foreignKeyDefinition(foreignKey)}`);
+        }
+
+        let tableOptions = '';
+        if (mysql) {
+            const options = (table.ast && table.ast.options) || {};
+            if (options.engine) tableOptions += ` ENGINE=${options.engine}`;
+            if (options.charset) tableOptions += ` DEFAULT CHARSET=${options.charset}`;
+            if (options.collation) tableOptions += ` COLLATE=${options.collation}`;
+            if (options.comment) tableOptions += ` COMMENT=${this.quoteString(options.comment)}`;
+        }
+
+        return `CREATE TABLE ${this.quote(tableName)} (\n${lines.join(',\n')}\n)${tableOptions};`;
+    }
+
+    // Index clause: UNIQUE KEY `uk_a` (`a`(10), `b` DESC) inside CREATE TABLE, UNIQUE INDEX ... for ALTER TABLE ADD
+    indexDefinition(index, keyword = 'KEY') {
+        const type = index.kind ? `${index.kind} ${keyword}` : (index.unique ? `UNIQUE ${keyword}` : keyword);
+        const name = index.name ? ` ${this.quote(index.name)}` : '';
+        const using = index.using ? ` USING ${index.using.toUpperCase()}` : '';
+        return `${type}${name} (${this.indexColumnList(index)})${using}`;
+    }
+
+    // `a`(10), `b` DESC — prefix lengths are MySQL only
+    indexColumnList(index) {
+        return index.columns.map(column => {
+            let part = column.name ? this.quote(column.name) : `(${column.expression})`;
+            if (column.length && this.dialect === 'mysql') part += `(${column.length})`;
+            if (column.order === 'DESC') part += ' DESC';
+            return part;
+        }).join(', ');
+    }
+
+    // Foreign key clause: CONSTRAINT `fk` FOREIGN KEY (`a`) REFERENCES `t` (`id`) ON DELETE CASCADE
+    foreignKeyDefinition(foreignKey) {
+        const quoteList = (names) => names.map(name => this.quote(name)).join(', ');
+        let def = foreignKey.name ? `CONSTRAINT ${this.quote(foreignKey.name)} ` : '';
+        def += `FOREIGN KEY (${quoteList(foreignKey.columns)}) REFERENCES ${this.quote(foreignKey.refTable)} (${quoteList(foreignKey.refColumns)})`;
+        if (foreignKey.onDelete) def += ` ON DELETE ${foreignKey.onDelete}`;
+        if (foreignKey.onUpdate) def += ` ON UPDATE ${foreignKey.onUpdate}`;
+        return def;
+    }
+
     // Reconstruct SQL definition from parsed field
     reconstructDefinition(field) {
-        // This is a "best effort" reconstruction. 
-        // Ideally we capture this during parsing, but for now we build it.
+        const column = field.column || {};
         let def = `${field.type}`;
 
-        if (field.isUnsigned) def += ` UNSIGNED`; // Parsing needs to support isUnsigned property
-        if (!field.nullable) def += ` NOT NULL`;
-        if (field.isAutoIncrement) def += ` AUTO_INCREMENT`;
+        if (this.dialect === 'mysql') {
+            if (field.isUnsigned) def += ` UNSIGNED`;
+            if (column.charset) def += ` CHARACTER SET ${column.charset}`;
+            if (column.collation) def += ` COLLATE ${column.collation}`;
+        } else if (column.collation) {
+            def += ` COLLATE ${this.quote(column.collation)}`;
+        }
+
+        if (column.identity) {
+            def += ` GENERATED ${column.identity.mode} AS IDENTITY`;
+        }
+        if (column.generated) {
+            const storage = column.generated.stored ? 'STORED' : (this.dialect === 'postgresql' ? 'STORED' : 'VIRTUAL');
+            def += ` GENERATED ALWAYS AS (${column.generated.expression}) ${storage}`;
+        }
+        if (!field.nullable && !column.identity) def += ` NOT NULL`;
+        if (column.defaultValue) def += ` DEFAULT ${column.defaultValue.raw}`;
 
-        // Default value handling would be good here if parser supported it
+        if (this.dialect === 'mysql') {
+            if (column.onUpdate) def += ` ON UPDATE ${column.onUpdate.raw}`;
+            if (field.isAutoIncrement) def += ` AUTO_INCREMENT`;
 
-        if (field.comment) def += ` COMMENT '${field.comment}'`;
+            const comment = this.getComment(field);
+            if (comment) def += ` COMMENT ${this.quoteString(comment)}`;
+        }
 
         return def;
     }
 
+    // Only the comment written in the DDL; field.comment falls back to the column name
+    getComment(field) {
+        return (field.column ? field.column.comment : field.comment) || '';
+    }
+
+    // Identifier quoting: `name` for MySQL, "name" for PostgreSQL and SQLite
+    quote(name) {
+        return this.dialect === 'mysql'
+            ? `\`${name.replace(/`/g, '``')}\``
+            : `"${name.replace(/"/g, '""')}"`;
+    }
+
+    // Quote a string literal for SQL output (backslashes only escape in MySQL)
+    quoteString(value) {
+        let text = String(value);
+        if (this.dialect === 'mysql') text = text.replace(/\\/g, '\\\\');
+        return `'${text.replace(/'/g, "''")}'`;
+    }
+
+    // COMMENT ON COLUMN t.c IS '...' (PostgreSQL); an empty comment removes it
+    columnCommentStatement(tableName, columnName, comment) {
+        const value = comment ? this.quoteString(comment) : 'NULL';
+        return `COMMENT ON COLUMN ${this.quote(tableName)}.${this.quote(columnName)} IS ${value};`;
+    }
+
     // Check for ADD COLUMN
+    // MySQL places the column after its predecessor in the source DDL (or FIRST)
     checkNewColumns(tableName, targetFields, sourceFields) {
         const targetNames = new Set(targetFields.map(f => f.name.toLowerCase()));
 
-        sourceFields.forEach(sField => {
+        sourceFields.forEach((sField, index) => {
             if (!targetNames.has(sField.name.toLowerCase())) {
-                // Determine position (AFTER x)
-                // For simplicity, we just add it. Advanced: find previous field.
-                const statement = `ALTER TABLE \`${tableName}\` ADD COLUMN \`${sField.name}\` ${this.getRawDefinitionFromSource(sField)};`;
+                if (this.undoSafeMode) {
+                    this.statements.push(`-- 安全模式未删除列 ${tableName}.${sField.name}，无需恢复`);
+                    return;
+                }
+                const position = this.dialect === 'mysql' ? this.columnPosition(sourceFields, index) : '';
+                const statement = `ALTER TABLE ${this.quote(tableName)} ADD COLUMN ${this.quote(sField.name)} ${this.getRawDefinitionFromSource(sField)}${position};`;
                 this.statements.push(statement);
+
+                const comment = this.getComment(sField);
+                if (this.dialect === 'postgresql' && comment) {
+                    this.statements.push(this.columnCommentStatement(tableName, sField.name, comment));
+                }
             }
         });
     }
 
+    // " AFTER `prev`" or " FIRST" for the field at sourceFields[index]
+    columnPosition(sourceFields, index) {
+        return index === 0 ? ' FIRST' : ` AFTER ${this.quote(sourceFields[index - 1].name)}`;
+    }
+
+    // Existing columns (lower-cased names, in source order) whose position differs from the source DDL
+    // Column order after the ADD COLUMNs is simulated first; the longest run already in source order
+    // stays put and every other column is moved, which is the fewest moves possible
+    findMovedColumns(targetFields, sourceFields) {
+        const key = (field) => field.name.toLowerCase();
+        const sourceNames = sourceFields.map(key);
+        const order = targetFields.map(key);
+
+        // Only MySQL can ADD COLUMN in place; elsewhere new columns end up last
+        sourceNames.forEach((name, index) => {
+            if (order.includes(name)) return;
+            const at = this.dialect !== 'mysql' ? order.length : order.indexOf(sourceNames[index - 1]) + 1;
+            order.splice(at, 0, name);
+        });
+
+        const positions = order.filter(name => sourceNames.includes(name)).map(name => sourceNames.indexOf(name));
+        const kept = new Set(longestIncreasingSubsequence(positions));
+        return sourceNames.filter((name, index) => !kept.has(index));
+    }
+
+    // Move columns into source order: MODIFY COLUMN ... AFTER `prev` (MySQL only)
+    // Moves run in source order, so each predecessor is already in place
+    reorderColumns(tableName, targetFields, sourceFields, moved) {
+        if (moved.length === 0) return;
+        const targetMap = new Map(targetFields.map(f => [f.name.toLowerCase(), f]));
+
+        if (this.dialect === 'postgresql') {
+            this.statements.push(`-- PostgreSQL 不支持调整列顺序，以下列位置与设计不同: ${moved.join(', ')}`);
+            return;
+        }
+
+        this.statements.push(`-- 调整列顺序: ${tableName}`);
+        sourceFields.forEach((sField, index) => {
+            if (!moved.includes(sField.name.toLowerCase())) return;
+            this.statements.push(`ALTER TABLE ${this.quote(tableName)} MODIFY COLUMN ${this.quote(sField.name)} ${this.getRawDefinitionFromSource(sField)}${this.columnPosition(sourceFields, index)};`);
+            const tField = targetMap.get(sField.name.toLowerCase());
+            if (this.requiresTableCopy(tField, sField)) {
+                this.copyStatements.add(this.statements[this.statements.length - 1]);
+            }
+
+            // Moving a column always copies the table; a changed definition adds its own risks
+            const risks = this.columnRisks(tableName, tField, sField)
+                .filter(risk => risk.level === 'danger');
+            risks.push({ level: 'lock', reason: `调整列 ${tableName}.${sField.name} 的位置需要复制整表` });
+            this.flagRisks(risks);
+        });
+    }
+
     // Check for MODIFY COLUMN
     checkModifiedColumns(tableName, targetFields, sourceFields) {
         const targetMap = new Map(targetFields.map(f => [f.name.toLowerCase(), f]));
@@ -113,52 +785,485 @@ class DiffEngine {
             const tField = targetMap.get(sField.name.toLowerCase());
             if (tField) {
                 // Compare logic
-                if (this.isDifferent(tField, sField)) {
-                    const statement = `ALTER TABLE \`${tableName}\` MODIFY COLUMN \`${sField.name}\` ${this.getRawDefinitionFromSource(sField)};`;
+                if (!this.isDifferent(tField, sField)) return;
+
+                const start = this.statements.length;
+                if (this.dialect === 'postgresql') {
+                    this.statements.push(...this.alterColumnPostgreSQL(tableName, tField, sField));
+                } else {
+                    const statement = `ALTER TABLE ${this.quote(tableName)} MODIFY COLUMN ${this.quote(sField.name)} ${this.getRawDefinitionFromSource(sField)};`;
                     this.statements.push(statement);
+                    if (this.requiresTableCopy(tField, sField)) this.copyStatements.add(statement);
                 }
+                this.flagRisks(this.columnRisks(tableName, tField, sField), start);
             }
         });
     }
 
+    // PostgreSQL changes one attribute per ALTER COLUMN action
+    alterColumnPostgreSQL(tableName, tField, sField) {
+        const statements = [];
+        const alter = `ALTER TABLE ${this.quote(tableName)} ALTER COLUMN ${this.quote(sField.name)}`;
+        const tColumn = tField.column || {};
+        const sColumn = sField.column || {};
+        const lower = (value) => (value || '').toLowerCase();
+
+        // Generated expressions cannot be altered: recreate the column
+        const generatedText = (column) => column.generated ? column.generated.expression.replace(/\s+/g, '') : '';
+        if (generatedText(tColumn) !== generatedText(sColumn)) {
+            statements.push(`-- PostgreSQL 无法修改生成列表达式，重建列 ${sField.name}`);
+            statements.push(`ALTER TABLE ${this.quote(tableName)} DROP COLUMN ${this.quote(sField.name)};`);
+            statements.push(`ALTER TABLE ${this.quote(tableName)} ADD COLUMN ${this.quote(sField.name)} ${this.getRawDefinitionFromSource(sField)};`);
+            return statements;
+        }
+
+        // Type (and collation, which is part of the type)
+        // USING is only needed between type families (text -> integer), judged by the Go type they map to
+        const normalizeType = (type) => type.toLowerCase().replace(/\s+/g, '');
+        if (normalizeType(tField.type) !== normalizeType(sField.type) || lower(tColumn.collation) !== lower(sColumn.collation)) {
+            const family = (type) => TypeMapper.mapToGo('postgresql', type);
+            const collate = sColumn.collation ? ` COLLATE ${this.quote(sColumn.collation)}` : '';
+            const using = family(tField.type) !== family(sField.type)
+                ? ` USING ${this.quote(sField.name)}::${sField.type}`
+                : '';
+            statements.push(`${alter} TYPE ${sField.type}${collate}${using};`);
+        }
+
+        if (!!tColumn.identity !== !!sColumn.identity) {
+            statements.push(sColumn.identity
+                ? `${alter} ADD GENERATED ${sColumn.identity.mode} AS IDENTITY;`
+                : `${alter} DROP IDENTITY IF EXISTS;`);
+        }
+
+        // The default comes first: SET NOT NULL fails on existing NULL rows, which are backfilled with it
+        const hasDefault = !!sColumn.defaultValue && sColumn.defaultValue.kind !== 'null';
+        if (this.normalizeDefault(tColumn.defaultValue) !== this.normalizeDefault(sColumn.defaultValue)) {
+            statements.push(hasDefault
+                ? `${alter} SET DEFAULT ${sColumn.defaultValue.raw};`
+                : `${alter} DROP DEFAULT;`);
+        }
+
+        if (tField.nullable !== sField.nullable && !sColumn.identity) {
+            if (!sField.nullable && hasDefault) {
+                const column = this.quote(sField.name);
+                statements.push(`UPDATE ${this.quote(tableName)} SET ${column} = ${sColumn.defaultValue.raw} WHERE ${column} IS NULL;`);
+            }
+            statements.push(`${alter} ${sField.nullable ? 'DROP' : 'SET'} NOT NULL;`);
+        }
+
+        if (this.getComment(tField) !== this.getComment(sField)) {
+            statements.push(this.columnCommentStatement(tableName, sField.name, this.getComment(sField)));
+        }
+
+        return statements;
+    }
+
     // Check for DROP COLUMN
     checkRemovedColumns(tableName, targetFields, sourceFields) {
         const sourceNames = new Set(sourceFields.map(f => f.name.toLowerCase()));
 
         targetFields.forEach(tField => {
             if (!sourceNames.has(tField.name.toLowerCase())) {
-                const statement = `ALTER TABLE \`${tableName}\` DROP COLUMN \`${tField.name}\`;`;
+                const statement = `ALTER TABLE ${this.quote(tableName)} DROP COLUMN ${this.quote(tField.name)};`;
                 this.statements.push(statement);
+                this.flagRisks([{ level: 'danger', reason: `删除列 ${tableName}.${tField.name} 及其数据` }]);
+            }
+        });
+    }
+
+    // Attach risks to the statements pushed since `start` (default: the last statement)
+    flagRisks(risks, start = this.statements.length - 1) {
+        const end = this.statements.length - 1;
+        if (end < start) return;
+        for (const risk of risks) {
+            this.risks.push({ ...risk, start, end });
+        }
+    }
+
+    // Data-loss and locking risks of changing column tField into sField
+    columnRisks(tableName, tField, sField) {
+        const risks = [];
+        if (!tField) return risks;
+
+        const label = `${tableName}.${sField.name}`;
+        const tColumn = tField.column || {};
+        const sColumn = sField.column || {};
+        const lower = (value) => (value || '').toLowerCase();
+
+        const narrowing = this.describeNarrowing(tField, sField);
+        if (narrowing) {
+            risks.push({ level: 'danger', reason: `列 ${label} ${narrowing}` });
+        }
+        if (tField.nullable && !sField.nullable && !sColumn.defaultValue && !sColumn.identity && !sField.isAutoIncrement) {
+            risks.push({ level: 'danger', reason: `列 ${label} 改为 NOT NULL 且无默认值，已有 NULL 值会报错或被改写` });
+        }
+        if (this.dialect === 'mysql' && lower(tColumn.charset) !== lower(sColumn.charset)) {
+            risks.push({ level: 'danger', reason: `列 ${label} 字符集 ${tColumn.charset || '默认'} → ${sColumn.charset || '默认'}，可能产生乱码或截断` });
+        }
+
+        if (this.dialect === 'sqlite') return risks;
+
+        if (this.requiresTableCopy(tField, sField)) {
+            risks.push({
+                level: 'lock',
+                reason: this.dialect === 'postgresql'
+                    ? `修改列 ${label} 的类型会重写整表并持有 ACCESS EXCLUSIVE 锁`
+                    : `修改列 ${label} 的类型需要复制整表（ALGORITHM=COPY），期间阻塞写入`
+            });
+        } else if (this.dialect === 'postgresql' && tField.nullable && !sField.nullable) {
+            risks.push({ level: 'lock', reason: `列 ${label} SET NOT NULL 需要全表扫描并持有 ACCESS EXCLUSIVE 锁` });
+        }
+
+        return risks;
+    }
+
+    // A changed type, charset or collation rewrites every row, unless it only widens a VARCHAR
+    requiresTableCopy(tField, sField) {
+        const tColumn = tField.column || {};
+        const sColumn = sField.column || {};
+        const lower = (value) => (value || '').toLowerCase();
+        const normalizeType = (type) => type.toLowerCase().replace(/\s+/g, '');
+
+        const typeChanged = normalizeType(tField.type) !== normalizeType(sField.type) ||
+            !!tField.isUnsigned !== !!sField.isUnsigned ||
+            lower(tColumn.charset) !== lower(sColumn.charset) ||
+            lower(tColumn.collation) !== lower(sColumn.collation);
+
+        return typeChanged && !this.isInPlaceWidening(tField, sField);
+    }
+
+    // Why a type change may lose data ("类型 bigint → int 范围缩小"), or null when every old value still fits
+    describeNarrowing(tField, sField) {
+        if (this.dialect === 'sqlite') return null;  // SQLite does not enforce declared types
+
+        const from = this.typeCapacity(tField);
+        const to = this.typeCapacity(sField);
+        const change = `类型 ${tField.type}${tField.isUnsigned ? ' UNSIGNED' : ''} → ${sField.type}${sField.isUnsigned ? ' UNSIGNED' : ''}`;
+
+        if (from.family !== to.family) {
+            // Unbounded text holds anything; numbers fit in 40 characters
+            if (to.family === 'string' && (to.size === Infinity || (['integer', 'decimal', 'float'].includes(from.family) && to.size >= 40))) {
+                return null;
+            }
+            return `${change} 跨类型转换，可能失败或丢失数据`;
+        }
+
+        switch (from.family) {
+            case 'integer':
+                // Signed -> unsigned loses negatives; unsigned -> signed needs one more bit
+                if (to.bits < from.bits || (!from.unsigned && to.unsigned) || (from.unsigned && !to.unsigned && to.bits === from.bits)) {
+                    return `${change} 取值范围缩小`;
+                }
+                return null;
+            case 'decimal':
+                if (to.scale < from.scale || to.precision - to.scale < from.precision - from.scale) {
+                    return `${change} 精度降低`;
+                }
+                return null;
+            case 'float':
+                return to.bits < from.bits ? `${change} 精度降低` : null;
+            case 'string':
+            case 'binary':
+                return to.size < from.size ? `${change} 长度缩短，超长数据会被截断` : null;
+            default:
+                return null;
+        }
+    }
+
+    // Family and capacity of a column type, for narrowing checks
+    typeCapacity(field) {
+        const type = field.type.toLowerCase().replace(/\s+/g, ' ').trim();
+        const base = type.replace(/\s*\(.*$/, '');
+        const integerBits = { tinyint: 8, smallint: 16, smallserial: 16, int2: 16, mediumint: 24, int: 32, integer: 32, serial: 32, int4: 32, bigint: 64, bigserial: 64, int8: 64 };
+        const textSizes = { tinytext: 255, text: 65535, mediumtext: 16777215, longtext: 4294967295 };
+        const blobSizes = { tinyblob: 255, blob: 65535, mediumblob: 16777215, longblob: 4294967295 };
+
+        if (/^tinyint\(1\)/.test(type) && this.dialect === 'mysql') {
+            return { family: 'integer', bits: 8, unsigned: !!field.isUnsigned };
+        }
+        if (integerBits[base]) {
+            return { family: 'integer', bits: integerBits[base], unsigned: !!field.isUnsigned };
+        }
+        if (/^(decimal|numeric|dec|fixed)$/.test(base)) {
+            // Unqualified NUMERIC is unbounded in PostgreSQL and DECIMAL(10,0) in MySQL
+            const unbounded = (field.precision === null || field.precision === undefined) && this.dialect === 'postgresql';
+            return {
+                family: 'decimal',
+                precision: unbounded ? Infinity : (field.precision || 10),
+                scale: unbounded ? Infinity : (field.scale || 0)
+            };
+        }
+        if (/^(float|real|float4)$/.test(base)) return { family: 'float', bits: 32 };
+        if (/^(double|double precision|float8)$/.test(base)) return { family: 'float', bits: 64 };
+        if (textSizes[base] !== undefined) {
+            return { family: 'string', size: this.dialect === 'postgresql' ? Infinity : textSizes[base] };
+        }
+        if (/^(varchar|char|character|character varying|nvarchar|nchar)$/.test(base)) {
+            return { family: 'string', size: field.size || (this.dialect === 'postgresql' && base !== 'char' && base !== 'character' ? Infinity : 1) };
+        }
+        if (blobSizes[base] !== undefined) return { family: 'binary', size: blobSizes[base] };
+        if (/^(varbinary|binary)$/.test(base)) return { family: 'binary', size: field.size || 1 };
+        if (base === 'bytea') return { family: 'binary', size: Infinity };
+
+        return { family: TypeMapper.mapToGo(this.dialect, field.type), size: Infinity };
+    }
+
+    // Widening a VARCHAR is metadata-only: always in PostgreSQL, and in MySQL while the
+    // length prefix stays one byte (< 256) or was already two bytes
+    isInPlaceWidening(tField, sField) {
+        const from = this.typeCapacity(tField);
+        const to = this.typeCapacity(sField);
+        const baseOf = (field) => field.type.toLowerCase().replace(/\s*\(.*$/, '');
+        if (baseOf(tField) !== baseOf(sField) || !/varchar|character varying/.test(baseOf(tField))) return false;
+        if (to.size < from.size) return false;
+
+        const tColumn = tField.column || {};
+        const sColumn = sField.column || {};
+        if ((tColumn.charset || '') !== (sColumn.charset || '') || (tColumn.collation || '') !== (sColumn.collation || '')) return false;
+
+        return this.dialect === 'postgresql' || (from.size < 256) === (to.size < 256);
+    }
+
+    // A rebuilt SQLite table is copied row by row; dropped columns are gone afterwards
+    rebuildRisks(tableName, target, source) {
+        const sourceMap = new Map(source.fields.map(f => [f.name.toLowerCase(), f]));
+        const dropped = target.fields.filter(f => !sourceMap.has(f.name.toLowerCase())).map(f => f.name);
+        const risks = [];
+
+        if (dropped.length > 0) {
+            risks.push({ level: 'danger', reason: `重建表 ${tableName} 将删除列 ${dropped.join(', ')} 及其数据` });
+        }
+        for (const tField of target.fields) {
+            const sField = sourceMap.get(tField.name.toLowerCase());
+            if (!sField) continue;
+            risks.push(...this.columnRisks(tableName, tField, sField));
+            // INSERT ... SELECT copies NULLs as they are, so even a column default does not help
+            if (tField.nullable && !sField.nullable && (sField.column || {}).defaultValue) {
+                risks.push({ level: 'danger', reason: `重建表 ${tableName} 时列 ${sField.name} 改为 NOT NULL，已有 NULL 值会使数据复制失败` });
             }
+        }
+        risks.push({ level: 'lock', reason: `重建表 ${tableName} 需要复制全部数据` });
+        return risks;
+    }
+
+    // Put "-- [数据丢失] reason" above each risky statement; in safe mode data-loss statements are commented out
+    annotateRisks(statements, safeMode = false) {
+        const output = [];
+        const disabled = (index) => safeMode && this.risks.some(risk => risk.level === 'danger' && index >= risk.start && index <= risk.end);
+
+        if (safeMode && this.risks.some(risk => risk.level === 'danger')) {
+            output.push('-- 安全模式：可能丢失数据的语句已注释，确认后请手动取消注释');
+        }
+
+        statements.forEach((statement, index) => {
+            for (const risk of this.risks.filter(r => r.start === index)) {
+                output.push(`-- [${RISK_LEVELS[risk.level]}] ${risk.reason}`);
+            }
+            output.push(disabled(index) && !statement.startsWith('--')
+                ? statement.split('\n').map(line => `-- ${line}`).join('\n')
+                : statement);
         });
+
+        return output;
+    }
+
+    // Merge each table's consecutive ALTER TABLE statements into one ALTER (combined) or one tool command
+    // Notes, risk comments and commented-out statements move above the merged statement;
+    // CREATE / DROP / RENAME TABLE are fast and stay as they are
+    formatOnlineChanges(lines, mode) {
+        const output = [];
+        let comments = [];
+        let group = null;
+
+        const flush = () => {
+            if (group) output.push(...this.formatAlterGroup(group, mode));
+            group = null;
+        };
+
+        for (const line of lines) {
+            if (line.startsWith('--')) {
+                comments.push(line);
+                continue;
+            }
+
+            const match = line.match(/^ALTER TABLE (`(?:[^`]|``)+`) ([\s\S]*);$/);
+            if (match && group && group.table === match[1]) {
+                group.comments.push(...comments);
+                group.clauses.push(match[2]);
+            } else if (match) {
+                flush();
+                group = { table: match[1], clauses: [match[2]], comments };
+            } else {
+                flush();
+                output.push(...comments, line);
+            }
+            comments = [];
+        }
+        flush();
+        output.push(...comments);
+
+        return output;
+    }
+
+    formatAlterGroup(group, mode) {
+        const tableName = group.table.slice(1, -1).replace(/``/g, '`');
+        const dropForeignKeys = group.clauses.filter(clause => /^DROP FOREIGN KEY\b/.test(clause));
+        const addForeignKeys = group.clauses.filter(clause => /^ADD (?:CONSTRAINT \S+ )?FOREIGN KEY\b/.test(clause));
+        const clauses = group.clauses.filter(clause => !dropForeignKeys.includes(clause));
+        const lines = [...group.comments];
+
+        if (mode === 'combined') {
+            // Dropping and re-adding a foreign key of the same name is not allowed within one ALTER
+            for (const clause of dropForeignKeys) {
+                lines.push(`ALTER TABLE ${group.table} ${clause};`);
+            }
+            if (clauses.length === 0) return lines;
+
+            const online = this.supportsOnlineDDL(group.table, clauses);
+            if (!online) {
+                lines.push('-- 包含需要 ALGORITHM=COPY 的变更，不能使用 ALGORITHM=INPLACE, LOCK=NONE');
+            }
+            const body = clauses.map(clause => `  ${clause}`);
+            if (online) body.push('  ALGORITHM=INPLACE, LOCK=NONE');
+            lines.push(`ALTER TABLE ${group.table}\n${body.join(',\n')};`);
+            return lines;
+        }
+
+        if (mode === 'gh-ost') {
+            // gh-ost refuses tables with foreign keys, so those changes run as plain statements
+            const toolClauses = clauses.filter(clause => !addForeignKeys.includes(clause));
+            if (dropForeignKeys.length > 0 || addForeignKeys.length > 0) {
+                lines.push('-- gh-ost 不支持外键，外键变更需单独执行');
+            }
+            for (const clause of dropForeignKeys) {
+                lines.push(`ALTER TABLE ${group.table} ${clause};`);
+            }
+            if (toolClauses.length > 0) {
+                lines.push([
+                    'gh-ost \\',
+                    '  --host="$MYSQL_HOST" --user="$MYSQL_USER" --password="$MYSQL_PASSWORD" \\',
+                    `  --database="$MYSQL_DATABASE" --table=${this.shellQuote(tableName)} \\`,
+                    `  --alter=${this.shellQuote(toolClauses.join(', '))} \\`,
+                    '  --chunk-size=1000 --max-load=Threads_running=25 --allow-on-master \\',
+                    '  --execute'
+                ].join('\n'));
+            }
+            for (const clause of addForeignKeys) {
+                lines.push(`ALTER TABLE ${group.table} ${clause};`);
+            }
+            return lines;
+        }
+
+        // pt-online-schema-change renames the table's foreign keys with a leading underscore
+        const toolClauses = [
+            ...dropForeignKeys.map(clause => clause.replace(/^DROP FOREIGN KEY `/, 'DROP FOREIGN KEY `_')),
+            ...clauses
+        ];
+        if (dropForeignKeys.length > 0) {
+            lines.push('-- pt-online-schema-change 复制表时外键名会加下划线前缀，DROP FOREIGN KEY 已按 _name 生成');
+        }
+        lines.push([
+            'pt-online-schema-change \\',
+            `  --alter ${this.shellQuote(toolClauses.join(', '))} \\`,
+            '  --chunk-size=1000 --max-load=Threads_running=25 --critical-load=Threads_running=50 \\',
+            '  --alter-foreign-keys-method=auto \\',
+            '  --execute \\',
+            `  "h=$MYSQL_HOST,u=$MYSQL_USER,p=$MYSQL_PASSWORD,D=$MYSQL_DATABASE,t=${tableName.replace(/(["\\$`])/g, '\\$1')}"`
+        ].join('\n'));
+        return lines;
+    }
+
+    // Whether every clause can run with ALGORITHM=INPLACE, LOCK=NONE (MySQL 5.6+ online DDL)
+    // Not online: type / charset changes, foreign keys with foreign_key_checks on, FULLTEXT / SPATIAL indexes,
+    // a bare DROP PRIMARY KEY, new AUTO_INCREMENT or STORED generated columns
+    supportsOnlineDDL(table, clauses) {
+        return clauses.every(clause =>
+            !this.copyStatements.has(`ALTER TABLE ${table} ${clause};`) &&
+            !/^ADD (?:CONSTRAINT \S+ )?FOREIGN KEY\b/.test(clause) &&
+            !/^ADD (?:FULLTEXT|SPATIAL)\b/.test(clause) &&
+            clause !== 'DROP PRIMARY KEY' &&
+            !(/^ADD COLUMN\b/.test(clause) && /\bAUTO_INCREMENT\b|\bSTORED\b/.test(clause)));
+    }
+
+    // Single-quote a shell argument
+    shellQuote(value) {
+        return `'${value.replace(/'/g, `'\\''`)}'`;
     }
 
     // Helper: Compare two fields
     isDifferent(tField, sField) {
-        // Simple comparison: Type, Nullable, AutoIncrement, Comment
-
-        // Normalize types (e.g., lower case)
-        if (tField.type.toLowerCase() !== sField.type.toLowerCase()) return true;
+        // Normalize types (lower case, no spaces): "DECIMAL(10, 2)" equals "decimal(10,2)"
+        const normalizeType = (type) => type.toLowerCase().replace(/\s+/g, '');
+        if (normalizeType(tField.type) !== normalizeType(sField.type)) return true;
 
+        if (!!tField.isUnsigned !== !!sField.isUnsigned) return true;
         if (tField.nullable !== sField.nullable) return true;
         if (tField.isAutoIncrement !== sField.isAutoIncrement) return true;
 
         // Comment change?
-        if ((tField.comment || '') !== (sField.comment || '')) return true;
+        if (this.getComment(tField) !== this.getComment(sField)) return true;
+
+        // Charset / collation / generated expression from the AST
+        const tColumn = tField.column || {};
+        const sColumn = sField.column || {};
+        const lower = (value) => (value || '').toLowerCase();
+        if (lower(tColumn.charset) !== lower(sColumn.charset)) return true;
+        if (lower(tColumn.collation) !== lower(sColumn.collation)) return true;
+
+        const generatedText = (column) => column.generated
+            ? `${column.generated.expression.replace(/\s+/g, '')}|${column.generated.stored}`
+            : '';
+        if (generatedText(tColumn) !== generatedText(sColumn)) return true;
+
+        if (this.normalizeDefault(tColumn.defaultValue) !== this.normalizeDefault(sColumn.defaultValue)) return true;
+        if (this.normalizeDefault(tColumn.onUpdate) !== this.normalizeDefault(sColumn.onUpdate)) return true;
 
         return false;
     }
 
-    // Helper: Get raw definition (Need to capture raw lines from parser ideally)
-    // Since current parser doesn't save raw line, we reuse the reconstruction
-    // OR we can upgrade parser. For now, reconstruction.
+    // Comparable form of a DEFAULT / ON UPDATE value
+    // DEFAULT 0 equals DEFAULT '0' (mysqldump quotes numbers), DEFAULT NULL equals no default,
+    // and NOW() / CURRENT_TIMESTAMP() equal CURRENT_TIMESTAMP
+    normalizeDefault(value) {
+        if (!value || value.kind === 'null') return '';
+        if (value.kind === 'string' || value.kind === 'number' || value.kind === 'boolean') {
+            return `value:${value.value}`;
+        }
+        return value.raw.toLowerCase()
+            .replace(/\s+/g, '')
+            .replace(/^(?:now|current_timestamp)(\(\d*\))?$/, (match, args) => `current_timestamp${args && args !== '()' ? args : ''}`);
+    }
+
+    // Helper: Get the column definition for ADD / MODIFY COLUMN
+    // Rebuilt from the AST so output formatting is consistent regardless of input style
     getRawDefinitionFromSource(field) {
-        // Better: We should match the field back to the DDL line provided?
-        // That's complex. Let's rely on reconstruction for now, 
-        // acknowledging potential minor formatting loss.
         return this.reconstructDefinition(field);
     }
 }
 
+// Values of the longest strictly increasing subsequence (O(n log n) patience sorting)
+function longestIncreasingSubsequence(values) {
+    const tails = [];
+    const previous = new Array(values.length);
+
+    values.forEach((value, i) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (values[tails[mid]] < value) low = mid + 1;
+            else high = mid;
+        }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    });
+
+    const result = [];
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+        result.unshift(values[i]);
+    }
+    return result;
+}
+
 // Global instance
 const diffEngine = new DiffEngine();
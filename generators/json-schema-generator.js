@@ -0,0 +1,126 @@
+// JSON Schema Generator
+// Generates a JSON Schema (draft 2020-12) from parseJSON / parseJSONSchema results
+// Nested objects become $defs entries referenced with $ref
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Generate a JSON Schema document
+ * @param {object} parsedData - { structName, fields, nestedStructs, enums }
+ * @param {object} options - { title, indent }
+ * @returns {string} - JSON Schema text
+ */
+function generateJSONSchema(parsedData, options = {}) {
+    const { title = parsedData.structName || 'Response', indent = 2 } = options;
+    const context = {
+        rootName: parsedData.structName,
+        structs: new Set((parsedData.nestedStructs || []).map(struct => struct.name)),
+        enums: new Map((parsedData.enums || []).map(enumDef => [enumDef.name, enumDef]))
+    };
+
+    const schema = {
+        $schema: JSON_SCHEMA_DRAFT,
+        title,
+        ...buildObjectSchema(parsedData.fields, context)
+    };
+
+    const nested = parsedData.nestedStructs || [];
+    if (nested.length > 0) {
+        schema.$defs = {};
+        for (const struct of nested) {
+            schema.$defs[struct.name] = buildObjectSchema(struct.fields, context);
+        }
+    }
+
+    return JSON.stringify(schema, null, indent) + '\n';
+}
+
+// { type: 'object', properties, required }
+// Keys seen with a null sample, or optional in an input schema, are not required
+function buildObjectSchema(fields, context) {
+    const properties = {};
+    const required = [];
+
+    for (const field of fields) {
+        properties[field.jsonName] = buildFieldSchema(field, context);
+        if (!field.optional && field.type !== 'null') {
+            required.push(field.jsonName);
+        }
+    }
+
+    const schema = { type: 'object', properties };
+    if (required.length > 0) {
+        schema.required = required;
+    }
+    return schema;
+}
+
+function buildFieldSchema(field, context) {
+    const goType = field.goType.replace(/^\*/, '');
+    let schema = buildTypeSchema(goType, field.format, context);
+
+    // null in the sample means "any value"; otherwise a nullable field also accepts null
+    if (field.nullable && field.type !== 'null') {
+        if (schema.$ref) {
+            schema = { anyOf: [schema, { type: 'null' }] };
+        } else if (typeof schema.type === 'string') {
+            schema.type = [schema.type, 'null'];
+        }
+    }
+    if (field.comment) {
+        schema = { description: field.comment, ...schema };
+    }
+    return schema;
+}
+
+// Go type of a parsed field -> schema
+function buildTypeSchema(goType, format, context) {
+    if (goType === '[]byte') {
+        return { type: 'string', contentEncoding: 'base64' };
+    }
+    if (goType.startsWith('[]')) {
+        const element = goType.slice(2).replace(/^\*/, '');
+        return element === 'interface{}'
+            ? { type: 'array' }
+            : { type: 'array', items: buildTypeSchema(element, format, context) };
+    }
+    if (goType.startsWith('map[')) {
+        const value = goType.replace(/^map\[[^\]]+\]/, '');
+        return value === 'interface{}'
+            ? { type: 'object' }
+            : { type: 'object', additionalProperties: buildTypeSchema(value, null, context) };
+    }
+    if (context.structs.has(goType)) {
+        return { $ref: `#/$defs/${goType}` };
+    }
+    if (goType === context.rootName) {
+        return { $ref: '#' };
+    }
+    if (context.enums.has(goType)) {
+        const enumDef = context.enums.get(goType);
+        return { type: enumDef.base === 'int' ? 'integer' : 'string', enum: enumDef.values };
+    }
+
+    if (/^u?int\d*$/.test(goType)) {
+        return /64$/.test(goType) ? { type: 'integer', format: 'int64' } : { type: 'integer' };
+    }
+    switch (goType) {
+        case 'float32':
+        case 'float64':
+            return { type: 'number' };
+        case 'bool':
+            return { type: 'boolean' };
+        case 'time.Time':
+            return { type: 'string', format: 'date-time' };
+        case 'string':
+            return format ? { type: 'string', format } : { type: 'string' };
+        default:
+            // interface{}, json.RawMessage: any JSON value
+            return {};
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { generateJSONSchema };
+}
@@ -0,0 +1,137 @@
+// Migration Generator
+// Packages the diff ALTER statements as migration files for common migration tools
+// The down script is the same diff run in reverse (new DDL -> old DDL)
+
+const MIGRATION_FORMATS = {
+    'golang-migrate': 'golang-migrate',
+    'goose': 'goose',
+    'flyway': 'Flyway',
+    'liquibase': 'Liquibase SQL',
+    'atlas': 'Atlas'
+};
+
+/**
+ * Generate migration files for the change from targetDDL (online) to sourceDDL (designed)
+ * @param {string} targetDDL - Current DDL
+ * @param {string} sourceDDL - New DDL
+ * @param {object} options - { format, name, version, author, detectReorder, safeMode }
+ * @returns {Array} - [{ filename, content }]
+ */
+function generateMigrationFiles(targetDDL, sourceDDL, options = {}) {
+    const {
+        format = 'golang-migrate',
+        version = formatMigrationVersion(new Date()),
+        author = 'devkit',
+        detectReorder = true,
+        safeMode = false
+    } = options;
+
+    if (!MIGRATION_FORMATS[format]) {
+        throw new Error(`不支持的迁移格式: ${format}`);
+    }
+
+    // Safe mode only comments out statements of the up script: dropping what was added is the point of a down migration,
+    // but the down script must not re-create the tables and columns the up script kept
+    const up = diffEngine.generateDiff(targetDDL, sourceDDL, { detectReorder, safeMode });
+    if (!up.some(isExecutableStatement)) {
+        if (safeMode && diffEngine.risks.some(risk => risk.level === 'danger')) {
+            throw new Error('安全模式注释掉了全部语句，没有可执行的迁移语句；请确认风险后关闭安全模式再导出');
+        }
+        // No changes, or the diff reported a parse error
+        throw new Error(up[0].replace(/^--\s*/, ''));
+    }
+    const down = diffEngine.generateDiff(sourceDDL, targetDDL, { dialect: diffEngine.dialect, detectReorder, undoSafeMode: safeMode });
+
+    const name = slugifyMigrationName(options.name || guessMigrationName(up));
+    const upSQL = `${up.join('\n')}\n`;
+    const downSQL = `${down.join('\n')}\n`;
+
+    switch (format) {
+        case 'goose':
+            return [{ filename: `${version}_${name}.sql`, content: buildGooseMigration(up, down) }];
+        case 'flyway':
+            // U files are Flyway undo migrations
+            return [
+                { filename: `V${version}__${name}.sql`, content: upSQL },
+                { filename: `U${version}__${name}.sql`, content: downSQL }
+            ];
+        case 'liquibase':
+            return [{ filename: `${version}_${name}.sql`, content: buildLiquibaseChangeset(up, down, `${author}:${version}-${name}`) }];
+        case 'atlas':
+            // Up only: atlas migrate down plans the rollback itself; the directory checksum has to be refreshed after adding a file
+            return [{ filename: `${version}_${name}.sql`, content: `-- 添加后请执行 atlas migrate hash 更新 atlas.sum\n${upSQL}` }];
+        default:
+            return [
+                { filename: `${version}_${name}.up.sql`, content: `${withoutRebuildTransaction(up).join('\n')}\n` },
+                { filename: `${version}_${name}.down.sql`, content: `${withoutRebuildTransaction(down).join('\n')}\n` }
+            ];
+    }
+}
+
+// golang-migrate runs each SQLite migration file in a transaction of its own, which a table rebuild must not nest in
+function withoutRebuildTransaction(statements) {
+    return statements
+        .filter(statement => !/^COMMIT;$/i.test(statement))
+        .map(statement => /^BEGIN TRANSACTION;$/i.test(statement) ? '-- golang-migrate 已在事务中执行本文件，重建表不再单独开启事务' : statement);
+}
+
+// -- +goose Up / -- +goose Down in one file
+// SQLite table rebuilds manage their own transaction, so goose must not open one
+function buildGooseMigration(up, down) {
+    const lines = [];
+    if ([...up, ...down].some(statement => /^BEGIN TRANSACTION;$/i.test(statement))) {
+        lines.push('-- +goose NO TRANSACTION');
+    }
+    lines.push('-- +goose Up', ...up, '', '-- +goose Down', ...down);
+    return `${lines.join('\n')}\n`;
+}
+
+// Liquibase formatted SQL: one changeset, rollback statements as --rollback lines
+function buildLiquibaseChangeset(up, down, changesetId) {
+    const rollback = down
+        .filter(isExecutableStatement)
+        .flatMap(statement => statement.split('\n'))
+        .map(line => `--rollback ${line}`);
+    const lines = ['--liquibase formatted sql', '', `--changeset ${changesetId}`, ...up, ...rollback];
+    return `${lines.join('\n')}\n`;
+}
+
+// Diff output lines that are SQL rather than "-- " notes
+function isExecutableStatement(statement) {
+    return !statement.trim().startsWith('--');
+}
+
+// alter_users for a single-table change, schema_update otherwise
+function guessMigrationName(statements) {
+    const tables = new Set();
+    const pattern = /^(?:ALTER|CREATE|DROP)\s+TABLE\s+[`"]?([^`"\s(]+)|^RENAME\s+TABLE\s+[`"]?([^`"\s]+)|^(?:CREATE\s+(?:UNIQUE\s+)?INDEX|COMMENT\s+ON\s+COLUMN)\b.*?\bON\s+[`"]?([^`"\s(.]+)/i;
+
+    for (const statement of statements) {
+        const match = statement.match(pattern);
+        if (match) tables.add((match[1] || match[2] || match[3]).replace(/_new$/, '').toLowerCase());
+    }
+
+    if (tables.size !== 1) return 'schema_update';
+    const table = [...tables][0];
+    if (statements.some(statement => /^CREATE\s+TABLE\b/i.test(statement)) && !statements.some(statement => /^ALTER\b/i.test(statement))) {
+        return `create_${table}`;
+    }
+    return `alter_${table}`;
+}
+
+// Lower-case words joined by underscores, safe in every tool's file name pattern
+function slugifyMigrationName(name) {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'schema_update';
+}
+
+// 20240131093000 (local time), accepted as a version by all supported tools
+function formatMigrationVersion(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MIGRATION_FORMATS, generateMigrationFiles, formatMigrationVersion };
+}
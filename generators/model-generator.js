@@ -0,0 +1,785 @@
+// Model Generator
+// Generates TypeScript, Java, Rust, Python and Kotlin models from the same parsed field model as the Go struct generator
+// Each target plugs in through ModelGenerator.register: it renders one model at a time and a file header for the imports it used
+
+const ModelGenerator = {
+    // Registered targets by id, in the order they are offered in the UI
+    targets: {},
+
+    /**
+     * Register a code target
+     * @param {string} id - Target id (also the value of its output format radio)
+     * @param {object} target - {
+     *   label, extension, editorMode,
+     *   variants: { id: label } (optional, first one is the default),
+     *   filePerModel: true when every model is exported to its own file,
+     *   separator: text between models (default one blank line),
+     *   renderModel(model, options) -> { code, imports: [] },
+     *   renderHeader(imports, options) -> string,
+     *   fileName(model, options) -> string (used with filePerModel)
+     * }
+     */
+    register(id, target) {
+        this.targets[id] = target;
+    },
+
+    getTarget(id) {
+        const target = this.targets[id];
+        if (!target) {
+            throw new Error(`不支持的输出语言: ${id}`);
+        }
+        return target;
+    },
+
+    // Variant id to use for a target, falling back to its first variant
+    resolveVariant(id, variant) {
+        const variants = Object.keys(this.getTarget(id).variants || {});
+        return variants.includes(variant) ? variant : variants[0] || '';
+    },
+
+    /**
+     * Generate code for all models in one output
+     * @param {object} parsedData - parseDDLSchema / parseJSON result
+     * @param {string} id - Target id
+     * @param {object} options - { variant, structName, packageName }
+     * @returns {string} - Generated code
+     */
+    generate(parsedData, id, options = {}) {
+        const target = this.getTarget(id);
+        const resolved = { ...options, variant: this.resolveVariant(id, options.variant) };
+        const rendered = buildModels(parsedData, options).map(model => target.renderModel(model, resolved));
+
+        const imports = [...new Set(rendered.flatMap(result => result.imports))];
+        const header = target.renderHeader(imports, resolved);
+        return (header ? `${header}\n` : '') + rendered.map(result => result.code).join(target.separator || '\n');
+    },
+
+    /**
+     * Generate export files: one per model for filePerModel targets, otherwise a single file
+     * @returns {Array} - [{ filename, content }]
+     */
+    generateFiles(parsedData, id, options = {}) {
+        const target = this.getTarget(id);
+        const resolved = { ...options, variant: this.resolveVariant(id, options.variant) };
+        const models = buildModels(parsedData, options);
+
+        if (!target.filePerModel) {
+            const name = models.length === 1 ? models[0].name : (options.packageName || 'model');
+            return [{
+                filename: `${target.fileName ? target.fileName({ name }, resolved) : name}.${target.extension}`,
+                content: this.generate(parsedData, id, options)
+            }];
+        }
+
+        return models.map(model => {
+            const { code, imports } = target.renderModel(model, resolved);
+            const header = target.renderHeader(imports, resolved);
+            return {
+                filename: `${target.fileName ? target.fileName(model, resolved) : model.name}.${target.extension}`,
+                content: (header ? `${header}\n` : '') + code
+            };
+        });
+    }
+};
+
+/**
+ * Language-neutral models from a parsed schema or JSON document
+ * JSON nested structs come first so that every model is declared before it is referenced.
+ * @returns {Array} - [{ name, tableName, comment, fields: [{ name, jsonName, comment, type, nullable, optional, primaryKey, autoIncrement }] }]
+ *   optional: the JSON key may be missing (absent from some samples, or not required by the schema)
+ *   type: { kind, bits, unsigned, size, precision, scale, timezone, element, ref }
+ */
+function buildModels(parsedData, options = {}) {
+    if (parsedData.tables) {
+        const single = parsedData.tables.length === 1;
+        return parsedData.tables.map(table => buildModel(table.fields, {
+            name: (single && options.structName) || table.structName || Naming.toGoName(table.tableName),
+            tableName: table.tableName
+        }, new Set()));
+    }
+
+    const nested = parsedData.nestedStructs || [];
+    const refs = new Set([parsedData.structName, ...nested.map(struct => struct.name)]);
+    return [
+        ...nested.map(struct => buildModel(struct.fields, { name: struct.name, tableName: null }, refs)),
+        buildModel(parsedData.fields, { name: options.structName || parsedData.structName, tableName: null }, refs)
+    ];
+}
+
+function buildModel(fields, { name, tableName }, refs) {
+    return {
+        name,
+        tableName,
+        comment: tableName ? `${tableName}表` : '',
+        fields: fields.map(field => ({
+            name: field.name,
+            jsonName: field.jsonName || field.name,
+            // DDL fields fall back to the column name as comment; that carries no information here
+            comment: field.comment && field.comment !== field.name ? field.comment : '',
+            type: resolveModelType(field.goType, field, refs),
+            nullable: !!field.nullable && !field.isPrimaryKey,
+            optional: !!field.optional,
+            primaryKey: !!field.isPrimaryKey,
+            autoIncrement: !!field.isAutoIncrement
+        }))
+    };
+}
+
+// Go type (plus the SQL type for DDL columns) -> language-neutral type
+function resolveModelType(goType, field, refs) {
+    const sqlType = (field.type || '').toUpperCase();
+    const type = TypeMapper.unwrapGoType(goType.replace(/^\*/, '')).goType;
+    const dimensions = { size: field.size || null, precision: field.precision || null, scale: field.scale || null };
+
+    if (type.startsWith('[]') && type !== '[]byte') {
+        return { kind: 'list', element: resolveModelType(type.slice(2), {}, refs) };
+    }
+    if (refs.has(type)) {
+        return { kind: 'ref', ref: type };
+    }
+    if (field.enumBase) {
+        // JSON Schema enums are carried by their base type
+        return resolveModelType(field.enumBase, {}, refs);
+    }
+    if (/^(DECIMAL|NUMERIC|DEC|FIXED)\b/.test(sqlType) || /decimal/i.test(type)) {
+        return { kind: 'decimal', ...dimensions };
+    }
+    if (/^UUID/.test(sqlType) || /uuid/i.test(type)) {
+        return { kind: 'uuid' };
+    }
+
+    const integer = type.match(/^(u?)int(\d*)$/);
+    if (integer) {
+        // Go int is what MySQL INT maps to; in JSON it is any whole number
+        const bits = parseInt(integer[2], 10) || (field.column ? 32 : 64);
+        return { kind: 'int', bits, unsigned: integer[1] === 'u' };
+    }
+
+    switch (type) {
+        case 'byte':
+            return { kind: 'int', bits: 8, unsigned: true };
+        case 'rune':
+            return { kind: 'int', bits: 32, unsigned: false };
+        case 'bool':
+            return { kind: 'bool' };
+        case 'float32':
+            return { kind: 'float' };
+        case 'float64':
+            return { kind: 'double' };
+        case 'string':
+            return { kind: 'string', ...dimensions };
+        case 'time.Time':
+            if (/^DATE$/.test(sqlType)) return { kind: 'date' };
+            if (/^TIME\b(?!STAMP)/.test(sqlType) && !/WITH TIME ZONE/.test(sqlType)) return { kind: 'time' };
+            return { kind: 'datetime', timezone: /TIMESTAMPTZ|WITH TIME ZONE/.test(sqlType) };
+        case '[]byte':
+            return { kind: 'bytes' };
+        case 'json.RawMessage':
+            return { kind: 'json' };
+        case 'interface{}':
+        case 'any':
+            return { kind: 'any' };
+        default:
+            // map[...]... and unknown override types
+            return { kind: type.startsWith('map[') ? 'any' : 'string' };
+    }
+}
+
+// user_name / userName -> user_name
+function toSnakeName(name) {
+    return Naming.toSnakeCase(name) || 'field';
+}
+
+// user_name / UserName -> userName
+function toLowerCamelName(name) {
+    const pascal = toSnakeName(name).split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+// Prefix identifiers that would start with a digit
+function safeIdentifier(name) {
+    return /^\d/.test(name) ? `_${name}` : name;
+}
+
+// Comment line(s) for a doc comment body
+function modelComment(model) {
+    return model.comment || model.name;
+}
+
+// ---------------------------------------------------------------------------
+// TypeScript: interfaces or zod schemas, keyed by the JSON names
+
+function tsType(type) {
+    switch (type.kind) {
+        case 'int':
+        case 'float':
+        case 'double':
+            return 'number';
+        case 'bool':
+            return 'boolean';
+        case 'json':
+        case 'any':
+            return 'unknown';
+        case 'list': {
+            const element = tsType(type.element);
+            return /\W/.test(element) ? `Array<${element}>` : `${element}[]`;
+        }
+        case 'ref':
+            return type.ref;
+        default:
+            // Decimals, times and bytes arrive as JSON strings (decimal text, RFC 3339, base64)
+            return 'string';
+    }
+}
+
+function zodType(type) {
+    switch (type.kind) {
+        case 'int':
+            return 'z.number().int()';
+        case 'float':
+        case 'double':
+            return 'z.number()';
+        case 'bool':
+            return 'z.boolean()';
+        case 'string':
+            return type.size ? `z.string().max(${type.size})` : 'z.string()';
+        case 'uuid':
+            return 'z.string().uuid()';
+        case 'datetime':
+            return 'z.string().datetime({ offset: true })';
+        case 'json':
+        case 'any':
+            return 'z.unknown()';
+        case 'list':
+            return `z.array(${zodType(type.element)})`;
+        case 'ref':
+            return `${type.ref}Schema`;
+        default:
+            return 'z.string()';
+    }
+}
+
+function tsPropertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name.replace(/'/g, "\\'")}'`;
+}
+
+ModelGenerator.register('typescript', {
+    label: 'TypeScript',
+    extension: 'ts',
+    editorMode: 'typescript',
+    variants: { interface: 'interface', zod: 'zod' },
+
+    renderModel(model, { variant }) {
+        const lines = [`/** ${modelComment(model)} */`];
+
+        if (variant === 'zod') {
+            lines.push(`export const ${model.name}Schema = z.object({`);
+            for (const field of model.fields) {
+                if (field.comment) lines.push(`    /** ${field.comment} */`);
+                lines.push(`    ${tsPropertyName(field.jsonName)}: ${zodType(field.type)}${field.nullable ? '.nullable()' : ''}${field.optional ? '.optional()' : ''},`);
+            }
+            lines.push('});', '', `export type ${model.name} = z.infer<typeof ${model.name}Schema>;`);
+            return { code: `${lines.join('\n')}\n`, imports: ['zod'] };
+        }
+
+        lines.push(`export interface ${model.name} {`);
+        for (const field of model.fields) {
+            if (field.comment) lines.push(`    /** ${field.comment} */`);
+            lines.push(`    ${tsPropertyName(field.jsonName)}${field.optional ? '?' : ''}: ${tsType(field.type)}${field.nullable ? ' | null' : ''};`);
+        }
+        lines.push('}');
+        return { code: `${lines.join('\n')}\n`, imports: [] };
+    },
+
+    renderHeader(imports) {
+        return imports.includes('zod') ? "import { z } from 'zod';\n" : '';
+    },
+
+    fileName(model) {
+        return toSnakeName(model.name).replace(/_/g, '-');
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Java: Lombok classes or JPA entities, one public class per file
+
+const JAVA_KEYWORDS = new Set(['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while', 'true', 'false', 'null', '_']);
+
+const JAVA_IMPORTS = {
+    BigDecimal: 'java.math.BigDecimal',
+    LocalDateTime: 'java.time.LocalDateTime',
+    OffsetDateTime: 'java.time.OffsetDateTime',
+    LocalDate: 'java.time.LocalDate',
+    LocalTime: 'java.time.LocalTime',
+    UUID: 'java.util.UUID',
+    List: 'java.util.List'
+};
+
+// Boxed types only, so nullable columns and optional JSON keys are simply left null
+function javaType(type) {
+    switch (type.kind) {
+        case 'int':
+            return type.bits < 32 || (type.bits === 32 && !type.unsigned) ? 'Integer' : 'Long';
+        case 'float':
+            return 'Float';
+        case 'double':
+            return 'Double';
+        case 'decimal':
+            return 'BigDecimal';
+        case 'bool':
+            return 'Boolean';
+        case 'uuid':
+            return 'UUID';
+        case 'datetime':
+            return type.timezone ? 'OffsetDateTime' : 'LocalDateTime';
+        case 'date':
+            return 'LocalDate';
+        case 'time':
+            return 'LocalTime';
+        case 'bytes':
+            return 'byte[]';
+        case 'any':
+            return 'Object';
+        case 'list':
+            return `List<${javaType(type.element)}>`;
+        case 'ref':
+            return type.ref;
+        default:
+            return 'String';
+    }
+}
+
+// Imports needed by a Java/Kotlin type name such as List<LocalDateTime>
+function collectTypeImports(typeName, table) {
+    return (typeName.match(/\w+/g) || []).filter(name => table[name]).map(name => table[name]);
+}
+
+// @Column(name = "user_name", nullable = false, length = 64)
+function javaColumnAnnotation(field) {
+    const attributes = [`name = "${field.name}"`];
+    if (!field.nullable) attributes.push('nullable = false');
+    if (field.type.kind === 'string' && field.type.size) attributes.push(`length = ${field.type.size}`);
+    if (field.type.kind === 'decimal' && field.type.precision) {
+        attributes.push(`precision = ${field.type.precision}`);
+        if (field.type.scale !== null && field.type.scale !== undefined) attributes.push(`scale = ${field.type.scale}`);
+    }
+    return `@Column(${attributes.join(', ')})`;
+}
+
+ModelGenerator.register('java', {
+    label: 'Java',
+    extension: 'java',
+    editorMode: 'text/x-java',
+    filePerModel: true,
+    variants: { lombok: 'Lombok', jpa: 'JPA Entity' },
+
+    renderModel(model, { variant }) {
+        const entity = variant === 'jpa' && model.tableName;
+        const imports = ['lombok.Data', 'lombok.NoArgsConstructor', 'lombok.AllArgsConstructor'];
+        const lines = ['/**', ` * ${modelComment(model)}`, ' */', '@Data', '@NoArgsConstructor', '@AllArgsConstructor'];
+
+        if (entity) {
+            imports.push('jakarta.persistence.Entity', 'jakarta.persistence.Table', 'jakarta.persistence.Column');
+            lines.push('@Entity', `@Table(name = "${model.tableName}")`);
+        }
+        lines.push(`public class ${model.name} {`);
+
+        for (const field of model.fields) {
+            let name = safeIdentifier(toLowerCamelName(field.name));
+            if (JAVA_KEYWORDS.has(name)) name = `${name}_`;
+            const type = javaType(field.type);
+            imports.push(...collectTypeImports(type, JAVA_IMPORTS));
+
+            lines.push('');
+            if (field.comment) lines.push(`    /** ${field.comment} */`);
+            if (entity) {
+                if (field.primaryKey) {
+                    imports.push('jakarta.persistence.Id');
+                    lines.push('    @Id');
+                }
+                if (field.autoIncrement) {
+                    imports.push('jakarta.persistence.GeneratedValue', 'jakarta.persistence.GenerationType');
+                    lines.push('    @GeneratedValue(strategy = GenerationType.IDENTITY)');
+                }
+                lines.push(`    ${javaColumnAnnotation(field)}`);
+            } else if (field.jsonName !== name) {
+                imports.push('com.fasterxml.jackson.annotation.JsonProperty');
+                lines.push(`    @JsonProperty("${field.jsonName}")`);
+            }
+            lines.push(`    private ${type} ${name};`);
+        }
+
+        lines.push('}');
+        return { code: `${lines.join('\n')}\n`, imports };
+    },
+
+    renderHeader(imports, { packageName = 'model' }) {
+        const sorted = [...new Set(imports)].sort();
+        return `package ${packageName};\n\n${sorted.map(path => `import ${path};`).join('\n')}\n`;
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Rust: serde structs, optionally deriving sqlx::FromRow
+
+// Strict and reserved keywords (2015-2024 editions), written as r#name
+const RUST_KEYWORDS = new Set(['as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while', 'abstract', 'become', 'box', 'do', 'final', 'gen', 'macro', 'override', 'priv', 'try', 'typeof', 'unsized', 'virtual', 'yield']);
+
+// Keywords that cannot be raw identifiers: suffixed instead, serde / sqlx rename keeps the original name
+const RUST_PATH_KEYWORDS = new Set(['crate', 'self', 'Self', 'super']);
+
+function rustType(type) {
+    switch (type.kind) {
+        case 'int':
+            return `${type.unsigned ? 'u' : 'i'}${type.bits}`;
+        case 'float':
+            return 'f32';
+        case 'double':
+            return 'f64';
+        case 'decimal':
+            return 'Decimal';
+        case 'bool':
+            return 'bool';
+        case 'uuid':
+            return 'Uuid';
+        case 'datetime':
+            return type.timezone ? 'DateTime<Utc>' : 'NaiveDateTime';
+        case 'date':
+            return 'NaiveDate';
+        case 'time':
+            return 'NaiveTime';
+        case 'bytes':
+            return 'Vec<u8>';
+        case 'json':
+        case 'any':
+            return 'serde_json::Value';
+        case 'list':
+            return `Vec<${rustType(type.element)}>`;
+        case 'ref':
+            return type.ref;
+        default:
+            return 'String';
+    }
+}
+
+const RUST_IMPORTS = {
+    Decimal: 'rust_decimal::Decimal',
+    Uuid: 'uuid::Uuid',
+    DateTime: 'chrono::{DateTime, Utc}',
+    NaiveDateTime: 'chrono::NaiveDateTime',
+    NaiveDate: 'chrono::NaiveDate',
+    NaiveTime: 'chrono::NaiveTime'
+};
+
+ModelGenerator.register('rust', {
+    label: 'Rust',
+    extension: 'rs',
+    editorMode: 'text/x-rustsrc',
+    variants: { serde: 'serde', sqlx: 'serde + sqlx' },
+
+    renderModel(model, { variant }) {
+        // Only table models are read from rows
+        const sqlx = variant === 'sqlx' && model.tableName;
+        const derives = ['Debug', 'Clone', 'Serialize', 'Deserialize'];
+        if (sqlx) derives.push('sqlx::FromRow');
+
+        const imports = ['serde::{Deserialize, Serialize}'];
+        const lines = [`/// ${modelComment(model)}`, `#[derive(${derives.join(', ')})]`, `pub struct ${model.name} {`];
+
+        for (const field of model.fields) {
+            let name = safeIdentifier(toSnakeName(field.name));
+            if (RUST_PATH_KEYWORDS.has(name)) {
+                name = `${name}_`;
+            } else if (RUST_KEYWORDS.has(name)) {
+                name = `r#${name}`;
+            }
+
+            let type = rustType(field.type);
+            imports.push(...collectTypeImports(type, RUST_IMPORTS));
+            if (field.nullable || field.optional) type = `Option<${type}>`;
+
+            // Missing keys deserialize to None
+            const serde = [];
+            if (field.jsonName !== name.replace(/^r#/, '')) serde.push(`rename = "${field.jsonName}"`);
+            if (field.optional) serde.push('default');
+
+            if (field.comment) lines.push(`    /// ${field.comment}`);
+            if (serde.length > 0) lines.push(`    #[serde(${serde.join(', ')})]`);
+            if (sqlx && field.name !== name.replace(/^r#/, '')) lines.push(`    #[sqlx(rename = "${field.name}")]`);
+            lines.push(`    pub ${name}: ${type},`);
+        }
+
+        lines.push('}');
+        return { code: `${lines.join('\n')}\n`, imports };
+    },
+
+    renderHeader(imports) {
+        const sorted = [...new Set(imports)].sort();
+        return `${sorted.map(path => `use ${path};`).join('\n')}\n`;
+    },
+
+    fileName(model) {
+        return toSnakeName(model.name);
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Python: dataclasses, pydantic models or SQLAlchemy 2.0 declarative models
+
+const PYTHON_KEYWORDS = new Set(['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'None', 'True', 'False']);
+
+const PYTHON_IMPORTS = {
+    Decimal: 'from decimal import Decimal',
+    UUID: 'from uuid import UUID',
+    datetime: 'from datetime import datetime',
+    date: 'from datetime import date',
+    time: 'from datetime import time',
+    Any: 'from typing import Any',
+    List: 'from typing import List',
+    Optional: 'from typing import Optional'
+};
+
+function pythonType(type) {
+    switch (type.kind) {
+        case 'int':
+            return 'int';
+        case 'float':
+        case 'double':
+            return 'float';
+        case 'decimal':
+            return 'Decimal';
+        case 'bool':
+            return 'bool';
+        case 'uuid':
+            return 'UUID';
+        case 'datetime':
+            return 'datetime';
+        case 'date':
+            return 'date';
+        case 'time':
+            return 'time';
+        case 'bytes':
+            return 'bytes';
+        case 'json':
+        case 'any':
+            return 'Any';
+        case 'list':
+            return `List[${pythonType(type.element)}]`;
+        case 'ref':
+            return type.ref;
+        default:
+            return 'str';
+    }
+}
+
+// SQLAlchemy column type for mapped_column
+function sqlAlchemyType(type) {
+    switch (type.kind) {
+        case 'int':
+            return type.bits === 64 || (type.bits === 32 && type.unsigned) ? 'BigInteger' : (type.bits <= 16 ? 'SmallInteger' : 'Integer');
+        case 'float':
+        case 'double':
+            return 'Float';
+        case 'decimal':
+            return type.precision ? `Numeric(${type.precision}, ${type.scale || 0})` : 'Numeric';
+        case 'bool':
+            return 'Boolean';
+        case 'uuid':
+            return 'Uuid';
+        case 'datetime':
+            return type.timezone ? 'DateTime(timezone=True)' : 'DateTime';
+        case 'date':
+            return 'Date';
+        case 'time':
+            return 'Time';
+        case 'bytes':
+            return 'LargeBinary';
+        case 'json':
+        case 'any':
+            return 'JSON';
+        case 'string':
+            return type.size ? `String(${type.size})` : 'Text';
+        default:
+            return 'Text';
+    }
+}
+
+function pythonString(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+ModelGenerator.register('python', {
+    label: 'Python',
+    extension: 'py',
+    editorMode: 'text/x-python',
+    separator: '\n\n',
+    variants: { dataclass: 'dataclass', pydantic: 'pydantic', sqlalchemy: 'SQLAlchemy' },
+
+    renderModel(model, options) {
+        // JSON documents have no table to map; they fall back to dataclasses
+        const variant = options.variant === 'sqlalchemy' && !model.tableName ? 'dataclass' : options.variant;
+        const imports = [];
+        const lines = [];
+
+        if (variant === 'sqlalchemy') {
+            imports.push('from sqlalchemy.orm import Mapped, mapped_column');
+            lines.push(`class ${model.name}(Base):`, `    """${modelComment(model)}"""`, '');
+            lines.push(`    __tablename__ = ${pythonString(model.tableName)}`, '');
+        } else if (variant === 'pydantic') {
+            imports.push('from pydantic import BaseModel');
+            lines.push(`class ${model.name}(BaseModel):`, `    """${modelComment(model)}"""`, '');
+        } else {
+            imports.push('from dataclasses import dataclass');
+            lines.push('@dataclass', `class ${model.name}:`, `    """${modelComment(model)}"""`, '');
+        }
+
+        // Dataclass fields with a default (optional keys) must follow the ones without
+        const fields = variant === 'dataclass'
+            ? [...model.fields.filter(field => !field.optional), ...model.fields.filter(field => field.optional)]
+            : model.fields;
+
+        for (const field of fields) {
+            let name = safeIdentifier(toSnakeName(field.name));
+            if (PYTHON_KEYWORDS.has(name)) name = `${name}_`;
+
+            let type = pythonType(field.type);
+            if (field.nullable || field.optional) type = `Optional[${type}]`;
+            imports.push(...collectTypeImports(type, PYTHON_IMPORTS));
+
+            if (field.comment && variant !== 'sqlalchemy') lines.push(`    # ${field.comment}`);
+
+            if (variant === 'sqlalchemy') {
+                const columnType = sqlAlchemyType(field.type);
+                imports.push(`from sqlalchemy import ${columnType.replace(/\(.*$/, '')}`);
+
+                const args = [];
+                if (name !== field.name) args.push(pythonString(field.name));
+                args.push(columnType);
+                if (field.primaryKey) args.push('primary_key=True');
+                if (field.autoIncrement) args.push('autoincrement=True');
+                if (!field.nullable && !field.primaryKey) args.push('nullable=False');
+                if (field.comment) args.push(`comment=${pythonString(field.comment)}`);
+                lines.push(`    ${name}: Mapped[${type}] = mapped_column(${args.join(', ')})`);
+            } else if (variant === 'pydantic') {
+                const args = [];
+                if (field.nullable || field.optional) args.push('default=None');
+                if (name !== field.jsonName) args.push(`alias=${pythonString(field.jsonName)}`);
+                if (field.type.kind === 'string' && field.type.size) args.push(`max_length=${field.type.size}`);
+
+                if (args.length === 0) {
+                    lines.push(`    ${name}: ${type}`);
+                } else if (args.length === 1 && args[0] === 'default=None') {
+                    lines.push(`    ${name}: ${type} = None`);
+                } else {
+                    imports.push('from pydantic import Field');
+                    lines.push(`    ${name}: ${type} = Field(${args.join(', ')})`);
+                }
+            } else {
+                lines.push(`    ${name}: ${type}${field.optional ? ' = None' : ''}`);
+            }
+        }
+
+        return { code: `${lines.join('\n')}\n`, imports };
+    },
+
+    renderHeader(imports) {
+        // from x import a / from x import b -> from x import a, b; standard library first
+        const byModule = new Map();
+        const declarative = imports.some(line => line.startsWith('from sqlalchemy.orm'));
+        const lines = declarative ? [...imports, 'from sqlalchemy.orm import DeclarativeBase'] : imports;
+        for (const line of new Set(lines)) {
+            const [, module, name] = line.match(/^from (\S+) import (.+)$/);
+            if (!byModule.has(module)) byModule.set(module, new Set());
+            name.split(', ').forEach(item => byModule.get(module).add(item));
+        }
+
+        const thirdParty = ['pydantic', 'sqlalchemy', 'sqlalchemy.orm'];
+        const render = (modules) => modules.sort().map(module => `from ${module} import ${[...byModule.get(module)].sort().join(', ')}`);
+        const modules = [...byModule.keys()];
+        const sections = [
+            render(modules.filter(module => !thirdParty.includes(module))),
+            render(modules.filter(module => thirdParty.includes(module)))
+        ].filter(section => section.length > 0).map(section => section.join('\n'));
+
+        let header = `${sections.join('\n\n')}\n`;
+        if (declarative) {
+            header += '\n\nclass Base(DeclarativeBase):\n    pass\n';
+        }
+        return `${header}\n`;
+    },
+
+    fileName(model) {
+        return toSnakeName(model.name);
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Kotlin: data classes (Jackson annotations where the JSON name differs)
+
+const KOTLIN_KEYWORDS = new Set(['as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof', 'val', 'var', 'when', 'while']);
+
+const KOTLIN_IMPORTS = {
+    ...JAVA_IMPORTS,
+    List: null
+};
+
+function kotlinType(type) {
+    switch (type.kind) {
+        case 'int':
+            return type.bits < 32 || (type.bits === 32 && !type.unsigned) ? 'Int' : 'Long';
+        case 'float':
+            return 'Float';
+        case 'double':
+            return 'Double';
+        case 'bool':
+            return 'Boolean';
+        case 'bytes':
+            return 'ByteArray';
+        case 'any':
+            return 'Any';
+        case 'list':
+            return `List<${kotlinType(type.element)}>`;
+        default:
+            return javaType(type);
+    }
+}
+
+ModelGenerator.register('kotlin', {
+    label: 'Kotlin',
+    extension: 'kt',
+    editorMode: 'text/x-kotlin',
+
+    renderModel(model) {
+        const imports = [];
+        const lines = ['/**', ` * ${modelComment(model)}`, ' */', `data class ${model.name}(`];
+
+        model.fields.forEach(field => {
+            const name = safeIdentifier(toLowerCamelName(field.name));
+            let type = kotlinType(field.type);
+            imports.push(...collectTypeImports(type, KOTLIN_IMPORTS));
+            const optional = field.nullable || field.optional;
+            if (optional || field.type.kind === 'any') type += '?';
+
+            if (field.comment) lines.push(`    /** ${field.comment} */`);
+            if (field.jsonName !== name) {
+                imports.push('com.fasterxml.jackson.annotation.JsonProperty');
+                lines.push(`    @JsonProperty("${field.jsonName}")`);
+            }
+            lines.push(`    val ${KOTLIN_KEYWORDS.has(name) ? `\`${name}\`` : name}: ${type}${optional ? ' = null' : ''},`);
+        });
+
+        lines.push(')');
+        return { code: `${lines.join('\n')}\n`, imports };
+    },
+
+    renderHeader(imports, { packageName = 'model' }) {
+        const sorted = [...new Set(imports)].sort();
+        const importLines = sorted.map(path => `import ${path}\n`).join('');
+        return `package ${packageName}\n${importLines ? `\n${importLines}` : ''}`;
+    }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelGenerator, buildModels };
+}
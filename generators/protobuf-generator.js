@@ -17,14 +17,13 @@ function generateProtoMessage(parsedData, options = {}) {
         numericFloatType = 'float'
     } = options;
 
-    let code = '';
-
-    // Add syntax declaration
-    code += `syntax = "${syntax}";\n\n`;
+    const allFields = [parsedData.fields, ...(parsedData.nestedStructs || []).map(n => n.fields)].flat();
+    let code = generateProtoHeader(allFields, { packageName, syntax, numericIntType, numericFloatType });
 
-    // Add package declaration
-    if (packageName) {
-        code += `package ${packageName};\n\n`;
+    // Enums (from JSON Schema) are top-level so that every message can use them
+    for (const enumDef of parsedData.enums || []) {
+        code += generateProtoEnum(enumDef);
+        code += '\n';
     }
 
     // Generate nested messages first if in separate mode
@@ -48,6 +47,71 @@ function generateProtoMessage(parsedData, options = {}) {
     return code;
 }
 
+/**
+ * Generate a .proto file with one message per table of a parsed DDL schema
+ * ENUM / SET columns and PostgreSQL enum types become top-level enums (SET columns are repeated),
+ * and nullable columns use proto3 explicit presence
+ * @param {object} schemaData - parseDDLSchema result: { tables }
+ * @param {object} options - { messageName (single table only), packageName, syntax }
+ * @returns {string} - Protocol Buffer definitions
+ */
+function generateProtoSchema(schemaData, options = {}) {
+    const { messageName = '', packageName = 'model', syntax = 'proto3' } = options;
+    const tables = schemaData.tables || [];
+    // Column types are exact: a Go float64 column is a double
+    const typeOptions = { numericIntType: 'int32', numericFloatType: 'double' };
+
+    const messages = tables.map(table => ({
+        name: tables.length === 1 && messageName ? messageName : Naming.toGoName(table.tableName),
+        fields: table.fields.map((field, index) => {
+            const goType = field.goType.replace(/^\*/, '');
+            const isRepeated = !!field.isSet || (goType.startsWith('[]') && goType !== '[]byte');
+            return {
+                ...field,
+                protoFieldNumber: index + 1,
+                isRepeated,
+                protoElementType: field.isSet || !isRepeated ? goType : goType.slice(2),
+                isOptional: !!field.nullable && !isRepeated && !field.isPrimaryKey
+            };
+        })
+    }));
+
+    let code = generateProtoHeader(messages.flatMap(message => message.fields), { packageName, syntax, ...typeOptions });
+
+    // Enum types shared by several tables are declared once
+    const enums = new Map(tables.flatMap(table => table.enums || []).map(enumDef => [enumDef.name, enumDef]));
+    for (const enumDef of enums.values()) {
+        code += generateProtoEnum(enumDef);
+        code += '\n';
+    }
+
+    code += messages.map(message => generateMessage(message, typeOptions)).join('\n');
+
+    return code;
+}
+
+// syntax and package declarations, plus imports of the well-known types used by the fields
+function generateProtoHeader(fields, options) {
+    const { packageName, syntax, numericIntType, numericFloatType } = options;
+    let code = '';
+
+    // Add syntax declaration
+    code += `syntax = "${syntax}";\n\n`;
+
+    // Add package declaration
+    if (packageName) {
+        code += `package ${packageName};\n\n`;
+    }
+
+    // Well-known types (time.Time -> google.protobuf.Timestamp) need their import
+    const usesTimestamp = fields.some(f => formatFieldType(f, { numericIntType, numericFloatType }).endsWith('google.protobuf.Timestamp'));
+    if (usesTimestamp) {
+        code += `import "google/protobuf/timestamp.proto";\n\n`;
+    }
+
+    return code;
+}
+
 /**
  * Generate a single Protocol Buffer message
  * @param {object} messageData - Message data (name, fields, nestedStructs)
@@ -111,39 +175,53 @@ function formatFieldType(field, options = {}) {
         return `repeated ${elementType}`;
     }
 
+    // map[string]float64 -> map<string, double>
+    const mapType = field.goType.match(/^map\[([^\]]+)\](.+)$/);
+    if (mapType) {
+        return `map<${mapTypeToProtobuf(mapType[1], options)}, ${mapTypeToProtobuf(mapType[2], options)}>`;
+    }
+
     // Handle regular fields
-    return mapTypeToProtobuf(field.goType, options);
+    const type = mapTypeToProtobuf(field.goType, options);
+    return field.isOptional ? `optional ${type}` : type;
+}
+
+/**
+ * Generate an enum definition; proto3 needs a zero value, added as <NAME>_UNSPECIFIED unless 0 is an integer value
+ * @param {object} enumDef - { name, base: 'string' | 'int', values, comment }
+ * @returns {string} - enum definition
+ */
+function generateProtoEnum(enumDef) {
+    const prefix = toSnakeCase(enumDef.name).toUpperCase();
+    const valueName = (value) => `${prefix}_${Naming.toSnakeCase(String(value).replace(/^-/, 'NEG_')).toUpperCase() || 'EMPTY'}`;
+
+    const entries = [];
+    if (enumDef.base === 'int') {
+        if (!enumDef.values.includes(0)) entries.push({ name: `${prefix}_UNSPECIFIED`, number: 0 });
+        enumDef.values.forEach(value => entries.push({ name: valueName(value), number: value }));
+    } else {
+        entries.push({ name: `${prefix}_UNSPECIFIED`, number: 0 });
+        enumDef.values.forEach((value, index) => entries.push({ name: valueName(value), number: index + 1 }));
+    }
+
+    let code = `// ${enumDef.name} ${enumDef.comment || 'enum'}\n`;
+    code += `enum ${enumDef.name} {\n`;
+    for (const entry of entries) {
+        code += `  ${entry.name} = ${entry.number};\n`;
+    }
+    code += `}\n`;
+
+    return code;
 }
 
 /**
- * Map Go type (from json-parser) to Protocol Buffer type
+ * Map Go type (from json-parser or a DDL parser) to Protocol Buffer type via TypeMapper
  * @param {string} goType - Go type string
  * @param {object} options - Mapping options
  * @returns {string} - Protocol Buffer type
  */
 function mapTypeToProtobuf(goType, options = {}) {
-    const { numericIntType = 'int32', numericFloatType = 'float' } = options;
-
-    // Direct type mappings
-    const typeMap = {
-        'string': 'string',
-        'int': numericIntType,
-        'int64': 'int64',
-        'int32': 'int32',
-        'float64': numericFloatType,
-        'float32': 'float',
-        'bool': 'bool',
-        'interface{}': 'string', // Fallback for null/unknown types
-    };
-
-    // Check if it's a direct mapping
-    if (typeMap[goType]) {
-        return typeMap[goType];
-    }
-
-    // If it's a custom type (nested message), return as-is
-    // These are typically PascalCase struct names
-    return goType;
+    return TypeMapper.mapGoToProto(goType, options);
 }
 
 /**
@@ -152,17 +230,16 @@ function mapTypeToProtobuf(goType, options = {}) {
  * @returns {string} - snake_case field name
  */
 function toSnakeCase(fieldName) {
-    return fieldName
-        .replace(/([A-Z])/g, '_$1')
-        .toLowerCase()
-        .replace(/^_/, '');
+    return Naming.toSnakeCase(fieldName);
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         generateProtoMessage,
+        generateProtoSchema,
         generateMessage,
+        generateProtoEnum,
         formatFieldType,
         mapTypeToProtobuf,
         toSnakeCase
@@ -0,0 +1,293 @@
+// Repository Generator
+// Generates the data access layer of a parsed DDL table: a GORM repository, or sqlx / database/sql
+// query methods with explicit column lists, keyed by the table's primary key
+
+// Supported styles: type of the db handle and the imports the generated code needs
+const REPOSITORY_STYLES = {
+    gorm: { dbType: '*gorm.DB', imports: ['context', 'gorm.io/gorm'] },
+    sqlx: { dbType: '*sqlx.DB', imports: ['context', 'github.com/jmoiron/sqlx'] },
+    sql: { dbType: '*sql.DB', imports: ['context', 'database/sql'] }
+};
+
+// Names that must be quoted when used as identifiers in a query
+const QUERY_RESERVED_WORDS = new Set([
+    'all', 'and', 'as', 'by', 'check', 'column', 'default', 'desc', 'from', 'group', 'index', 'key',
+    'limit', 'offset', 'or', 'order', 'references', 'select', 'table', 'to', 'user', 'values', 'where'
+]);
+
+/**
+ * Generate the repository of one table
+ * Tables without a primary key only get Create and List
+ * @param {object} table - Parsed table: { tableName, fields, primaryKey }
+ * @param {object} options - { structName, style: 'gorm' | 'sqlx' | 'sql', dialect: 'mysql' | 'postgresql' | 'sqlite' }
+ * @returns {string} - Repository type, constructor and Create / GetBy / Update / Delete / List methods
+ */
+function generateGoRepository(table, options = {}) {
+    const { structName = Naming.toGoName(table.tableName), style = 'gorm', dialect = 'mysql' } = options;
+    const fieldsByName = new Map(table.fields.map(field => [field.name.toLowerCase(), field]));
+
+    const repo = {
+        structName,
+        name: `${structName}Repository`,
+        tableName: table.tableName,
+        style,
+        dialect,
+        fields: table.fields,
+        keys: (table.primaryKey || []).map(name => fieldsByName.get(name.toLowerCase())).filter(Boolean)
+    };
+
+    let code = '';
+    code += `// ${repo.name} ${repo.tableName}表的数据访问\n`;
+    code += `type ${repo.name} struct {\n`;
+    code += `    db ${REPOSITORY_STYLES[style].dbType}\n`;
+    code += `}\n\n`;
+    code += `// New${repo.name} 创建 ${repo.name}\n`;
+    code += `func New${repo.name}(db ${REPOSITORY_STYLES[style].dbType}) *${repo.name} {\n`;
+    code += `    return &${repo.name}{db: db}\n`;
+    code += `}\n`;
+
+    const methods = style === 'gorm' ? generateGormRepositoryMethods(repo) : generateSQLRepositoryMethods(repo);
+    for (const method of methods) {
+        code += '\n';
+        code += method;
+    }
+
+    return code;
+}
+
+/**
+ * Imports needed by the generated repositories
+ * @param {string} style - 'gorm' | 'sqlx' | 'sql'
+ * @returns {string[]}
+ */
+function getRepositoryImports(style) {
+    return REPOSITORY_STYLES[style] ? [...REPOSITORY_STYLES[style].imports] : [];
+}
+
+function generateGormRepositoryMethods(repo) {
+    const { name, structName, keys } = repo;
+    const receiver = `func (r *${name})`;
+    const keyWhere = JSON.stringify(keys.map(key => `${quoteQueryIdentifier(key.name, repo.dialect)} = ?`).join(' AND '));
+    const keyArgs = keys.map(key => repositoryParamName(key)).join(', ');
+    const methods = [];
+
+    methods.push(
+        `// Create 插入一条记录\n` +
+        `${receiver} Create(ctx context.Context, m *${structName}) error {\n` +
+        `    return r.db.WithContext(ctx).Create(m).Error\n` +
+        `}\n`
+    );
+
+    if (keys.length > 0) {
+        methods.push(
+            `// ${repositoryGetName(keys)} 按主键查询\n` +
+            `${receiver} ${repositoryGetName(keys)}(ctx context.Context, ${repositoryKeyParams(keys)}) (*${structName}, error) {\n` +
+            `    var m ${structName}\n` +
+            `    if err := r.db.WithContext(ctx).Where(${keyWhere}, ${keyArgs}).First(&m).Error; err != nil {\n` +
+            `        return nil, err\n` +
+            `    }\n` +
+            `    return &m, nil\n` +
+            `}\n`
+        );
+        methods.push(
+            `// Update 按主键更新全部字段\n` +
+            `${receiver} Update(ctx context.Context, m *${structName}) error {\n` +
+            `    return r.db.WithContext(ctx).Save(m).Error\n` +
+            `}\n`
+        );
+        methods.push(
+            `// Delete 按主键删除\n` +
+            `${receiver} Delete(ctx context.Context, ${repositoryKeyParams(keys)}) error {\n` +
+            `    return r.db.WithContext(ctx).Where(${keyWhere}, ${keyArgs}).Delete(&${structName}{}).Error\n` +
+            `}\n`
+        );
+    }
+
+    const order = keys.length > 0
+        ? `.Order(${JSON.stringify(keys.map(key => quoteQueryIdentifier(key.name, repo.dialect)).join(', '))})`
+        : '';
+    methods.push(
+        `// List 分页查询（page 从 1 开始），同时返回总数\n` +
+        `${receiver} List(ctx context.Context, page, pageSize int) ([]${structName}, int64, error) {\n` +
+        `    var (\n` +
+        `        items []${structName}\n` +
+        `        total int64\n` +
+        `    )\n` +
+        `    db := r.db.WithContext(ctx).Model(&${structName}{})\n` +
+        `    if err := db.Count(&total).Error; err != nil {\n` +
+        `        return nil, 0, err\n` +
+        `    }\n` +
+        `    if page < 1 {\n` +
+        `        page = 1\n` +
+        `    }\n` +
+        `    if err := db${order}.Offset((page - 1) * pageSize).Limit(pageSize).Find(&items).Error; err != nil {\n` +
+        `        return nil, 0, err\n` +
+        `    }\n` +
+        `    return items, total, nil\n` +
+        `}\n`
+    );
+
+    return methods;
+}
+
+// sqlx scans rows into the struct through its db tags; database/sql scans every column explicitly
+function generateSQLRepositoryMethods(repo) {
+    const { name, structName, keys, dialect, style } = repo;
+    const receiver = `func (r *${name})`;
+    const quote = (fieldName) => quoteQueryIdentifier(fieldName, dialect);
+    const placeholder = (position) => dialect === 'postgresql' ? `$${position}` : '?';
+    const table = quote(repo.tableName);
+    const columns = repo.fields.map(field => quote(field.name)).join(', ');
+    const scanTargets = repo.fields.map(field => `&m.${field.goName}`).join(', ');
+    const keyWhere = (start) => keys.map((key, i) => `${quote(key.name)} = ${placeholder(start + i)}`).join(' AND ');
+    const keyArgs = keys.map(key => repositoryParamName(key)).join(', ');
+    const writable = repo.fields.filter(field => !field.isAutoIncrement && !(field.column && field.column.generated));
+    const methods = [];
+
+    // Create: auto increment keys are read back with RETURNING (PostgreSQL) or LastInsertId
+    const autoKey = keys.length === 1 && keys[0].isAutoIncrement ? keys[0] : null;
+    let insert = writable.length > 0
+        ? `INSERT INTO ${table} (${writable.map(field => quote(field.name)).join(', ')}) VALUES (${writable.map((field, i) => placeholder(i + 1)).join(', ')})`
+        : `INSERT INTO ${table} ${dialect === 'mysql' ? '() VALUES ()' : 'DEFAULT VALUES'}`;
+    const insertArgs = writable.map(field => `, m.${field.goName}`).join('');
+    let create = `// Create 插入一条记录\n`;
+    create += `${receiver} Create(ctx context.Context, m *${structName}) error {\n`;
+    if (autoKey && dialect === 'postgresql') {
+        insert += ` RETURNING ${quote(autoKey.name)}`;
+        create += `    const query = ${toGoStringLiteral(insert)}\n`;
+        create += `    return r.db.QueryRowContext(ctx, query${insertArgs}).Scan(&m.${autoKey.goName})\n`;
+    } else if (autoKey) {
+        create += `    const query = ${toGoStringLiteral(insert)}\n`;
+        create += `    result, err := r.db.ExecContext(ctx, query${insertArgs})\n`;
+        create += `    if err != nil {\n`;
+        create += `        return err\n`;
+        create += `    }\n`;
+        create += `    lastID, err := result.LastInsertId()\n`;
+        create += `    if err != nil {\n`;
+        create += `        return err\n`;
+        create += `    }\n`;
+        create += `    m.${autoKey.goName} = ${autoKey.goType === 'int64' ? 'lastID' : `${autoKey.goType}(lastID)`}\n`;
+        create += `    return nil\n`;
+    } else {
+        create += `    const query = ${toGoStringLiteral(insert)}\n`;
+        create += `    _, err := r.db.ExecContext(ctx, query${insertArgs})\n`;
+        create += `    return err\n`;
+    }
+    create += `}\n`;
+    methods.push(create);
+
+    if (keys.length > 0) {
+        const select = `SELECT ${columns} FROM ${table} WHERE ${keyWhere(1)}`;
+        let get = `// ${repositoryGetName(keys)} 按主键查询\n`;
+        get += `${receiver} ${repositoryGetName(keys)}(ctx context.Context, ${repositoryKeyParams(keys)}) (*${structName}, error) {\n`;
+        get += `    const query = ${toGoStringLiteral(select)}\n`;
+        get += `    var m ${structName}\n`;
+        get += style === 'sqlx'
+            ? `    if err := r.db.GetContext(ctx, &m, query, ${keyArgs}); err != nil {\n`
+            : `    if err := r.db.QueryRowContext(ctx, query, ${keyArgs}).Scan(${scanTargets}); err != nil {\n`;
+        get += `        return nil, err\n`;
+        get += `    }\n`;
+        get += `    return &m, nil\n`;
+        get += `}\n`;
+        methods.push(get);
+
+        const assignments = writable.filter(field => !field.isPrimaryKey);
+        if (assignments.length > 0) {
+            const update = `UPDATE ${table} SET ${assignments.map((field, i) => `${quote(field.name)} = ${placeholder(i + 1)}`).join(', ')} ` +
+                `WHERE ${keyWhere(assignments.length + 1)}`;
+            const updateArgs = [...assignments, ...keys].map(field => `m.${field.goName}`).join(', ');
+            methods.push(
+                `// Update 按主键更新全部字段\n` +
+                `${receiver} Update(ctx context.Context, m *${structName}) error {\n` +
+                `    const query = ${toGoStringLiteral(update)}\n` +
+                `    _, err := r.db.ExecContext(ctx, query, ${updateArgs})\n` +
+                `    return err\n` +
+                `}\n`
+            );
+        }
+
+        methods.push(
+            `// Delete 按主键删除\n` +
+            `${receiver} Delete(ctx context.Context, ${repositoryKeyParams(keys)}) error {\n` +
+            `    const query = ${toGoStringLiteral(`DELETE FROM ${table} WHERE ${keyWhere(1)}`)}\n` +
+            `    _, err := r.db.ExecContext(ctx, query, ${keyArgs})\n` +
+            `    return err\n` +
+            `}\n`
+        );
+    }
+
+    const orderBy = keys.length > 0 ? ` ORDER BY ${keys.map(key => quote(key.name)).join(', ')}` : '';
+    const list = `SELECT ${columns} FROM ${table}${orderBy} LIMIT ${placeholder(1)} OFFSET ${placeholder(2)}`;
+    let listMethod = `// List 分页查询（page 从 1 开始），同时返回总数\n`;
+    listMethod += `${receiver} List(ctx context.Context, page, pageSize int) ([]${structName}, int64, error) {\n`;
+    listMethod += `    var total int64\n`;
+    listMethod += style === 'sqlx'
+        ? `    if err := r.db.GetContext(ctx, &total, ${toGoStringLiteral(`SELECT COUNT(*) FROM ${table}`)}); err != nil {\n`
+        : `    if err := r.db.QueryRowContext(ctx, ${toGoStringLiteral(`SELECT COUNT(*) FROM ${table}`)}).Scan(&total); err != nil {\n`;
+    listMethod += `        return nil, 0, err\n`;
+    listMethod += `    }\n`;
+    listMethod += `    if page < 1 {\n`;
+    listMethod += `        page = 1\n`;
+    listMethod += `    }\n\n`;
+    listMethod += `    const query = ${toGoStringLiteral(list)}\n`;
+    if (style === 'sqlx') {
+        listMethod += `    var items []${structName}\n`;
+        listMethod += `    if err := r.db.SelectContext(ctx, &items, query, pageSize, (page - 1) * pageSize); err != nil {\n`;
+        listMethod += `        return nil, 0, err\n`;
+        listMethod += `    }\n`;
+        listMethod += `    return items, total, nil\n`;
+    } else {
+        listMethod += `    rows, err := r.db.QueryContext(ctx, query, pageSize, (page - 1) * pageSize)\n`;
+        listMethod += `    if err != nil {\n`;
+        listMethod += `        return nil, 0, err\n`;
+        listMethod += `    }\n`;
+        listMethod += `    defer rows.Close()\n\n`;
+        listMethod += `    var items []${structName}\n`;
+        listMethod += `    for rows.Next() {\n`;
+        listMethod += `        var m ${structName}\n`;
+        listMethod += `        if err := rows.Scan(${scanTargets}); err != nil {\n`;
+        listMethod += `            return nil, 0, err\n`;
+        listMethod += `        }\n`;
+        listMethod += `        items = append(items, m)\n`;
+        listMethod += `    }\n`;
+        listMethod += `    return items, total, rows.Err()\n`;
+    }
+    listMethod += `}\n`;
+    methods.push(listMethod);
+
+    return methods;
+}
+
+// GetByID, GetByTenantIDAndOrderID
+function repositoryGetName(keys) {
+    return `GetBy${keys.map(key => key.goName).join('And')}`;
+}
+
+// id int64, tenantID int64
+function repositoryKeyParams(keys) {
+    return keys.map(key => `${repositoryParamName(key)} ${key.goType.replace(/^\*/, '')}`).join(', ');
+}
+
+// Parameter name of a key column; names used by the generated methods get a suffix
+function repositoryParamName(field) {
+    const name = Naming.toGoLowerName(field.goName);
+    return ['ctx', 'm', 'r', 'db', 'err', 'query', 'page', 'pageSize'].includes(name) ? `${name}Key` : name;
+}
+
+// Quote only identifiers that need it (keywords, upper case or special characters) to keep queries readable
+function quoteQueryIdentifier(name, dialect) {
+    if (/^[a-z_][a-z0-9_]*$/.test(name) && !QUERY_RESERVED_WORDS.has(name)) {
+        return name;
+    }
+    return dialect === 'mysql' ? `\`${name}\`` : `"${name}"`;
+}
+
+// Raw string literal, or an interpreted one when the query holds MySQL backquotes
+function toGoStringLiteral(text) {
+    return text.includes('`') ? JSON.stringify(text) : `\`${text}\``;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { generateGoRepository, getRepositoryImports };
+}
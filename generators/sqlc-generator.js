@@ -0,0 +1,167 @@
+// sqlc Generator
+// Builds a starter sqlc project from a parsed DDL schema: schema.sql (tables re-rendered without
+// dump noise such as SET / OWNER / GRANT statements), query.sql with annotated CRUD queries, and sqlc.yaml
+
+/**
+ * Generate the sqlc project files
+ * @param {object} schemaData - parseDDLSchema result: { tables, dbType }
+ * @param {object} options - { packageName }
+ * @returns {object[]} - [{ filename, content }]: schema.sql, query.sql, sqlc.yaml
+ */
+function generateSqlcFiles(schemaData, options = {}) {
+    const { packageName = 'model' } = options;
+    const dialect = schemaData.dbType || 'mysql';
+    const tables = schemaData.tables || [];
+
+    return [
+        { filename: 'schema.sql', content: generateSqlcSchema(tables, dialect) },
+        { filename: 'query.sql', content: generateSqlcQueries(tables, dialect) },
+        { filename: 'sqlc.yaml', content: generateSqlcConfig(dialect, packageName) }
+    ];
+}
+
+// Enum types first (sqlc turns them into Go enums), then every table with its indexes
+function generateSqlcSchema(tables, dialect) {
+    const statements = [];
+
+    const enumTypes = new Set(tables.flatMap(table => table.enums || []).filter(enumDef => enumDef.createType));
+    for (const { createType } of enumTypes) {
+        const name = [createType.schema, createType.name].filter(Boolean).map(part => `"${part}"`).join('.');
+        const values = createType.values.map(value => `'${value.replace(/'/g, "''")}'`).join(', ');
+        statements.push(`CREATE TYPE ${name} AS ENUM (${values});`);
+    }
+
+    for (const table of tables) {
+        statements.push(buildCreateTableDDL(toSqlcTableModel(table, dialect), dialect));
+    }
+
+    return statements.join('\n\n') + '\n';
+}
+
+// Parsed table -> the table model of buildCreateTableDDL
+function toSqlcTableModel(table, dialect) {
+    const columns = table.fields.map(field => {
+        const column = field.column;
+        let type = `${field.type}${field.isUnsigned ? ' UNSIGNED' : ''}`;
+        let defaultValue = column.defaultValue ? column.defaultValue.raw : null;
+
+        if (isSequenceColumn(field, dialect)) {
+            // pg_dump writes serial columns as integer + sequence default; the sequence is not part of the schema
+            type = /^(?:BIGINT|INT8)$/.test(column.dataType.name) ? 'bigserial'
+                : (/^(?:SMALLINT|INT2)$/.test(column.dataType.name) ? 'smallserial' : 'serial');
+            defaultValue = null;
+        } else if (dialect === 'postgresql' && column.identity) {
+            type += ` GENERATED ${column.identity.mode || 'ALWAYS'} AS IDENTITY`;
+        }
+
+        return {
+            name: field.name,
+            type,
+            nullable: field.nullable,
+            autoIncrement: field.isAutoIncrement,
+            defaultValue,
+            onUpdate: column.onUpdate ? column.onUpdate.raw : null,
+            unique: column.unique,
+            comment: column.comment || ''
+        };
+    });
+
+    // Expression indexes are left out (lower(email) is read as a column named lower); unnamed ones get a name for CREATE INDEX
+    const columnNames = new Set(table.fields.map(field => field.name.toLowerCase()));
+    const indexes = (table.indexes || [])
+        .filter(index => index.columns.length > 0 &&
+            index.columns.every(column => column.name && columnNames.has(column.name.toLowerCase())))
+        .map(index => ({
+            ...index,
+            name: index.name || `idx_${table.tableName}_${index.columns.map(column => column.name).join('_')}`
+        }));
+
+    return { name: table.tableName, columns, primaryKey: table.primaryKey || [], indexes };
+}
+
+// A PostgreSQL column filled from a sequence: DEFAULT nextval('users_id_seq'::regclass)
+function isSequenceColumn(field, dialect) {
+    const defaultValue = field.column.defaultValue;
+    return dialect === 'postgresql' && !!defaultValue && /^nextval\s*\(/i.test(defaultValue.raw);
+}
+
+// Get / List / Count / Create / Update / Delete per table; tables without a primary key get List, Count and Create
+function generateSqlcQueries(tables, dialect) {
+    const blocks = tables.map(table => {
+        const quote = (name) => quoteQueryIdentifier(name, dialect);
+        const placeholder = (position) => dialect === 'postgresql' ? `$${position}` : '?';
+        const { entity, plural } = sqlcQueryNames(table.tableName);
+        const tableName = quote(table.tableName);
+
+        const fieldsByName = new Map(table.fields.map(field => [field.name.toLowerCase(), field]));
+        const keys = (table.primaryKey || []).map(name => fieldsByName.get(name.toLowerCase())).filter(Boolean);
+        const writable = table.fields.filter(field =>
+            !field.isAutoIncrement && !field.column.generated && !isSequenceColumn(field, dialect));
+        const keyWhere = (start) => keys.map((key, i) => `${quote(key.name)} = ${placeholder(start + i)}`).join(' AND ');
+        const queries = [];
+
+        if (keys.length > 0) {
+            queries.push(`-- name: Get${entity} :one\nSELECT * FROM ${tableName}\nWHERE ${keyWhere(1)} LIMIT 1;`);
+        }
+
+        const orderBy = keys.length > 0 ? `\nORDER BY ${keys.map(key => quote(key.name)).join(', ')}` : '';
+        queries.push(`-- name: List${plural} :many\nSELECT * FROM ${tableName}${orderBy}\nLIMIT ${placeholder(1)} OFFSET ${placeholder(2)};`);
+        queries.push(`-- name: Count${plural} :one\nSELECT COUNT(*) FROM ${tableName};`);
+
+        // MySQL has no RETURNING: :execresult gives the caller LastInsertId
+        const returning = dialect !== 'mysql';
+        let insert = writable.length > 0
+            ? `INSERT INTO ${tableName} (\n    ${writable.map(field => quote(field.name)).join(', ')}\n) VALUES (\n    ${writable.map((field, i) => placeholder(i + 1)).join(', ')}\n)`
+            : `INSERT INTO ${tableName} ${dialect === 'mysql' ? '() VALUES ()' : 'DEFAULT VALUES'}`;
+        insert += returning ? '\nRETURNING *;' : ';';
+        queries.push(`-- name: Create${entity} ${returning ? ':one' : ':execresult'}\n${insert}`);
+
+        const assignments = writable.filter(field => !field.isPrimaryKey);
+        if (keys.length > 0 && assignments.length > 0) {
+            // Numbered placeholders put the key first, like the sqlc examples; ? placeholders follow the text order
+            const setStart = dialect === 'postgresql' ? keys.length + 1 : 1;
+            const whereStart = dialect === 'postgresql' ? 1 : assignments.length + 1;
+            const set = assignments.map((field, i) => `${quote(field.name)} = ${placeholder(setStart + i)}`).join(', ');
+            queries.push(`-- name: Update${entity} :exec\nUPDATE ${tableName}\nSET ${set}\nWHERE ${keyWhere(whereStart)};`);
+        }
+        if (keys.length > 0) {
+            queries.push(`-- name: Delete${entity} :exec\nDELETE FROM ${tableName}\nWHERE ${keyWhere(1)};`);
+        }
+
+        return `-- ${table.tableName}\n\n${queries.join('\n\n')}`;
+    });
+
+    return blocks.join('\n\n') + '\n';
+}
+
+// Query name parts of a table: users -> User / Users, order_item -> OrderItem / OrderItems
+function sqlcQueryNames(tableName) {
+    const goName = Naming.toGoName(tableName);
+    const singular = singularizeTypeName(goName);
+
+    // singularizeTypeName adds an Item suffix to names without a plural form: the table name is already singular
+    if (singular === `${goName}Item`) {
+        return { entity: goName, plural: /(s|x|ch|sh)$/.test(goName) ? `${goName}es` : `${goName}s` };
+    }
+    return { entity: singular, plural: goName };
+}
+
+// sqlc.yaml (configuration version 2)
+function generateSqlcConfig(dialect, packageName) {
+    let config = 'version: "2"\n';
+    config += 'sql:\n';
+    config += `  - engine: "${dialect}"\n`;
+    config += '    schema: "schema.sql"\n';
+    config += '    queries: "query.sql"\n';
+    config += '    gen:\n';
+    config += '      go:\n';
+    config += `        package: "${packageName}"\n`;
+    config += `        out: "${packageName}"\n`;
+    config += '        emit_json_tags: true\n';
+    return config;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { generateSqlcFiles };
+}
@@ -3,13 +3,29 @@
 
 function generateGoStruct(parsedData, options = {}) {
     const {
-        structName = parsedData.structName || snakeToCamel(parsedData.tableName),
+        structName = parsedData.structName || Naming.toGoName(parsedData.tableName),
         generateTableName = true,
         packageName = 'model',
         inlineNestedStructs = true,  // New option: inline nested structs by default
-        inputType = 'ddl'  // New option: 'json' or 'ddl' to determine tag generation
+        inputType = 'ddl',  // New option: 'json' or 'ddl' to determine tag generation
+        generateAssociations = true,  // Belongs-to fields for DDL foreign keys
+        nullableStrategy = 'none',  // 'none' | 'pointer' | 'sql' | 'generic' | 'guregu' for nullable DDL columns
+        tagConfig: requestedTagConfig = TagBuilder.defaultConfig,  // Which tags to emit, see TagBuilder
+        repositoryStyle = 'none'  // 'none' | 'gorm' | 'sqlx' | 'sql': CRUD code for DDL tables, see generateGoRepository
     } = options;
 
+    // sqlx scans rows into the struct by db tag: the sqlx repository comes with db tags keyed by the column names
+    const withRepository = inputType !== 'json' && repositoryStyle !== 'none' && !!parsedData.tableName;
+    let tagConfig = requestedTagConfig;
+    if (withRepository && repositoryStyle === 'sqlx') {
+        const requested = TagBuilder.normalize(requestedTagConfig);
+        tagConfig = TagBuilder.normalize({
+            ...requested,
+            tags: [...requested.tags, 'db'],
+            naming: { ...requested.naming, db: 'original' }
+        });
+    }
+
     let code = '';
 
     // Add struct comment
@@ -18,7 +34,13 @@ function generateGoStruct(parsedData, options = {}) {
     code += `type ${structName} struct {\n`;
 
     // Process fields - check if we need to inline nested structs
-    const fields = processFieldsForInline(parsedData.fields, parsedData.nestedStructs, inlineNestedStructs);
+    let fields = processFieldsForInline(parsedData.fields, parsedData.nestedStructs, inlineNestedStructs, tagConfig)
+        .map(field => ({ ...field, goType: resolveGoType(field, nullableStrategy) }));
+
+    // Foreign keys become association fields carrying the foreignKey/references tags (GORM only)
+    if (inputType !== 'json' && generateAssociations && TagBuilder.normalize(tagConfig).tags.includes('gorm')) {
+        fields = fields.concat(buildAssociationFields(parsedData, structName));
+    }
 
     // Calculate max widths for alignment
     const maxFieldNameLen = Math.max(...fields.map(f => f.goName.length));
@@ -30,7 +52,7 @@ function generateGoStruct(parsedData, options = {}) {
         : 20; // Default if all fields are inline structs
 
     // Generate tags based on input type
-    const fieldTags = fields.map(f => generateFieldTag(f, inputType));
+    const fieldTags = fields.map(f => generateFieldTag(f, inputType, tagConfig));
     const maxTagLen = Math.max(...fieldTags.map(t => t.length));
 
     // Generate fields with alignment
@@ -69,15 +91,155 @@ function generateGoStruct(parsedData, options = {}) {
     if (!inlineNestedStructs && parsedData.nestedStructs && parsedData.nestedStructs.length > 0) {
         for (const nested of parsedData.nestedStructs) {
             code += '\n';
-            code += generateNestedStruct(nested, inputType);
+            code += generateNestedStruct(nested, tagConfig);
+        }
+    }
+
+    // Enum types (JSON Schema enum) are named types, so they are declared even when nested structs are inlined
+    for (const enumDef of parsedData.enums || []) {
+        code += '\n';
+        code += generateGoEnum(enumDef);
+    }
+
+    // Data access code (DDL only); the parsed dialect decides the query placeholders
+    if (withRepository) {
+        code += '\n';
+        code += generateGoRepository(parsedData, {
+            structName,
+            style: repositoryStyle,
+            dialect: ['postgresql', 'sqlite'].includes(inputType) ? inputType : 'mysql'
+        });
+    }
+
+    return code;
+}
+
+/**
+ * Generate a named type with one constant per value
+ * Column enums (scanner: true) also get String, IsValid, Scan and Value methods
+ * @param {object} enumDef - { name, base: 'string' | 'int', values, comment, kind: 'enum' | 'set', scanner }
+ * @returns {string} - type Status string + const block
+ */
+function generateGoEnum(enumDef) {
+    const used = new Set();
+    const constants = enumDef.values.map(value => {
+        const suffix = Naming.splitWords(String(value).replace(/^-/, 'Neg_'))
+            .map(word => Naming.toGoWord(word)).join('') || 'Empty';
+        let name = `${enumDef.name}${suffix}`;
+        for (let i = 2; used.has(name); i++) {
+            name = `${enumDef.name}${suffix}${i}`;
         }
+        used.add(name);
+        return { name, literal: enumDef.base === 'int' ? String(value) : JSON.stringify(value) };
+    });
+
+    const maxNameLen = Math.max(...constants.map(constant => constant.name.length));
+    let code = `// ${enumDef.name} ${enumDef.comment || '枚举'}\n`;
+    code += `type ${enumDef.name} ${enumDef.base === 'int' ? 'int' : 'string'}\n\n`;
+    code += `const (\n`;
+    for (const constant of constants) {
+        code += `    ${constant.name.padEnd(maxNameLen)} ${enumDef.name} = ${constant.literal}\n`;
+    }
+    code += `)\n`;
+
+    if (enumDef.scanner) {
+        code += '\n';
+        code += generateGoEnumMethods(enumDef, constants.map(constant => constant.name));
+    }
+
+    return code;
+}
+
+// Methods of a string column enum; a SET value is valid when every comma-separated member is
+function generateGoEnumMethods(enumDef, constantNames) {
+    const name = enumDef.name;
+    const receiver = name.charAt(0).toLowerCase();
+    const cases = constantNames.join(', ');
+    let code = '';
+
+    code += `// String 返回字符串值\n`;
+    code += `func (${receiver} ${name}) String() string {\n`;
+    code += `    return string(${receiver})\n`;
+    code += `}\n\n`;
+
+    code += `// IsValid 判断是否为合法取值\n`;
+    code += `func (${receiver} ${name}) IsValid() bool {\n`;
+    if (enumDef.kind === 'set') {
+        code += `    if ${receiver} == "" {\n`;
+        code += `        return true\n`;
+        code += `    }\n`;
+        code += `    for _, item := range strings.Split(string(${receiver}), ",") {\n`;
+        code += `        switch ${name}(item) {\n`;
+        code += `        case ${cases}:\n`;
+        code += `        default:\n`;
+        code += `            return false\n`;
+        code += `        }\n`;
+        code += `    }\n`;
+        code += `    return true\n`;
+    } else {
+        code += `    switch ${receiver} {\n`;
+        code += `    case ${cases}:\n`;
+        code += `        return true\n`;
+        code += `    }\n`;
+        code += `    return false\n`;
+    }
+    code += `}\n\n`;
+
+    code += `// Scan 实现 sql.Scanner 接口\n`;
+    code += `func (${receiver} *${name}) Scan(value interface{}) error {\n`;
+    code += `    switch src := value.(type) {\n`;
+    code += `    case nil:\n`;
+    code += `        *${receiver} = ""\n`;
+    code += `    case string:\n`;
+    code += `        *${receiver} = ${name}(src)\n`;
+    code += `    case []byte:\n`;
+    code += `        *${receiver} = ${name}(src)\n`;
+    code += `    default:\n`;
+    code += `        return fmt.Errorf("cannot scan %T into ${name}", value)\n`;
+    code += `    }\n`;
+    code += `    return nil\n`;
+    code += `}\n\n`;
+
+    code += `// Value 实现 driver.Valuer 接口\n`;
+    code += `func (${receiver} ${name}) Value() (driver.Value, error) {\n`;
+    // The zero value is what Scan reads from NULL: it is written back as NULL (an empty SET is a valid value)
+    if (enumDef.kind !== 'set') {
+        code += `    if ${receiver} == "" {\n`;
+        code += `        return nil, nil\n`;
+        code += `    }\n`;
     }
+    code += `    if !${receiver}.IsValid() {\n`;
+    code += `        return nil, fmt.Errorf("invalid ${name}: %q", string(${receiver}))\n`;
+    code += `    }\n`;
+    code += `    return string(${receiver}), nil\n`;
+    code += `}\n`;
 
     return code;
 }
 
+// Generate one Go struct per table of a parsed DDL schema, in input order
+function generateGoStructs(schemaData, options = {}) {
+    const tables = schemaData.tables || [];
+
+    // A custom struct name only makes sense for a single table
+    const tableOptions = { ...options };
+    if (tables.length > 1) {
+        delete tableOptions.structName;
+    }
+
+    // PostgreSQL enum types can be shared by several tables: each is declared once
+    const declared = new Set();
+    return tables
+        .map(table => {
+            const enums = (table.enums || []).filter(enumDef => !declared.has(enumDef.name));
+            enums.forEach(enumDef => declared.add(enumDef.name));
+            return generateGoStruct({ ...table, enums }, tableOptions);
+        })
+        .join('\n');
+}
+
 // Process fields to inline nested structs if needed
-function processFieldsForInline(fields, nestedStructs, inlineNestedStructs) {
+function processFieldsForInline(fields, nestedStructs, inlineNestedStructs, tagConfig) {
     if (!inlineNestedStructs || !nestedStructs || nestedStructs.length === 0) {
         return fields;
     }
@@ -89,64 +251,31 @@ function processFieldsForInline(fields, nestedStructs, inlineNestedStructs) {
     }
 
     // Process each field
-    return fields.map(field => {
-        // Handle normal struct
-        if (nestedMap[field.goType]) {
-            const nested = nestedMap[field.goType];
-            return {
-                ...field,
-                goType: generateInlineStruct(nested, nestedMap, '    ')
-            };
-        }
-
-        // Handle array of structs
-        if (field.goType.startsWith('[]')) {
-            const innerType = field.goType.substring(2);
-            if (nestedMap[innerType]) {
-                const nested = nestedMap[innerType];
-                return {
-                    ...field,
-                    goType: '[]' + generateInlineStruct(nested, nestedMap, '    ')
-                };
-            }
-        }
+    return fields.map(field => inlineNestedField(field, nestedMap, '    ', tagConfig));
+}
 
+// Replace a nested struct type (Name, *Name, []Name, []*Name) with its inline definition
+function inlineNestedField(field, nestedMap, indent, tagConfig) {
+    const match = field.goType.match(/^((?:\[\]|\*)*)(\w+)$/);
+    if (!nestedMap || !match || !nestedMap[match[2]]) {
         return field;
-    });
+    }
+
+    return {
+        ...field,
+        goType: match[1] + generateInlineStruct(nestedMap[match[2]], nestedMap, indent, tagConfig)
+    };
 }
 
 // Generate inline struct definition
-function generateInlineStruct(nestedData, nestedMap, baseIndent = '    ') {
+function generateInlineStruct(nestedData, nestedMap, baseIndent = '    ', tagConfig = TagBuilder.defaultConfig) {
     let code = 'struct {\n';
 
     // Calculate new indent for fields inside this struct
     const fieldIndent = baseIndent + '    ';
 
     // Process fields recursively
-    const fields = nestedData.fields.map(field => {
-        // Handle normal struct
-        if (nestedMap && nestedMap[field.goType]) {
-            const nested = nestedMap[field.goType];
-            return {
-                ...field,
-                goType: generateInlineStruct(nested, nestedMap, fieldIndent)
-            };
-        }
-
-        // Handle array of structs
-        if (field.goType.startsWith('[]')) {
-            const innerType = field.goType.substring(2);
-            if (nestedMap && nestedMap[innerType]) {
-                const nested = nestedMap[innerType];
-                return {
-                    ...field,
-                    goType: '[]' + generateInlineStruct(nested, nestedMap, fieldIndent)
-                };
-            }
-        }
-
-        return field;
-    });
+    const fields = nestedData.fields.map(field => inlineNestedField(field, nestedMap, fieldIndent, tagConfig));
 
     const maxFieldNameLen = Math.max(...fields.map(f => f.goName.length));
 
@@ -157,7 +286,7 @@ function generateInlineStruct(nestedData, nestedMap, baseIndent = '    ') {
         ? Math.max(...regularFields.map(f => f.goType.length))
         : 20;
 
-    const fieldTags = fields.map(f => `\`json:"${f.jsonName}"\``);
+    const fieldTags = fields.map(f => TagBuilder.build(f, tagConfig, 'json'));
     const maxTagLen = Math.max(...fieldTags.map(t => t.length));
 
     for (let i = 0; i < fields.length; i++) {
@@ -187,21 +316,64 @@ function generateInlineStruct(nestedData, nestedMap, baseIndent = '    ') {
     return code;
 }
 
+// Build belongs-to association fields for a table's foreign keys
+// user_id -> User *Users; columns without an _id suffix or composite keys fall back to other names
+function buildAssociationFields(parsedData, structName) {
+    const foreignKeys = parsedData.foreignKeys || [];
+    const usedNames = new Set(parsedData.fields.map(f => f.goName));
+    const fieldsByColumn = new Map(parsedData.fields.map(f => [f.name.toLowerCase(), f]));
+
+    return foreignKeys.map(foreignKey => {
+        const singleColumn = foreignKey.columns.length === 1 ? foreignKey.columns[0] : null;
+        let baseName = foreignKey.refTable;
+        if (singleColumn) {
+            baseName = /_id$/i.test(singleColumn) ? singleColumn.replace(/_id$/i, '') : `${singleColumn}_ref`;
+        }
+
+        let goName = Naming.toGoName(baseName);
+        for (let n = 2; usedNames.has(goName); n++) {
+            goName = `${Naming.toGoName(baseName)}${n}`;
+        }
+        usedNames.add(goName);
+
+        // Self references point at the struct being generated
+        const refStruct = foreignKey.refTable === parsedData.tableName ? structName : Naming.toGoName(foreignKey.refTable);
+
+        return {
+            goName,
+            goType: `*${refStruct}`,
+            jsonName: baseName,
+            comment: `关联 ${foreignKey.refTable} 表`,
+            association: {
+                foreignKeys: foreignKey.columns.map(column => {
+                    const field = fieldsByColumn.get(column.toLowerCase());
+                    return field ? field.goName : Naming.toGoName(column);
+                }),
+                references: foreignKey.refColumns.map(column => Naming.toGoName(column)),
+                onDelete: foreignKey.onDelete,
+                onUpdate: foreignKey.onUpdate
+            }
+        };
+    });
+}
+
 // Generate field tag based on input type
-function generateFieldTag(field, inputType) {
-    if (inputType === 'json') {
-        // JSON input: only json tag
-        return `\`json:"${field.jsonName}"\``;
-    } else {
-        // DDL input: json + gorm tags
-        return generateGormTag(field);
+// JSON input gets no gorm tag; the tag set comes from the tag configuration
+function generateFieldTag(field, inputType, tagConfig = TagBuilder.defaultConfig) {
+    if (field.association) {
+        return generateAssociationTag(field);
     }
+
+    return TagBuilder.build(field, tagConfig, inputType);
 }
 
-// Generate gorm tag for a field
+// Generate json + gorm tag for a field
 function generateGormTag(field) {
-    const jsonTag = `json:"${field.jsonName}"`;
+    return `\`json:"${field.jsonName}" gorm:"${formatGormTagValue(field)}"\``;
+}
 
+// gorm tag value: column:id;primaryKey;autoIncrement;not null
+function formatGormTagValue(field) {
     let gormParts = [`column:${field.dbColumn}`];
 
     if (field.isPrimaryKey) {
@@ -212,17 +384,115 @@ function generateGormTag(field) {
         gormParts.push('autoIncrement');
     }
 
+    if (field.size) {
+        gormParts.push(`size:${field.size}`);
+    }
+
+    if (field.precision) {
+        gormParts.push(`precision:${field.precision}`);
+    }
+
+    if (field.scale !== null && field.scale !== undefined) {
+        gormParts.push(`scale:${field.scale}`);
+    }
+
     if (!field.nullable) {
         gormParts.push('not null');
     }
 
-    const gormTag = `gorm:"${gormParts.join(';')}"`;
+    // Database-maintained timestamps map to GORM's autoCreateTime / autoUpdateTime
+    if (isCurrentTimestamp(field.onUpdate)) {
+        gormParts.push('autoUpdateTime');
+    } else if (isCurrentTimestamp(field.defaultValue)) {
+        gormParts.push('autoCreateTime');
+    } else if (field.defaultValue && !field.isAutoIncrement) {
+        const defaultTag = formatGormDefault(field.defaultValue, field.goType);
+        if (defaultTag) gormParts.push(defaultTag);
+    }
+
+    if (field.isUnique) {
+        gormParts.push('unique');
+    }
 
-    return `\`${jsonTag} ${gormTag}\``;
+    for (const index of field.indexes || []) {
+        gormParts.push(formatGormIndex(index));
+    }
+
+    return gormParts.join(';');
+}
+
+// CURRENT_TIMESTAMP, CURRENT_TIMESTAMP(3), NOW(), LOCALTIMESTAMP, datetime('now') ...
+function isCurrentTimestamp(expression) {
+    if (!expression || expression.kind !== 'expression') return false;
+    const raw = expression.raw.toLowerCase().replace(/\s+/g, '');
+    return /^(?:current_timestamp|localtimestamp|now)(?:\(\d*\))?$/.test(raw) ||
+        /^\(?datetime\('now'(?:,'localtime')?\)\)?$/.test(raw);
+}
+
+// Format a DDL default as a GORM tag part: default:0 / default:'active' / default:uuid()
+// NULL defaults are implied by a nullable column and produce no tag
+function formatGormDefault(defaultValue, goType) {
+    let value;
+    switch (defaultValue.kind) {
+        case 'null':
+            return null;
+        case 'string':
+            // GORM parses defaults of numeric fields as numbers: DECIMAL DEFAULT '0.00' -> default:0.00
+            if (!/string/i.test(goType) && /^-?\d+(?:\.\d+)?$/.test(defaultValue.value)) {
+                value = defaultValue.value;
+            } else {
+                value = `'${defaultValue.value.replace(/'/g, "''")}'`;
+            }
+            break;
+        case 'number':
+        case 'boolean':
+            value = String(defaultValue.value);
+            break;
+        default:
+            value = defaultValue.raw;
+    }
+
+    // ';' separates tag settings and '"' would end the struct tag value
+    return `default:${value.replace(/;/g, '\\;').replace(/"/g, '\\"')}`;
+}
+
+// Format one index membership: index:idx_name,priority:2 / uniqueIndex:uk_email / index:,class:FULLTEXT
+function formatGormIndex(index) {
+    const key = index.unique ? 'uniqueIndex' : 'index';
+    const settings = [];
+
+    if (index.kind) settings.push(`class:${index.kind}`);
+    if (index.using) settings.push(`type:${index.using.toLowerCase()}`);
+    if (index.order === 'DESC') settings.push('sort:desc');
+    if (index.length) settings.push(`length:${index.length}`);
+    if (index.priority) settings.push(`priority:${index.priority}`);
+
+    if (!index.name && settings.length === 0) {
+        return key;
+    }
+    return `${key}:${[index.name || '', ...settings].join(',')}`;
+}
+
+// Generate tag for an association field: foreignKey/references plus ON DELETE/UPDATE constraints
+function generateAssociationTag(field) {
+    const { foreignKeys, references, onDelete, onUpdate } = field.association;
+    const gormParts = [
+        `foreignKey:${foreignKeys.join(',')}`,
+        `references:${references.join(',')}`
+    ];
+
+    const constraints = [];
+    if (onUpdate) constraints.push(`OnUpdate:${onUpdate}`);
+    if (onDelete) constraints.push(`OnDelete:${onDelete}`);
+    if (constraints.length > 0) {
+        gormParts.push(`constraint:${constraints.join(',')}`);
+    }
+
+    return `\`json:"${field.jsonName},omitempty" gorm:"${gormParts.join(';')}"\``;
 }
 
 // Generate nested struct (for JSON objects)
-function generateNestedStruct(nestedData, inputType = 'ddl') {
+function generateNestedStruct(nestedData, tagConfig = TagBuilder.defaultConfig) {
     let code = '';
 
     code += `// ${nestedData.name} 嵌套结构\n`;
@@ -232,13 +502,8 @@ function generateNestedStruct(nestedData, inputType = 'ddl') {
     const maxFieldNameLen = Math.max(...fields.map(f => f.goName.length));
     const maxTypeLen = Math.max(...fields.map(f => f.goType.length));
 
-    const fieldTags = fields.map(f => {
-        if (inputType === 'json') {
-            return `\`json:"${f.jsonName}"\``;
-        } else {
-            return `\`json:"${f.jsonName}"\``;  // Nested structs from JSON only have json tags
-        }
-    });
+    // Nested structs come from JSON, so they have no gorm tag
+    const fieldTags = fields.map(f => TagBuilder.build(f, tagConfig, 'json'));
     const maxTagLen = Math.max(...fieldTags.map(t => t.length));
 
     for (let i = 0; i < fields.length; i++) {
@@ -258,37 +523,107 @@ function generateNestedStruct(nestedData, inputType = 'ddl') {
     return code;
 }
 
-// Convert snake_case to PascalCase
-function snakeToCamel(str) {
-    if (!str) return '';
-
-    // Split by underscores and capitalize first letter of each word
-    return str
-        .split('_')
-        .map(word => {
-            if (!word) return '';
-            return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
-        })
-        .join('');
-}
-
 // Determine required imports based on field types
-function getRequiredImports(fields) {
+function getRequiredImports(fields, options = {}) {
+    const { nullableStrategy = 'none', enums = [], repositoryStyle = 'none' } = options;
     const imports = new Set();
 
+    // time.Time, json.RawMessage, sql.Null*, null.* and override types such as decimal.Decimal
+    // sql.Null[T] also needs the package of T: sql.Null[time.Time]
     for (const field of fields) {
-        if (field.goType === 'time.Time') {
-            imports.add('time');
+        const goType = resolveGoType(field, nullableStrategy);
+        const generic = goType.match(/^sql\.Null\[(.+)\]$/);
+        for (const type of generic ? [goType, generic[1]] : [goType]) {
+            const importPath = TypeMapper.getImportPath(type);
+            if (importPath) {
+                imports.add(importPath);
+            }
         }
-        if (field.goType === 'json.RawMessage') {
-            imports.add('encoding/json');
+    }
+
+    // Scan / Value methods of column enums
+    for (const enumDef of enums.filter(item => item.scanner)) {
+        imports.add('database/sql/driver');
+        imports.add('fmt');
+        if (enumDef.kind === 'set') {
+            imports.add('strings');
         }
     }
 
+    // Repository code: context plus the database package
+    if (repositoryStyle !== 'none') {
+        getRepositoryImports(repositoryStyle).forEach(importPath => imports.add(importPath));
+    }
+
     return Array.from(imports);
 }
 
+// Wrapper types for nullable columns, keyed by the plain Go type
+// uint / uint64 have no wrapper holding values above MaxInt64, so they fall back to a pointer
+const NULLABLE_TYPE_MAP = {
+    sql: {
+        'string': 'sql.NullString',
+        'int': 'sql.NullInt64',
+        'int64': 'sql.NullInt64',
+        'uint32': 'sql.NullInt64',
+        'int32': 'sql.NullInt32',
+        'uint16': 'sql.NullInt32',
+        'int16': 'sql.NullInt16',
+        'int8': 'sql.NullInt16',
+        'uint8': 'sql.NullByte',
+        'float64': 'sql.NullFloat64',
+        'float32': 'sql.NullFloat64',
+        'bool': 'sql.NullBool',
+        'time.Time': 'sql.NullTime'
+    },
+    guregu: {
+        'string': 'null.String',
+        'int': 'null.Int',
+        'int64': 'null.Int',
+        'int32': 'null.Int32',
+        'int16': 'null.Int16',
+        'int8': 'null.Int16',
+        'uint32': 'null.Int',
+        'uint16': 'null.Int32',
+        'uint8': 'null.Byte',
+        'float64': 'null.Float',
+        'float32': 'null.Float',
+        'bool': 'null.Bool',
+        'time.Time': 'null.Time'
+    }
+};
+
+/**
+ * Go type of a field after applying the nullable strategy
+ * Only nullable DDL columns (fields carrying an AST column) are affected; primary keys never are.
+ * Slices, maps, json.RawMessage and interface{} already hold nil and keep their type.
+ * Types without a sql.Null* / null.* wrapper fall back to a pointer; 'generic' wraps every type in sql.Null[T] (Go 1.22+).
+ * @param {object} field - Parsed field
+ * @param {string} strategy - 'none' | 'pointer' | 'sql' | 'generic' | 'guregu'
+ * @returns {string} - Go type
+ */
+function resolveGoType(field, strategy = 'none') {
+    const goType = field.goType;
+
+    if (strategy === 'none' || !field.nullable || !field.column || field.isPrimaryKey) {
+        return goType;
+    }
+    if (/^(?:\*|\[\]|map\[)/.test(goType) || goType === 'json.RawMessage' || goType === 'interface{}') {
+        return goType;
+    }
+
+    if (strategy === 'generic') {
+        return `sql.Null[${goType}]`;
+    }
+
+    const wrappers = NULLABLE_TYPE_MAP[strategy];
+    if (wrappers && wrappers[goType]) {
+        return wrappers[goType];
+    }
+    return `*${goType}`;
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { generateGoStruct, generateGormTag, getRequiredImports };
+    module.exports = { generateGoStruct, generateGoStructs, generateGoEnum, generateGormTag, getRequiredImports, resolveGoType };
 }
@@ -0,0 +1,224 @@
+// Struct Tag Builder
+// Builds the tag of a Go struct field from a tag configuration:
+// which tags to emit, the key naming style per tag and when to add omitempty
+
+const TagBuilder = {
+    // Supported tags in output order; omitEmpty: the tag understands ",omitempty"
+    tags: {
+        json: { label: 'json', omitEmpty: true },
+        gorm: { label: 'gorm（仅 DDL）', omitEmpty: false },
+        db: { label: 'db（sqlx）', omitEmpty: false },
+        yaml: { label: 'yaml', omitEmpty: true },
+        toml: { label: 'toml', omitEmpty: true },
+        bson: { label: 'bson', omitEmpty: true },
+        mapstructure: { label: 'mapstructure', omitEmpty: true },
+        form: { label: 'form', omitEmpty: false },
+        validate: { label: 'validate', omitEmpty: false }
+    },
+
+    // Key naming styles; "original" keeps the JSON key / column name
+    namingStyles: {
+        original: '原始键名',
+        snake: 'snake_case',
+        camel: 'camelCase'
+    },
+
+    // Built-in presets; user presets are kept in Settings.tagPresets
+    presets: {
+        gorm: { label: 'GORM（json + gorm）', config: { tags: ['json', 'gorm'] } },
+        sqlx: { label: 'sqlx（json + db）', config: { tags: ['json', 'db'] } },
+        config: { label: '配置文件（yaml + toml + mapstructure）', config: { tags: ['json', 'yaml', 'toml', 'mapstructure'] } },
+        mongo: { label: 'MongoDB（json + bson）', config: { tags: ['json', 'bson'], omitEmpty: 'nullable' } },
+        gin: { label: 'Gin 表单（json + form + validate）', config: { tags: ['json', 'form', 'validate'] } }
+    },
+
+    // The tags generated before tag sets were configurable
+    defaultConfig: {
+        tags: ['json', 'gorm'],
+        naming: {},
+        omitEmpty: 'optional',  // 'optional' | 'nullable' | 'always'
+        jsonString: false       // json:",string" on int64 fields (JavaScript clients lose precision)
+    },
+
+    /**
+     * Fill in defaults and drop unknown tags
+     * @param {object} config - Partial tag configuration
+     * @returns {object} - { tags, naming, omitEmpty, jsonString }
+     */
+    normalize(config) {
+        const merged = { ...this.defaultConfig, ...(config || {}) };
+        return {
+            ...merged,
+            tags: Object.keys(this.tags).filter(tag => (merged.tags || []).includes(tag)),
+            naming: { ...(merged.naming || {}) }
+        };
+    },
+
+    /**
+     * Build the tag of one field
+     * @param {object} field - Parsed field
+     * @param {object} config - Tag configuration, see normalize
+     * @param {string} inputType - JSON input has no column metadata, so it gets no gorm tag
+     * @returns {string} - `json:"id" gorm:"column:id;primaryKey"`, or '' when no tag applies
+     */
+    build(field, config, inputType = 'ddl') {
+        const { tags, naming, omitEmpty, jsonString } = this.normalize(config);
+        const parts = [];
+
+        for (const tag of tags) {
+            const value = this.buildValue(tag, field, { naming: naming[tag] || 'original', omitEmpty, jsonString }, inputType);
+            if (value !== null) {
+                parts.push(`${tag}:"${value}"`);
+            }
+        }
+
+        return parts.length > 0 ? `\`${parts.join(' ')}\`` : '';
+    },
+
+    // Value of one tag, or null when the tag does not apply to the field
+    buildValue(tag, field, options, inputType) {
+        if (tag === 'gorm') {
+            return inputType === 'json' ? null : formatGormTagValue(field);
+        }
+        if (tag === 'validate') {
+            const rules = this.validateRules(field);
+            return rules.length > 0 ? rules.join(',') : null;
+        }
+
+        const key = this.formatKey(tag === 'db' ? field.dbColumn || field.jsonName : field.jsonName, options.naming);
+        const flags = [];
+        if (this.tags[tag].omitEmpty && this.isOmitEmpty(field, options.omitEmpty)) {
+            flags.push('omitempty');
+        }
+        if (tag === 'json' && options.jsonString && /^\*?u?int64$/.test(field.goType)) {
+            flags.push('string');
+        }
+        return [key, ...flags].join(',');
+    },
+
+    // Optional fields (missing from some JSON samples, not required by a schema) are always omitted when empty
+    isOmitEmpty(field, rule) {
+        if (rule === 'always') return true;
+        if (rule === 'nullable' && field.nullable) return true;
+        return !!field.omitEmpty;
+    },
+
+    /**
+     * go-playground/validator rules of a field
+     * required for NOT NULL columns without a default and for required keys (bool is left out: required rejects false);
+     * max from VARCHAR(n), oneof from ENUM, ranges from UNSIGNED and CHECK constraints,
+     * and email / uuid / url / ip from the column name, type or JSON string format
+     * @param {object} field - Parsed field
+     * @returns {string[]} - e.g. ['required', 'max=64'], or ['omitempty', 'email'] for an optional field
+     */
+    validateRules(field) {
+        // Enum types are validated as their base type
+        const goType = field.enumBase || field.goType.replace(/^\*/, '');
+        const required = !field.nullable && !field.optional && !field.isAutoIncrement &&
+            !field.goType.startsWith('*') && goType !== 'bool' &&
+            (field.defaultValue === undefined || field.defaultValue === null);
+
+        const rules = [...this.constraintRules(field, goType)];
+        const format = goType === 'string' && !field.enumValues ? this.formatRule(field) : null;
+        if (format) {
+            rules.push(format);
+        }
+
+        if (required) {
+            return ['required', ...rules];
+        }
+        return rules.length > 0 ? ['omitempty', ...rules] : [];
+    },
+
+    // Bounds and value lists: rule name -> value, keeping the tighter bound when several constraints apply
+    constraintRules(field, goType) {
+        const isString = goType === 'string';
+        const isNumber = /^(?:u?int\d*|float(?:32|64))$/.test(goType);
+        const rules = new Map();
+        const setBound = (name, value) => {
+            const current = rules.get(name);
+            const lower = ['min', 'gt'].includes(name);
+            rules.set(name, current === undefined ? value : (lower ? Math.max(current, value) : Math.min(current, value)));
+        };
+
+        // A SET value holds several members, so it cannot be checked with oneof
+        if (isString && field.enumValues && field.enumValues.length > 0 && !field.isSet) {
+            rules.set('oneof', field.enumValues);
+        } else if (isString && field.size) {
+            setBound('max', field.size);
+        }
+        if (isNumber && field.isUnsigned && !goType.startsWith('uint')) {
+            setBound('min', 0);
+        }
+
+        for (const check of field.checks || []) {
+            if (check.kind === 'compare' && isNumber) {
+                const name = { '>=': 'min', '<=': 'max', '>': 'gt', '<': 'lt', '=': 'eq' }[check.op];
+                if (name === 'eq') rules.set(name, check.value);
+                else setBound(name, check.value);
+            } else if (check.kind === 'length' && isString) {
+                switch (check.op) {
+                    case '>=': setBound('min', check.value); break;
+                    case '>': setBound('min', check.value + 1); break;
+                    case '<=': setBound('max', check.value); break;
+                    case '<': setBound('max', check.value - 1); break;
+                    default: rules.set('len', check.value);
+                }
+            } else if (check.kind === 'in' && !rules.has('oneof') &&
+                (isString || (isNumber && check.values.every(value => typeof value === 'number')))) {
+                rules.set('oneof', check.values.map(String));
+            }
+        }
+
+        const order = ['len', 'min', 'gt', 'max', 'lt', 'eq', 'oneof'];
+        return [...rules]
+            .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+            .map(([name, value]) => name === 'oneof'
+                ? `oneof=${value.filter(item => item !== '').map(item => this.formatOneOfValue(item)).join(' ')}`
+                : `${name}=${value}`);
+    },
+
+    // oneof values are separated by spaces; quote values with spaces and escape the tag separators
+    formatOneOfValue(value) {
+        const escaped = String(value)
+            .replace(/,/g, '0x2C')
+            .replace(/\|/g, '0x7C')
+            .replace(/["\\]/g, '\\$&');
+        return /\s/.test(escaped) ? `'${escaped}'` : escaped;
+    },
+
+    // Format hint of a string field: JSON sample format, the PostgreSQL UUID type, then the column name
+    formatRule(field) {
+        const byFormat = { email: 'email', uuid: 'uuid', uri: 'url', ipv4: 'ipv4', ipv6: 'ipv6' };
+        if (field.format && byFormat[field.format]) {
+            return byFormat[field.format];
+        }
+        if (/^UUID\b/i.test(field.type || '')) {
+            return 'uuid';
+        }
+
+        const words = Naming.splitWords(field.name).map(word => word.toLowerCase());
+        const last = words[words.length - 1];
+        if (last === 'email' || words.slice(-2).join('_') === 'email_address') return 'email';
+        if (last === 'uuid' || last === 'guid') return 'uuid';
+        if (last === 'url' || last === 'uri') return 'url';
+        if (last === 'ip') return 'ip';
+        return null;
+    },
+
+    formatKey(name, style) {
+        switch (style) {
+            case 'snake':
+                return Naming.toSnakeCase(name);
+            case 'camel':
+                return Naming.toCamelCase(name);
+            default:
+                return name;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TagBuilder };
+}
@@ -0,0 +1,1400 @@
+// DDL Parser
+// Recursive-descent parser for CREATE TABLE shared by the MySQL, PostgreSQL and SQLite parsers
+
+// Keywords that end a column's data type and start its constraints
+const COLUMN_CONSTRAINT_KEYWORDS = new Set([
+    'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'KEY', 'UNIQUE', 'REFERENCES', 'CHECK', 'CONSTRAINT',
+    'COLLATE', 'AUTO_INCREMENT', 'AUTOINCREMENT', 'COMMENT', 'GENERATED', 'AS', 'ON',
+    'CHARSET', 'STORED', 'VIRTUAL', 'PERSISTENT', 'INVISIBLE', 'VISIBLE', 'COLUMN_FORMAT',
+    'STORAGE', 'SRID', 'BINARY', 'ASCII', 'UNICODE', 'IDENTITY', 'SERIAL', 'DEFERRABLE'
+]);
+
+// Keywords that start a table-level constraint or index instead of a column
+const TABLE_ELEMENT_KEYWORDS = new Set([
+    'PRIMARY', 'UNIQUE', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'CONSTRAINT', 'FOREIGN',
+    'CHECK', 'EXCLUDE', 'LIKE', 'PERIOD'
+]);
+
+// Common type names, used to tell a column called "key" / "index" / "check" from a table element
+const COMMON_TYPE_PATTERN = /^(INT|INTEGER|BIGINT|SMALLINT|TINYINT|VARCHAR|CHAR|TEXT|BLOB|REAL|BOOLEAN|BOOL|NUMERIC|DECIMAL|DATE|DATETIME|TIMESTAMP|JSON|JSONB|UUID)$/i;
+
+/**
+ * Parse a single CREATE TABLE statement into an AST
+ * @param {string} sql - CREATE TABLE statement
+ * @param {object} options - { dialect: 'mysql' | 'postgresql' | 'sqlite' }
+ * @returns {object} - Table AST:
+ *   { schema, name, temporary, ifNotExists,
+ *     columns: [{ name, dataType, nullable, notNull, defaultValue, autoIncrement, identity,
+ *                 primaryKey, unique, comment, charset, collation, generated, onUpdate,
+ *                 references, checks, definition }],
+ *     primaryKey, indexes, foreignKeys, checks, options }
+ */
+function parseCreateTable(sql, options = {}) {
+    const { dialect = 'mysql' } = options;
+    const parser = new DDLParser(sql, tokenizeSQL(sql, { dialect }), dialect);
+    return parser.parse();
+}
+
+/**
+ * Parse a CREATE INDEX statement (pg_dump and SQLite keep indexes outside CREATE TABLE)
+ * @param {string} sql - CREATE [UNIQUE] INDEX statement
+ * @param {object} options - { dialect }
+ * @returns {object} - { schema, table, index }
+ */
+function parseCreateIndex(sql, options = {}) {
+    const { dialect = 'mysql' } = options;
+    const parser = new DDLParser(sql, tokenizeSQL(sql, { dialect }), dialect);
+    return parser.parseCreateIndex();
+}
+
+/**
+ * Parse the constraint-related actions of an ALTER TABLE statement
+ * Handles ADD [CONSTRAINT] PRIMARY KEY / UNIQUE / INDEX / FOREIGN KEY / CHECK and
+ * ALTER COLUMN ... SET DEFAULT (pg_dump attaches serial sequences this way); other actions are skipped.
+ * @param {string} sql - ALTER TABLE statement
+ * @param {object} options - { dialect }
+ * @returns {object} - { schema, table, primaryKey, indexes, foreignKeys, checks, columnDefaults }
+ */
+function parseAlterTableConstraints(sql, options = {}) {
+    const { dialect = 'mysql' } = options;
+    const parser = new DDLParser(sql, tokenizeSQL(sql, { dialect }), dialect);
+    return parser.parseAlterTable();
+}
+
+/**
+ * Parse a PostgreSQL COMMENT ON TABLE / COLUMN statement (pg_dump keeps comments outside CREATE TABLE)
+ * @param {string} sql - COMMENT ON ... IS '...' statement
+ * @param {object} options - { dialect }
+ * @returns {object} - { target: 'table' | 'column', schema, table, column, comment }
+ */
+function parseCommentOn(sql, options = {}) {
+    const { dialect = 'postgresql' } = options;
+    const parser = new DDLParser(sql, tokenizeSQL(sql, { dialect }), dialect);
+    return parser.parseCommentOn();
+}
+
+/**
+ * Parse a PostgreSQL CREATE TYPE ... AS ENUM statement (other CREATE TYPE forms are rejected)
+ * @param {string} sql - CREATE TYPE statement
+ * @param {object} options - { dialect }
+ * @returns {object} - { schema, name, values }
+ */
+function parseCreateType(sql, options = {}) {
+    const { dialect = 'postgresql' } = options;
+    const parser = new DDLParser(sql, tokenizeSQL(sql, { dialect }), dialect);
+    return parser.parseCreateType();
+}
+
+class DDLParser {
+    constructor(source, tokens, dialect) {
+        this.source = source;
+        this.tokens = tokens;
+        this.dialect = dialect;
+        this.pos = 0;
+    }
+
+    // ==================== Token helpers ====================
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || null;
+    }
+
+    next() {
+        const token = this.peek();
+        if (!token) {
+            throw new Error('DDL 意外结束');
+        }
+        this.pos++;
+        return token;
+    }
+
+    atEnd() {
+        const token = this.peek();
+        return !token || (token.type === 'punct' && token.value === ';');
+    }
+
+    // Is the token at `offset` the given keyword (case-insensitive)?
+    isWord(word, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'word' && token.value.toUpperCase() === word;
+    }
+
+    isPunct(value, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'punct' && token.value === value;
+    }
+
+    isOperator(value, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'operator' && token.value === value;
+    }
+
+    // Consume a sequence of keywords if all of them are next
+    acceptWords(...words) {
+        if (!words.every((word, i) => this.isWord(word, i))) {
+            return false;
+        }
+        this.pos += words.length;
+        return true;
+    }
+
+    acceptPunct(value) {
+        if (this.isPunct(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptOperator(value) {
+        if (this.isOperator(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expectWords(...words) {
+        if (!this.acceptWords(...words)) {
+            this.fail(`期望 ${words.join(' ')}`);
+        }
+    }
+
+    expectPunct(value) {
+        if (!this.acceptPunct(value)) {
+            this.fail(`期望 "${value}"`);
+        }
+    }
+
+    fail(message) {
+        const token = this.peek();
+        if (!token) {
+            throw new Error(`${message}，但 DDL 已结束`);
+        }
+        const line = this.source.slice(0, token.start).split('\n').length;
+        throw new Error(`第 ${line} 行: ${message}，实际为 "${token.text}"`);
+    }
+
+    // Source text between two token indexes (inclusive start, exclusive end)
+    sliceTokens(from, to) {
+        if (to <= from) return '';
+        return this.source.slice(this.tokens[from].start, this.tokens[to - 1].end);
+    }
+
+    // ==================== Grammar ====================
+
+    parse() {
+        const table = {
+            schema: null,
+            name: '',
+            temporary: false,
+            ifNotExists: false,
+            columns: [],
+            primaryKey: null,
+            indexes: [],
+            foreignKeys: [],
+            checks: [],
+            options: {}
+        };
+
+        this.expectWords('CREATE');
+        this.acceptWords('OR', 'REPLACE');
+        this.acceptWords('GLOBAL') || this.acceptWords('LOCAL');
+        if (this.acceptWords('TEMPORARY') || this.acceptWords('TEMP')) {
+            table.temporary = true;
+        }
+        this.acceptWords('UNLOGGED');
+        this.expectWords('TABLE');
+        table.ifNotExists = this.acceptWords('IF', 'NOT', 'EXISTS');
+
+        const qualifiedName = this.parseQualifiedName();
+        table.name = qualifiedName.pop();
+        table.schema = qualifiedName.length > 0 ? qualifiedName.join('.') : null;
+
+        this.expectPunct('(');
+        do {
+            this.parseTableElement(table);
+        } while (this.acceptPunct(','));
+        this.expectPunct(')');
+
+        table.options = this.parseTableOptions();
+
+        return table;
+    }
+
+    // CREATE [UNIQUE|FULLTEXT|SPATIAL] INDEX [CONCURRENTLY] [IF NOT EXISTS] [name] [USING x] ON [ONLY] table
+    // [USING method] (columns) [INCLUDE / WITH / WHERE ...]
+    parseCreateIndex() {
+        const index = {
+            name: null,
+            unique: false,
+            kind: null,
+            columns: [],
+            using: null,
+            comment: ''
+        };
+
+        this.expectWords('CREATE');
+        if (this.acceptWords('UNIQUE')) {
+            index.unique = true;
+        } else if (this.acceptWords('FULLTEXT') || this.acceptWords('SPATIAL')) {
+            index.kind = this.peek(-1).value.toUpperCase();
+        }
+        this.expectWords('INDEX');
+        this.acceptWords('CONCURRENTLY');
+        this.acceptWords('IF', 'NOT', 'EXISTS');
+
+        if (!this.isWord('ON')) {
+            index.name = this.parseIdentifier('索引名');
+        }
+        if (this.acceptWords('USING')) {
+            index.using = this.parseIdentifier('索引类型').toUpperCase();
+        }
+        this.expectWords('ON');
+        this.acceptWords('ONLY');
+
+        const qualifiedName = this.parseQualifiedName();
+        const table = qualifiedName.pop();
+
+        if (this.acceptWords('USING')) {
+            index.using = this.parseIdentifier('索引类型').toUpperCase();
+        }
+        index.columns = this.parseIndexColumns();
+
+        return {
+            schema: qualifiedName.length > 0 ? qualifiedName.join('.') : null,
+            table,
+            index
+        };
+    }
+
+    // ALTER TABLE [IF EXISTS] [ONLY] name action [, action ...]
+    parseAlterTable() {
+        const changes = {
+            schema: null,
+            table: '',
+            primaryKey: null,
+            indexes: [],
+            foreignKeys: [],
+            checks: [],
+            columnDefaults: []
+        };
+
+        this.expectWords('ALTER', 'TABLE');
+        this.acceptWords('IF', 'EXISTS');
+        this.acceptWords('ONLY');
+
+        const qualifiedName = this.parseQualifiedName();
+        changes.table = qualifiedName.pop();
+        changes.schema = qualifiedName.length > 0 ? qualifiedName.join('.') : null;
+
+        while (!this.atEnd()) {
+            if (this.acceptWords('ADD')) {
+                const token = this.peek();
+                if (token && token.type === 'word' && TABLE_ELEMENT_KEYWORDS.has(token.value.toUpperCase())) {
+                    this.parseTableConstraint(changes);
+                }
+            } else if (this.acceptWords('ALTER')) {
+                this.acceptWords('COLUMN');
+                const column = this.parseIdentifier('列名');
+                if (this.acceptWords('SET', 'DEFAULT')) {
+                    changes.columnDefaults.push({ column, defaultValue: this.parseExpression() });
+                }
+            }
+
+            // Skip the rest of this action (NOT VALID, OWNER TO x, ...)
+            while (!this.atEnd() && !this.isPunct(',')) {
+                this.skipUnknown();
+            }
+            this.acceptPunct(',');
+        }
+
+        return changes;
+    }
+
+    // Identifier: bare word or quoted identifier
+    parseIdentifier(what = '标识符') {
+        const token = this.peek();
+        if (token && (token.type === 'word' || token.type === 'identifier' || token.type === 'string')) {
+            this.pos++;
+            return token.value;
+        }
+        this.fail(`期望${what}`);
+    }
+
+    // schema.table or db.table
+    parseCommentOn() {
+        this.expectWords('COMMENT', 'ON');
+
+        let target;
+        if (this.acceptWords('TABLE')) {
+            target = 'table';
+        } else if (this.acceptWords('COLUMN')) {
+            target = 'column';
+        } else {
+            this.fail('期望 TABLE 或 COLUMN');
+        }
+
+        const qualifiedName = this.parseQualifiedName();
+        const column = target === 'column' ? qualifiedName.pop() : null;
+        const table = qualifiedName.pop();
+        this.expectWords('IS');
+
+        // COMMENT ... IS NULL removes the comment
+        const comment = this.acceptWords('NULL') ? '' : this.parseStringValue();
+
+        return {
+            target,
+            schema: qualifiedName.length > 0 ? qualifiedName.join('.') : null,
+            table,
+            column,
+            comment
+        };
+    }
+
+    parseCreateType() {
+        this.expectWords('CREATE', 'TYPE');
+        const qualifiedName = this.parseQualifiedName();
+        this.expectWords('AS', 'ENUM');
+        this.expectPunct('(');
+
+        const values = [];
+        if (!this.acceptPunct(')')) {
+            do {
+                values.push(this.parseStringValue());
+            } while (this.acceptPunct(','));
+            this.expectPunct(')');
+        }
+
+        const name = qualifiedName.pop();
+        return {
+            schema: qualifiedName.length > 0 ? qualifiedName.join('.') : null,
+            name,
+            values
+        };
+    }
+
+    parseQualifiedName() {
+        const parts = [this.parseIdentifier('表名')];
+        while (this.acceptPunct('.')) {
+            parts.push(this.parseIdentifier('表名'));
+        }
+        return parts;
+    }
+
+    parseTableElement(table) {
+        // Only unquoted words can start a constraint; quoted `key` is always a column
+        const token = this.peek();
+        const isKeyword = token && token.type === 'word' && TABLE_ELEMENT_KEYWORDS.has(token.value.toUpperCase());
+
+        if (isKeyword && !this.isKeywordNamedColumn()) {
+            this.parseTableConstraint(table);
+        } else {
+            table.columns.push(this.parseColumn());
+        }
+    }
+
+    // SQLite accepts unquoted columns named key / index / check: a type name right after means a column
+    isKeywordNamedColumn() {
+        const following = this.peek(1);
+        return !!following && following.type === 'word' && COMMON_TYPE_PATTERN.test(following.value);
+    }
+
+    // ==================== Columns ====================
+
+    parseColumn() {
+        const column = {
+            name: this.parseIdentifier('列名'),
+            dataType: null,
+            nullable: true,
+            notNull: false,
+            defaultValue: null,
+            autoIncrement: false,
+            identity: null,
+            primaryKey: false,
+            unique: false,
+            comment: '',
+            charset: null,
+            collation: null,
+            generated: null,
+            onUpdate: null,
+            references: null,
+            checks: [],
+            definition: ''
+        };
+
+        const definitionStart = this.pos;
+        column.dataType = this.parseDataType();
+
+        while (!this.atEnd() && !this.isPunct(',') && !this.isPunct(')')) {
+            this.parseColumnConstraint(column);
+        }
+
+        column.definition = this.sliceTokens(definitionStart, this.pos).replace(/\s+/g, ' ');
+
+        return column;
+    }
+
+    /**
+     * Data type: one or more words, optional (params), optional trailing words, UNSIGNED/ZEROFILL, [] suffixes
+     * e.g. "DECIMAL(10, 2) UNSIGNED", "character varying(100)", "timestamp(6) with time zone", "text[]"
+     */
+    parseDataType() {
+        const dataType = {
+            name: '',
+            params: [],
+            unsigned: false,
+            zerofill: false,
+            array: false,
+            text: ''
+        };
+
+        // Upper-cased type words, and the type as written (params normalized to "(10,2)")
+        const words = [];
+        let text = '';
+
+        // PostgreSQL user-defined types may be quoted and schema-qualified: "Mood", public.mood
+        if (this.dialect === 'postgresql' && this.peek() && this.peek().type === 'identifier') {
+            const token = this.next();
+            words.push(token.value.toUpperCase());
+            text = token.text + this.parseTypeQualifiers(words);
+        }
+
+        // SQLite allows columns without a declared type
+        while (this.peek() && this.peek().type === 'word') {
+            const upper = this.peek().value.toUpperCase();
+
+            if (upper === 'UNSIGNED' && words.length > 0) {
+                dataType.unsigned = true;
+                this.pos++;
+                continue;
+            }
+            if (upper === 'SIGNED' && words.length > 0) {
+                this.pos++;
+                continue;
+            }
+            if (upper === 'ZEROFILL') {
+                dataType.zerofill = true;
+                this.pos++;
+                continue;
+            }
+
+            if (words.length > 0 && (COLUMN_CONSTRAINT_KEYWORDS.has(upper) || this.isCharacterSet())) {
+                break;
+            }
+
+            words.push(upper);
+            text += (text ? ' ' : '') + this.next().text;
+            text += this.parseTypeQualifiers(words);
+
+            if (this.isPunct('(')) {
+                dataType.params = this.parseGroupItems();
+                text += `(${dataType.params.join(',')})`;
+            }
+        }
+
+        // PostgreSQL arrays: integer[], text[][], int ARRAY
+        while (this.isPunct('[')) {
+            this.pos++;
+            if (this.peek() && this.peek().type === 'number') this.pos++;
+            this.expectPunct(']');
+            dataType.array = true;
+            text += '[]';
+        }
+        if (this.acceptWords('ARRAY')) {
+            dataType.array = true;
+            text += '[]';
+        }
+
+        dataType.name = words.join(' ');
+        dataType.text = text;
+
+        return dataType;
+    }
+
+    // ".mood" after "public": joins the parts onto the last type word, returns the text as written
+    parseTypeQualifiers(words) {
+        let text = '';
+        while (this.isPunct('.') && this.peek(1) && ['word', 'identifier'].includes(this.peek(1).type)) {
+            this.pos++;
+            const part = this.next();
+            words[words.length - 1] += `.${part.value.toUpperCase()}`;
+            text += `.${part.text}`;
+        }
+        return text;
+    }
+
+    // "CHARACTER SET x" inside a column definition (not the CHARACTER type)
+    isCharacterSet() {
+        return this.isWord('CHARACTER') && this.isWord('SET', 1);
+    }
+
+    parseColumnConstraint(column) {
+        let constraintName = null;
+        if (this.acceptWords('CONSTRAINT')) {
+            if (!this.isWord('PRIMARY') && !this.isWord('UNIQUE') && !this.isWord('NOT') &&
+                !this.isWord('NULL') && !this.isWord('CHECK') && !this.isWord('REFERENCES') &&
+                !this.isWord('DEFAULT')) {
+                constraintName = this.parseIdentifier('约束名');
+            }
+        }
+
+        if (this.acceptWords('NOT', 'NULL')) {
+            column.nullable = false;
+            column.notNull = true;
+            this.parseConflictClause();
+        } else if (this.acceptWords('NULL')) {
+            column.nullable = true;
+        } else if (this.acceptWords('DEFAULT')) {
+            column.defaultValue = this.parseExpression();
+        } else if (this.acceptWords('AUTO_INCREMENT') || this.acceptWords('AUTOINCREMENT')) {
+            column.autoIncrement = true;
+        } else if (this.acceptWords('PRIMARY', 'KEY') || this.acceptWords('KEY')) {
+            column.primaryKey = true;
+            column.nullable = false;
+            this.acceptWords('ASC') || this.acceptWords('DESC');
+            this.parseConflictClause();
+            if (this.acceptWords('AUTOINCREMENT')) column.autoIncrement = true;
+            if (constraintName) column.primaryKeyName = constraintName;
+        } else if (this.acceptWords('UNIQUE')) {
+            this.acceptWords('KEY') || this.acceptWords('INDEX');
+            column.unique = true;
+            if (constraintName) column.uniqueName = constraintName;
+            this.parseConflictClause();
+        } else if (this.acceptWords('COMMENT')) {
+            column.comment = this.parseStringValue();
+        } else if (this.acceptWords('CHARACTER', 'SET') || this.acceptWords('CHARSET')) {
+            column.charset = this.parseIdentifier('字符集');
+        } else if (this.acceptWords('COLLATE')) {
+            column.collation = this.parseIdentifier('排序规则');
+        } else if (this.acceptWords('ON', 'UPDATE')) {
+            column.onUpdate = this.parseExpression();
+        } else if (this.acceptWords('GENERATED')) {
+            this.parseGenerated(column);
+        } else if (this.isWord('AS') && this.isPunct('(', 1)) {
+            this.pos++;
+            this.parseGeneratedExpression(column);
+        } else if (this.acceptWords('REFERENCES')) {
+            column.references = this.parseReferences();
+            if (constraintName) column.references.name = constraintName;
+        } else if (this.acceptWords('CHECK')) {
+            column.checks.push({ name: constraintName, expression: this.parseGroupText() });
+        } else if (this.acceptWords('SERIAL', 'DEFAULT', 'VALUE')) {
+            // MySQL alias for NOT NULL AUTO_INCREMENT UNIQUE
+            column.nullable = false;
+            column.notNull = true;
+            column.autoIncrement = true;
+            column.unique = true;
+        } else {
+            // Attributes we do not model: VISIBLE, COLUMN_FORMAT FIXED, STORAGE DISK, SRID 0, DEFERRABLE, ...
+            this.skipUnknown();
+        }
+    }
+
+    // GENERATED ALWAYS AS (expr) [STORED|VIRTUAL] / GENERATED {ALWAYS|BY DEFAULT} AS IDENTITY [(options)]
+    parseGenerated(column) {
+        let mode = 'ALWAYS';
+        if (this.acceptWords('ALWAYS')) {
+            mode = 'ALWAYS';
+        } else if (this.acceptWords('BY', 'DEFAULT')) {
+            mode = 'BY DEFAULT';
+            this.acceptWords('ON', 'NULL');
+        }
+        this.expectWords('AS');
+
+        if (this.acceptWords('IDENTITY')) {
+            column.identity = { mode };
+            column.autoIncrement = true;
+            column.nullable = false;
+            if (this.isPunct('(')) {
+                column.identity.options = this.parseGroupText();
+            }
+            return;
+        }
+
+        this.parseGeneratedExpression(column);
+    }
+
+    parseGeneratedExpression(column) {
+        column.generated = { expression: this.parseGroupText(), stored: false };
+        if (this.acceptWords('STORED') || this.acceptWords('PERSISTENT')) {
+            column.generated.stored = true;
+        } else {
+            this.acceptWords('VIRTUAL');
+        }
+    }
+
+    // SQLite: ON CONFLICT {ROLLBACK|ABORT|FAIL|IGNORE|REPLACE}
+    parseConflictClause() {
+        if (this.isWord('ON') && this.isWord('CONFLICT', 1)) {
+            this.pos += 2;
+            this.next();
+        }
+    }
+
+    // REFERENCES table [(cols)] [MATCH x] [ON DELETE action] [ON UPDATE action] [DEFERRABLE ...]
+    parseReferences() {
+        const qualifiedName = this.parseQualifiedName();
+        const references = {
+            table: qualifiedName.pop(),
+            schema: qualifiedName.length > 0 ? qualifiedName.join('.') : null,
+            columns: [],
+            onDelete: null,
+            onUpdate: null
+        };
+
+        if (this.isPunct('(')) {
+            references.columns = this.parseIndexColumns().map(col => col.name);
+        }
+
+        while (!this.atEnd()) {
+            if (this.acceptWords('MATCH')) {
+                this.next();
+            } else if (this.acceptWords('ON', 'DELETE')) {
+                references.onDelete = this.parseReferentialAction();
+            } else if (this.acceptWords('ON', 'UPDATE')) {
+                references.onUpdate = this.parseReferentialAction();
+            } else if (this.acceptWords('NOT', 'DEFERRABLE') || this.acceptWords('DEFERRABLE')) {
+                if (this.acceptWords('INITIALLY')) this.next();
+            } else {
+                break;
+            }
+        }
+
+        return references;
+    }
+
+    parseReferentialAction() {
+        const actions = [['SET', 'NULL'], ['SET', 'DEFAULT'], ['NO', 'ACTION'], ['CASCADE'], ['RESTRICT']];
+        for (const action of actions) {
+            if (this.acceptWords(...action)) {
+                return action.join(' ');
+            }
+        }
+        this.fail('期望外键动作');
+    }
+
+    // ==================== Table constraints and indexes ====================
+
+    parseTableConstraint(table) {
+        let constraintName = null;
+        if (this.acceptWords('CONSTRAINT')) {
+            if (!this.isWord('PRIMARY') && !this.isWord('UNIQUE') && !this.isWord('FOREIGN') && !this.isWord('CHECK')) {
+                constraintName = this.parseIdentifier('约束名');
+            }
+        }
+
+        if (this.acceptWords('PRIMARY', 'KEY')) {
+            const index = this.parseIndexBody(null);
+            table.primaryKey = {
+                name: constraintName || index.name,
+                columns: index.columns,
+                using: index.using
+            };
+            this.parseConflictClause();
+        } else if (this.acceptWords('UNIQUE')) {
+            this.acceptWords('KEY') || this.acceptWords('INDEX');
+            const index = this.parseIndexBody(constraintName);
+            index.unique = true;
+            // A UNIQUE constraint (not a CREATE UNIQUE INDEX): PostgreSQL drops it with DROP CONSTRAINT
+            index.constraint = true;
+            table.indexes.push(index);
+            this.parseConflictClause();
+        } else if (this.acceptWords('FULLTEXT') || this.acceptWords('SPATIAL')) {
+            const kind = this.peek(-1).value.toUpperCase();
+            this.acceptWords('KEY') || this.acceptWords('INDEX');
+            const index = this.parseIndexBody(constraintName);
+            index.kind = kind;
+            table.indexes.push(index);
+        } else if (this.acceptWords('KEY') || this.acceptWords('INDEX')) {
+            table.indexes.push(this.parseIndexBody(constraintName));
+        } else if (this.acceptWords('FOREIGN', 'KEY')) {
+            // MySQL allows an index name between FOREIGN KEY and the column list
+            let indexName = null;
+            if (!this.isPunct('(')) {
+                indexName = this.parseIdentifier('索引名');
+            }
+            const columns = this.parseIndexColumns().map(col => col.name);
+            this.expectWords('REFERENCES');
+            const references = this.parseReferences();
+            table.foreignKeys.push({
+                name: constraintName || indexName,
+                columns,
+                references
+            });
+        } else if (this.acceptWords('CHECK')) {
+            table.checks.push({ name: constraintName, expression: this.parseGroupText() });
+            this.acceptWords('NOT', 'ENFORCED') || this.acceptWords('ENFORCED');
+        } else {
+            // EXCLUDE (...), LIKE other_table, PERIOD FOR ... — not modeled
+            while (!this.atEnd() && !this.isPunct(',') && !this.isPunct(')')) {
+                this.skipUnknown();
+            }
+        }
+    }
+
+    // [name] [USING type] (columns) [index options]
+    parseIndexBody(name) {
+        const index = {
+            name,
+            unique: false,
+            kind: null,
+            columns: [],
+            using: null,
+            comment: ''
+        };
+
+        if (!this.isPunct('(') && !this.isWord('USING')) {
+            index.name = this.parseIdentifier('索引名');
+        }
+        if (this.acceptWords('USING')) {
+            index.using = this.parseIdentifier('索引类型').toUpperCase();
+        }
+
+        index.columns = this.parseIndexColumns();
+
+        // Trailing options: USING BTREE, COMMENT '...', KEY_BLOCK_SIZE=n, VISIBLE, WITH PARSER x
+        while (!this.atEnd() && !this.isPunct(',') && !this.isPunct(')')) {
+            if (this.acceptWords('USING')) {
+                index.using = this.parseIdentifier('索引类型').toUpperCase();
+            } else if (this.acceptWords('COMMENT')) {
+                index.comment = this.parseStringValue();
+            } else if (this.isWord('ON') && this.isWord('CONFLICT', 1)) {
+                break;
+            } else {
+                this.skipUnknown();
+            }
+        }
+
+        return index;
+    }
+
+    // (col [(length)] [ASC|DESC], (expression), ...)
+    parseIndexColumns() {
+        this.expectPunct('(');
+        const columns = [];
+
+        do {
+            const column = { name: null, length: null, order: null, expression: null };
+
+            if (this.isPunct('(')) {
+                column.expression = this.parseGroupText();
+            } else {
+                column.name = this.parseIdentifier('列名');
+                if (this.isPunct('(')) {
+                    const params = this.parseGroupItems();
+                    column.length = parseInt(params[0], 10) || null;
+                }
+            }
+
+            // Ordering; COLLATE x, operator classes and NULLS FIRST/LAST are skipped
+            while (!this.atEnd() && !this.isPunct(',') && !this.isPunct(')')) {
+                if (this.acceptWords('ASC')) {
+                    column.order = 'ASC';
+                } else if (this.acceptWords('DESC')) {
+                    column.order = 'DESC';
+                } else {
+                    this.skipUnknown();
+                }
+            }
+
+            columns.push(column);
+        } while (this.acceptPunct(','));
+
+        this.expectPunct(')');
+        return columns;
+    }
+
+    // ==================== Table options ====================
+
+    // MySQL: ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='...'; PostgreSQL: INHERITS (...), WITH (...);
+    // SQLite: WITHOUT ROWID, STRICT
+    parseTableOptions() {
+        const options = {};
+
+        while (!this.atEnd()) {
+            if (this.acceptPunct(',') || this.acceptWords('DEFAULT')) continue;
+
+            if (this.acceptWords('CHARACTER', 'SET') || this.acceptWords('CHARSET')) {
+                this.acceptOperator('=');
+                options.charset = this.parseIdentifier('字符集');
+            } else if (this.acceptWords('COLLATE')) {
+                this.acceptOperator('=');
+                options.collation = this.parseIdentifier('排序规则');
+            } else if (this.acceptWords('WITHOUT', 'ROWID')) {
+                options.withoutRowid = true;
+            } else if (this.acceptWords('PARTITION', 'BY')) {
+                options.partition = this.restOfStatement();
+            } else if (this.peek().type === 'word') {
+                const key = this.next().value.toUpperCase();
+                this.acceptOperator('=');
+                options[optionKey(key)] = this.parseOptionValue();
+            } else {
+                this.skipUnknown();
+            }
+        }
+
+        return options;
+    }
+
+    parseOptionValue() {
+        const token = this.peek();
+        if (!token || this.atEnd()) return true;
+
+        if (token.type === 'punct' && token.value === '(') {
+            return this.parseGroupText();
+        }
+        if (token.type === 'string' || token.type === 'number' || token.type === 'identifier') {
+            this.pos++;
+            return token.value;
+        }
+        if (token.type === 'word') {
+            // Option flags followed by another option (e.g. STRICT, WITHOUT OIDS) have no value
+            if (this.isOptionStart()) return true;
+            this.pos++;
+            // PARTITION BY RANGE (...) and similar keep the rest of the clause
+            if (this.isPunct('(')) {
+                return `${token.value} ${this.parseGroupText()}`;
+            }
+            return token.value;
+        }
+
+        this.pos++;
+        return token.text;
+    }
+
+    // Does the current token begin a new "KEY = value" option?
+    isOptionStart() {
+        return this.isOperator('=', 1);
+    }
+
+    // Consume everything up to the end of the statement and return its source text
+    restOfStatement() {
+        const start = this.pos;
+        while (!this.atEnd()) this.pos++;
+        return this.sliceTokens(start, this.pos);
+    }
+
+    // ==================== Expressions ====================
+
+    /**
+     * Parse a DEFAULT / ON UPDATE expression
+     * @returns {object} - { kind: 'string' | 'number' | 'null' | 'boolean' | 'expression', value, raw }
+     */
+    parseExpression() {
+        const startIndex = this.pos;
+        let kind = 'expression';
+        let value = null;
+
+        // Unary sign on numbers
+        const sign = this.isOperator('-') || this.isOperator('+') ? this.next().value : '';
+
+        const token = this.next();
+
+        if (token.type === 'string') {
+            kind = 'string';
+            value = token.value;
+        } else if (token.type === 'number') {
+            kind = 'number';
+            value = sign === '-' ? `-${token.value}` : token.value;
+        } else if (token.type === 'punct' && token.value === '(') {
+            this.pos--;
+            this.parseGroupText();
+        } else if (token.type === 'word') {
+            const upper = token.value.toUpperCase();
+            if (upper === 'NULL') {
+                kind = 'null';
+            } else if (upper === 'TRUE' || upper === 'FALSE') {
+                kind = 'boolean';
+                value = upper === 'TRUE';
+            } else if (this.isPunct('(')) {
+                this.parseGroupText();
+            } else if (token.value.startsWith('_') && this.peek() && this.peek().type === 'string') {
+                // MySQL charset introducer: _utf8mb4'abc'
+                kind = 'string';
+                value = this.next().value;
+            }
+        } else {
+            this.fail('期望默认值');
+        }
+
+        // PostgreSQL casts keep the literal kind: 'x'::character varying, '{}'::jsonb
+        while (this.acceptOperator('::')) {
+            this.parseDataType();
+        }
+
+        // Binary operators keep the whole thing as an expression: now() + interval '1 day'
+        while (this.peek() && this.peek().type === 'operator' && this.peek().value !== '=' && !this.atEnd()) {
+            this.pos++;
+            kind = 'expression';
+            value = null;
+            this.parseExpression();
+        }
+
+        return {
+            kind,
+            value,
+            raw: this.sliceTokens(startIndex, this.pos)
+        };
+    }
+
+    parseStringValue() {
+        const token = this.next();
+        if (token.type !== 'string') {
+            this.pos--;
+            this.fail('期望字符串');
+        }
+        return token.value;
+    }
+
+    // Parse "( ... )" and return the inner source text
+    parseGroupText() {
+        const open = this.pos;
+        this.skipGroup();
+        return this.sliceTokens(open + 1, this.pos - 1).trim();
+    }
+
+    // Parse "( a, b, c )" and return each top-level item's source text
+    parseGroupItems() {
+        this.expectPunct('(');
+        const items = [];
+        let itemStart = this.pos;
+        let depth = 0;
+
+        while (true) {
+            const token = this.next();
+            if (token.type === 'punct' && token.value === '(') {
+                depth++;
+            } else if (token.type === 'punct' && token.value === ')') {
+                if (depth === 0) {
+                    items.push(this.sliceTokens(itemStart, this.pos - 1).trim());
+                    break;
+                }
+                depth--;
+            } else if (token.type === 'punct' && token.value === ',' && depth === 0) {
+                items.push(this.sliceTokens(itemStart, this.pos - 1).trim());
+                itemStart = this.pos;
+            }
+        }
+
+        return items.filter(item => item !== '');
+    }
+
+    // Skip a balanced parenthesized group starting at the current "("
+    skipGroup() {
+        this.expectPunct('(');
+        let depth = 1;
+        while (depth > 0) {
+            const token = this.next();
+            if (token.type === 'punct' && token.value === '(') depth++;
+            if (token.type === 'punct' && token.value === ')') depth--;
+        }
+    }
+
+    // Skip one unknown token, or a whole group if it is followed by one
+    skipUnknown() {
+        if (this.isPunct('(')) {
+            this.skipGroup();
+            return;
+        }
+        this.next();
+        if (this.isPunct('(')) {
+            this.skipGroup();
+        }
+    }
+}
+
+/**
+ * Build the generator field model for an AST column
+ * Dialect parsers fill in goType (and any dialect-specific flags) afterwards.
+ * @param {object} column - Column node from parseCreateTable
+ * @param {number} index - Column position, for the placeholder name of a column without letters or digits
+ * @param {Set} goNames - Go names of the table's earlier columns; user_id and "userId" must not both become UserID
+ * @returns {object} - Field: { name, goName, type, goType, nullable, isPrimaryKey, ... , column }
+ */
+function createFieldFromColumn(column, index = 0, goNames = new Set()) {
+    return {
+        name: column.name,
+        // Quoted names without letters or digits ("#") get a positional name
+        goName: Naming.uniqueName(Naming.toGoName(column.name) || `Field${index + 1}`, goNames),
+        type: column.dataType.text,
+        goType: 'string',
+        nullable: column.nullable,
+        isPrimaryKey: column.primaryKey,
+        isAutoIncrement: column.autoIncrement,
+        isUnsigned: column.dataType.unsigned,
+        comment: column.comment || column.name,
+        jsonName: column.name,
+        dbColumn: column.name,
+        defaultValue: column.defaultValue,
+        onUpdate: column.onUpdate,
+        ...getTypeDimensions(column.dataType),
+        enumValues: getEnumValues(column.dataType),
+        isSet: column.dataType.name === 'SET',
+        column: column
+    };
+}
+
+// Values of an ENUM('draft', 'published') or SET(...) column, unquoted; null for other types
+function getEnumValues(dataType) {
+    if (dataType.name !== 'ENUM' && dataType.name !== 'SET') return null;
+    return dataType.params.map(param => {
+        const [token] = tokenizeSQL(param);
+        return token && token.type === 'string' ? token.value : param;
+    });
+}
+
+// Length of character/binary types, precision and scale of decimals, fractional seconds of time types
+// VARCHAR(64) -> { size: 64 }, DECIMAL(10,2) -> { precision: 10, scale: 2 }, DATETIME(3) -> { precision: 3 }
+// Integer display widths such as INT(11) carry no meaning for the model and are ignored
+function getTypeDimensions(dataType) {
+    const dimensions = { size: null, precision: null, scale: null };
+    const params = dataType.params.map(param => parseInt(param, 10));
+    if (params.length === 0 || params.some(isNaN)) return dimensions;
+
+    const name = dataType.name;
+    if (/CHAR|BINARY|VARYING/.test(name)) {
+        dimensions.size = params[0];
+    } else if (/^(?:DECIMAL|NUMERIC|DEC|FIXED)$/.test(name)) {
+        dimensions.precision = params[0];
+        dimensions.scale = params.length > 1 ? params[1] : null;
+    } else if (/^(?:DATETIME|TIMESTAMP|TIME)\b/.test(name)) {
+        dimensions.precision = params[0];
+    }
+
+    return dimensions;
+}
+
+/**
+ * Resolve table-level keys onto the generator model of a parsed table
+ * Sets field.isPrimaryKey / isUnique / indexes / foreignKey and table.primaryKey / indexes / foreignKeys
+ * from table.ast. Safe to call again after more constraints are merged into the AST
+ * (e.g. ALTER TABLE ... ADD CONSTRAINT from pg_dump).
+ * @param {object} table - Parsed table: { tableName, fields, ast }
+ * @returns {object} - The same table
+ */
+function applyTableConstraints(table) {
+    const ast = table.ast;
+    const fieldsByName = new Map(table.fields.map(field => [field.name.toLowerCase(), field]));
+
+    // Primary key: table-level PRIMARY KEY (...) or column-level PRIMARY KEY
+    const primaryKeyColumns = ast.primaryKey
+        ? ast.primaryKey.columns.filter(col => col.name).map(col => col.name)
+        : ast.columns.filter(column => column.primaryKey).map(column => column.name);
+    const primaryKeySet = new Set(primaryKeyColumns.map(name => name.toLowerCase()));
+
+    // Without a declared key, an auto increment column is the key (MySQL requires it to be indexed)
+    if (primaryKeySet.size === 0) {
+        const autoIncrement = ast.columns.find(column => column.autoIncrement);
+        if (autoIncrement) {
+            primaryKeyColumns.push(autoIncrement.name);
+            primaryKeySet.add(autoIncrement.name.toLowerCase());
+        }
+    }
+
+    table.primaryKey = primaryKeyColumns;
+
+    for (const field of table.fields) {
+        field.isPrimaryKey = primaryKeySet.has(field.name.toLowerCase());
+        field.isUnique = !!(field.column && field.column.unique);
+        field.indexes = [];
+        field.foreignKey = null;
+    }
+
+    // Indexes: unnamed composite indexes get a GORM-style name so their columns stay grouped
+    table.indexes = ast.indexes.map(index => {
+        const columnNames = index.columns.filter(col => col.name).map(col => col.name);
+        const name = index.name || (columnNames.length > 1
+            ? `${index.unique ? 'uk' : 'idx'}_${table.tableName}_${columnNames.join('_')}`
+            : null);
+        return { ...index, name };
+    });
+
+    for (const index of table.indexes) {
+        index.columns.forEach((indexColumn, position) => {
+            const field = indexColumn.name && fieldsByName.get(indexColumn.name.toLowerCase());
+            if (!field) return;
+
+            field.indexes.push({
+                name: index.name,
+                unique: index.unique,
+                kind: index.kind,
+                using: index.using,
+                priority: index.columns.length > 1 ? position + 1 : null,
+                length: indexColumn.length,
+                order: indexColumn.order
+            });
+        });
+    }
+
+    // Foreign keys: table-level FOREIGN KEY plus column-level REFERENCES
+    const foreignKeys = [
+        ...ast.foreignKeys,
+        ...ast.columns
+            .filter(column => column.references)
+            .map(column => ({ name: column.references.name || null, columns: [column.name], references: column.references }))
+    ];
+
+    table.foreignKeys = foreignKeys.map(foreignKey => ({
+        name: foreignKey.name,
+        columns: foreignKey.columns,
+        refTable: foreignKey.references.table,
+        refSchema: foreignKey.references.schema,
+        refColumns: foreignKey.references.columns.length > 0 ? foreignKey.references.columns : ['id'],
+        onDelete: foreignKey.references.onDelete,
+        onUpdate: foreignKey.references.onUpdate
+    }));
+
+    for (const foreignKey of table.foreignKeys) {
+        for (const columnName of foreignKey.columns) {
+            const field = fieldsByName.get(columnName.toLowerCase());
+            if (field && !field.foreignKey) {
+                field.foreignKey = foreignKey;
+            }
+        }
+    }
+
+    // CHECK constraints: conditions on a single column, from column-level and table-level checks
+    for (const field of table.fields) {
+        field.checks = [];
+    }
+    const checks = [...ast.checks, ...ast.columns.flatMap(column => column.checks)];
+    for (const check of checks) {
+        for (const condition of parseCheckConditions(check.expression)) {
+            const field = fieldsByName.get(condition.column.toLowerCase());
+            if (field) {
+                field.checks.push(condition);
+            }
+        }
+    }
+
+    return table;
+}
+
+/**
+ * Type the ENUM / SET columns of a parsed table, and columns of PostgreSQL enum types, as named Go types
+ * Sets field.goType / enumBase / enumValues and table.enums: [{ name, base, values, comment, kind, scanner }].
+ * Inline ENUM / SET types are named after the table and column (users.status -> UsersStatus);
+ * a PostgreSQL type keeps its name and its definition object is shared by every table using it.
+ * @param {object} table - Parsed table: { tableName, fields }
+ * @param {object[]} enumTypes - Enum definitions from CREATE TYPE, see createEnumTypes
+ * @returns {object} - The same table
+ */
+function applyColumnEnums(table, enumTypes = []) {
+    table.enums = [];
+
+    for (const field of table.fields) {
+        const dataType = field.column.dataType;
+        let enumDef = null;
+
+        if ((dataType.name === 'ENUM' || dataType.name === 'SET') && field.enumValues.length > 0) {
+            enumDef = {
+                name: `${Naming.toGoName(table.tableName)}${field.goName}`,
+                base: 'string',
+                values: field.enumValues,
+                comment: `${table.tableName}.${field.name} 枚举`,
+                kind: dataType.name === 'SET' ? 'set' : 'enum',
+                scanner: true
+            };
+        } else if (!dataType.array) {
+            // public.mood matches a type declared as public.mood or mood
+            const typeName = dataType.name.toLowerCase();
+            enumDef = enumTypes.find(type => type.qualifiedName === typeName) ||
+                enumTypes.find(type => type.typeName === typeName.split('.').pop()) || null;
+        }
+        if (!enumDef) continue;
+
+        field.goType = enumDef.name;
+        field.enumBase = 'string';
+        field.enumValues = enumDef.values;
+        if (!table.enums.includes(enumDef)) {
+            table.enums.push(enumDef);
+        }
+    }
+
+    return table;
+}
+
+/**
+ * Enum definitions of PostgreSQL CREATE TYPE ... AS ENUM statements, for applyColumnEnums
+ * @param {object[]} types - parseCreateType results
+ * @returns {object[]} - [{ name, base, values, comment, kind, scanner, typeName, qualifiedName, createType }]
+ */
+function createEnumTypes(types) {
+    return types
+        .filter(type => type.values.length > 0)
+        .map(type => ({
+            name: Naming.toGoName(type.name),
+            base: 'string',
+            values: type.values,
+            comment: `${type.name} 枚举`,
+            kind: 'enum',
+            scanner: true,
+            typeName: type.name.toLowerCase(),
+            qualifiedName: (type.schema ? `${type.schema}.${type.name}` : type.name).toLowerCase(),
+            createType: type
+        }));
+}
+
+const CHECK_COMPARISONS = ['=', '<', '<=', '>', '>='];
+const CHECK_FLIPPED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' };
+const CHECK_LENGTH_FUNCTIONS = ['LENGTH', 'CHAR_LENGTH', 'CHARACTER_LENGTH'];
+
+/**
+ * Read the simple conditions of a CHECK expression, joined with AND:
+ * age >= 0, 0 < price, score BETWEEN 1 AND 5, char_length(name) <= 64, name <> '',
+ * status IN ('a', 'b') and pg_dump's (status)::text = ANY ((ARRAY['a'::text, 'b'::text])::text[])
+ * Terms it cannot read are skipped; an expression with OR yields nothing
+ * @param {string} expression - CHECK expression text
+ * @returns {object[]} - [{ column, kind: 'compare' | 'length', op, value }, { column, kind: 'in', values }]
+ */
+function parseCheckConditions(expression) {
+    let tokens;
+    try {
+        tokens = simplifyCheckTokens(tokenizeSQL(expression));
+    } catch (error) {
+        return [];
+    }
+    if (tokens.some(token => isCheckWord(token, 'OR'))) {
+        return [];
+    }
+
+    // Split on AND, except the one of BETWEEN ... AND
+    const terms = [[]];
+    for (const token of tokens) {
+        const term = terms[terms.length - 1];
+        const inBetween = term.length === 3 && isCheckWord(term[1], 'BETWEEN');
+        if (isCheckWord(token, 'AND') && !inBetween) {
+            terms.push([]);
+        } else {
+            term.push(token);
+        }
+    }
+
+    return terms.flatMap(parseCheckTerm);
+}
+
+// Drop parentheses and ::type casts, and join a minus sign to the number after it
+function simplifyCheckTokens(tokens) {
+    const simplified = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === 'punct' && (token.value === '(' || token.value === ')')) {
+            continue;
+        }
+        if (token.type === 'operator' && token.value === '::') {
+            // ::text, ::character varying, ::double precision, ::text[]
+            i++;
+            if (tokens[i + 1] && /^(?:VARYING|PRECISION)$/i.test(tokens[i + 1].value)) i++;
+            if (tokens[i + 1] && tokens[i + 1].value === '[' && tokens[i + 2] && tokens[i + 2].value === ']') i += 2;
+            continue;
+        }
+
+        const previous = simplified[simplified.length - 1];
+        const next = tokens[i + 1];
+        const isSign = token.type === 'operator' && token.value === '-' && next && next.type === 'number' &&
+            (!previous || previous.type === 'operator' || previous.type === 'punct' || /^(?:BETWEEN|AND)$/i.test(previous.value));
+        if (isSign) {
+            simplified.push({ ...next, value: `-${next.value}` });
+            i++;
+            continue;
+        }
+        simplified.push(token);
+    }
+
+    return simplified;
+}
+
+function parseCheckTerm(term) {
+    const [first, second, third, fourth, fifth] = term;
+    const isColumn = token => !!token && (token.type === 'identifier' || token.type === 'word');
+    const isNumber = token => !!token && token.type === 'number';
+    const isComparison = token => !!token && token.type === 'operator' && CHECK_COMPARISONS.includes(token.value);
+
+    // column <op> number, number <op> column
+    if (term.length === 3 && isColumn(first) && isComparison(second) && isNumber(third)) {
+        return [{ column: first.value, kind: 'compare', op: second.value, value: Number(third.value) }];
+    }
+    if (term.length === 3 && isNumber(first) && isComparison(second) && isColumn(third)) {
+        return [{ column: third.value, kind: 'compare', op: CHECK_FLIPPED[second.value], value: Number(first.value) }];
+    }
+
+    // column BETWEEN low AND high
+    if (term.length === 5 && isColumn(first) && isCheckWord(second, 'BETWEEN') && isNumber(third) &&
+        isCheckWord(fourth, 'AND') && isNumber(fifth)) {
+        return [
+            { column: first.value, kind: 'compare', op: '>=', value: Number(third.value) },
+            { column: first.value, kind: 'compare', op: '<=', value: Number(fifth.value) }
+        ];
+    }
+
+    // length(column) <op> number, and column <> '' (not empty)
+    const isLength = first && first.type === 'word' && CHECK_LENGTH_FUNCTIONS.includes(first.value.toUpperCase());
+    if (term.length === 4 && isLength && isColumn(second) && isComparison(third) && isNumber(fourth)) {
+        return [{ column: second.value, kind: 'length', op: third.value, value: Number(fourth.value) }];
+    }
+    if (term.length === 3 && isColumn(first) && ['<>', '!='].includes(second.value) &&
+        third.type === 'string' && third.value === '') {
+        return [{ column: first.value, kind: 'length', op: '>=', value: 1 }];
+    }
+
+    // column IN (values), column = ANY (ARRAY[values])
+    let listStart = -1;
+    if (isColumn(first) && isCheckWord(second, 'IN')) {
+        listStart = 2;
+    } else if (isColumn(first) && second && second.value === '=' && isCheckWord(third, 'ANY') &&
+        isCheckWord(fourth, 'ARRAY') && fifth && fifth.value === '[' && term[term.length - 1].value === ']') {
+        listStart = 5;
+    }
+    if (listStart !== -1) {
+        const items = term.slice(listStart, term[term.length - 1].value === ']' ? -1 : undefined);
+        const values = items.filter((item, index) => index % 2 === 0);
+        const valid = values.length > 0 &&
+            values.every(item => item.type === 'string' || item.type === 'number') &&
+            items.every((item, index) => index % 2 === 0 || item.value === ',');
+        if (valid) {
+            return [{ column: first.value, kind: 'in', values: values.map(item => item.type === 'number' ? Number(item.value) : item.value) }];
+        }
+    }
+
+    return [];
+}
+
+function isCheckWord(token, word) {
+    return !!token && token.type === 'word' && token.value.toUpperCase() === word;
+}
+
+// Normalize MySQL/PostgreSQL table option keys to camelCase names
+function optionKey(key) {
+    const known = {
+        'ENGINE': 'engine',
+        'TYPE': 'engine',
+        'COMMENT': 'comment',
+        'AUTO_INCREMENT': 'autoIncrement',
+        'ROW_FORMAT': 'rowFormat',
+        'TABLESPACE': 'tablespace',
+        'INHERITS': 'inherits',
+        'WITH': 'with',
+        'STRICT': 'strict',
+        'PARTITION': 'partition'
+    };
+    if (known[key]) return known[key];
+    return key.toLowerCase().replace(/_([a-z])/g, (match, ch) => ch.toUpperCase());
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCreateTable,
+        parseCreateIndex,
+        parseAlterTableConstraints,
+        parseCommentOn,
+        parseCreateType,
+        createFieldFromColumn,
+        applyTableConstraints,
+        applyColumnEnums,
+        createEnumTypes,
+        parseCheckConditions
+    };
+}
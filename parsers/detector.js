@@ -1,5 +1,5 @@
 // Input Type Detector
-// Auto-detect whether input is MySQL, PostgreSQL, SQLite DDL, or JSON
+// Auto-detect whether input is MySQL, PostgreSQL, SQLite DDL, Go struct, JSON Schema, or JSON
 
 function detectInputType(input) {
   const trimmed = input.trim();
@@ -7,7 +7,8 @@ function detectInputType(input) {
   // Check if it's a CREATE TABLE DDL
   if (/CREATE\s+TABLE/i.test(trimmed)) {
     // PostgreSQL specific features
-    if (/SERIAL|BIGSERIAL|UUID|TEXT\[\]|JSONB|TIMESTAMPTZ/i.test(trimmed)) {
+    // (pg_dump -s output: character varying, nextval() defaults, ::casts, OWNER TO)
+    if (/SERIAL|BIGSERIAL|UUID|TEXT\[\]|JSONB|TIMESTAMPTZ|CHARACTER\s+VARYING|nextval\(|::\w|OWNER\s+TO/i.test(trimmed)) {
       return 'postgresql';
     }
 
@@ -25,16 +26,33 @@ function detectInputType(input) {
     return 'mysql';
   }
 
+  // Check if it's a Go struct (GORM model)
+  if (/^\s*type\s+\w+\s+struct\s*\{/m.test(trimmed)) {
+    return 'go';
+  }
+
   // Check if it's valid JSON
   try {
     const parsed = JSON.parse(trimmed);
     if (typeof parsed === 'object' && parsed !== null) {
-      return 'json';
+      // The popup does not load the JSON Schema parser
+      const isSchema = typeof isJSONSchemaDocument === 'function' && isJSONSchemaDocument(parsed);
+      return isSchema ? 'jsonschema' : 'json';
     }
   } catch (e) {
     // Not valid JSON
   }
 
+  // Several JSON samples separated by "---" lines
+  if (/^[{[]/.test(trimmed) && /^\s*---\s*$/m.test(trimmed)) {
+    try {
+      trimmed.split(/^\s*---\s*$/m).filter(part => part.trim()).forEach(part => JSON.parse(part));
+      return 'json';
+    } catch (e) {
+      // Not JSON samples
+    }
+  }
+
   // Check if it's YAML (has key: value patterns without JSON braces)
   if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
     // YAML detection: look for key: value patterns
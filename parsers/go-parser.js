@@ -0,0 +1,166 @@
+// Go Struct Parser
+// Reads Go struct declarations (GORM models) with their tags and comments
+
+/**
+ * Parse Go source holding one or more struct types
+ * @param {string} input - Go source (package / import lines are ignored)
+ * @returns {object} - { structs: [{ name, tableName, fields, embeddedOnly }], error }
+ *   field: { name, goType, tags: { json, gorm, ... }, gorm: { KEY: value|true }, comment, embedded }
+ */
+function parseGoStructs(input) {
+    const result = {
+        structs: [],
+        error: null
+    };
+
+    try {
+        const source = stripGoBlockComments(input);
+        const tableNames = parseTableNameMethods(source);
+        const lines = source.split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            const header = lines[i].match(/^\s*type\s+(\w+)\s+struct\s*\{\s*(\}?)/);
+            if (!header) continue;
+
+            const struct = { name: header[1], tableName: tableNames[header[1]] || null, fields: [] };
+            if (!header[2]) {
+                i = parseStructBody(lines, i + 1, struct.fields);
+            }
+            result.structs.push(struct);
+        }
+
+        if (result.structs.length === 0) {
+            throw new Error('未找到 type X struct 定义');
+        }
+
+        // Structs only used as anonymous or `gorm:"embedded"` fields are not tables of their own
+        const embedded = new Set();
+        result.structs.forEach(struct => struct.fields
+            .filter(field => field.embedded || field.gorm.EMBEDDED)
+            .forEach(field => embedded.add(field.goType.replace(/^\*/, ''))));
+        result.structs.forEach(struct => {
+            struct.embeddedOnly = embedded.has(struct.name);
+        });
+
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    return result;
+}
+
+// Read fields until the closing brace; returns the index of that line
+// Anonymous nested struct fields are skipped as a whole
+function parseStructBody(lines, start, fields) {
+    let pendingComment = '';
+
+    for (let i = start; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (line.startsWith('}')) return i;
+        if (!line) {
+            pendingComment = '';
+            continue;
+        }
+        if (line.startsWith('//')) {
+            pendingComment = line.replace(/^\/\/\s*/, '');
+            continue;
+        }
+
+        // Inline struct { ... } field: skip to its closing brace
+        if (/\bstruct\s*\{\s*$/.test(line)) {
+            let depth = 1;
+            while (depth > 0 && ++i < lines.length) {
+                depth += (lines[i].match(/\{/g) || []).length - (lines[i].match(/\}/g) || []).length;
+            }
+            pendingComment = '';
+            continue;
+        }
+
+        fields.push(...parseFieldLine(line, pendingComment));
+        pendingComment = '';
+    }
+
+    throw new Error('struct 缺少结束的 }');
+}
+
+// `Name, Alias string `json:"name"` // comment` -> one field per name
+function parseFieldLine(line, leadingComment) {
+    let rest = line;
+    let tagText = '';
+    let comment = leadingComment;
+
+    const tagMatch = rest.match(/`([^`]*)`/);
+    if (tagMatch) {
+        tagText = tagMatch[1];
+        rest = rest.slice(0, tagMatch.index) + rest.slice(tagMatch.index + tagMatch[0].length);
+    }
+
+    const commentIndex = rest.indexOf('//');
+    if (commentIndex !== -1) {
+        comment = rest.slice(commentIndex + 2).trim();
+        rest = rest.slice(0, commentIndex);
+    }
+
+    const tags = parseStructTags(tagText);
+    const gorm = parseGormTag(tags.gorm || '');
+    const tokens = rest.trim().replace(/\s*,\s*/g, ',').split(/\s+/).filter(Boolean);
+
+    if (tokens.length === 0) return [];
+
+    // Anonymous field: gorm.Model, *Base
+    if (tokens.length === 1) {
+        return [{ name: tokens[0].replace(/^\*/, '').split('.').pop(), goType: tokens[0], tags, gorm, comment, embedded: true }];
+    }
+
+    const goType = tokens.slice(1).join(' ');
+    return tokens[0].split(',').map(name => ({ name, goType, tags, gorm, comment, embedded: false }));
+}
+
+// `json:"id,omitempty" gorm:"primaryKey"` -> { json: 'id,omitempty', gorm: 'primaryKey' }
+function parseStructTags(tagText) {
+    const tags = {};
+    const pattern = /(\w+):"((?:[^"\\]|\\.)*)"/g;
+    let match;
+    while ((match = pattern.exec(tagText)) !== null) {
+        tags[match[1]] = match[2].replace(/\\"/g, '"');
+    }
+    return tags;
+}
+
+// GORM tag settings: "column:id;primaryKey;default:'a\;b'" -> { COLUMN: 'id', PRIMARYKEY: true, DEFAULT: "'a;b'" }
+// Keys are case-insensitive in GORM; "primary_key" / "not null" are spellings of primaryKey / notNull
+function parseGormTag(value) {
+    const settings = {};
+    const parts = value.split(/(?<!\\);/);
+
+    for (const part of parts) {
+        if (!part.trim()) continue;
+        const colon = part.indexOf(':');
+        const key = (colon === -1 ? part : part.slice(0, colon)).trim().toUpperCase().replace(/[\s_]/g, '');
+        settings[key] = colon === -1 ? true : part.slice(colon + 1).trim().replace(/\\;/g, ';');
+    }
+
+    return settings;
+}
+
+// func (User) TableName() string { return "sys_user" }
+function parseTableNameMethods(source) {
+    const names = {};
+    const pattern = /func\s*\(\s*(?:\w+\s+)?\*?(\w+)\s*\)\s*TableName\s*\(\s*\)\s*string\s*\{\s*return\s+"([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        names[match[1]] = match[2];
+    }
+    return names;
+}
+
+// Remove /* ... */ comments, keeping backtick tags intact
+function stripGoBlockComments(source) {
+    return source.replace(/`[^`]*`|\/\*[\s\S]*?\*\//g, match => match.startsWith('`') ? match : '');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseGoStructs, parseGormTag, parseStructTags };
+}
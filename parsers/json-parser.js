@@ -1,5 +1,7 @@
 // JSON Parser
 // Parses JSON and infers Go struct fields
+// Every array element, and every sample of a "---" separated input, is merged into one shape
+// Nested objects of the same shape share one struct type
 
 function parseJSON(jsonStr, structName = 'Response') {
     const result = {
@@ -10,14 +12,16 @@ function parseJSON(jsonStr, structName = 'Response') {
     };
 
     try {
-        const jsonObj = JSON.parse(jsonStr);
+        const samples = parseJSONSamples(jsonStr);
 
-        if (typeof jsonObj !== 'object' || jsonObj === null) {
-            throw new Error('JSON 必须是一个对象');
-        }
+        const context = {
+            nestedStructs: result.nestedStructs,
+            names: new Set([structName]),
+            shapes: new Map()  // field signature -> struct name
+        };
 
         // Parse top-level fields
-        result.fields = parseObjectFields(jsonObj, structName, result.nestedStructs);
+        result.fields = parseObjectFields(samples, structName, context);
 
     } catch (error) {
         result.error = error.message;
@@ -26,67 +30,241 @@ function parseJSON(jsonStr, structName = 'Response') {
     return result;
 }
 
-// Parse fields from a JSON object
-function parseObjectFields(obj, parentName, nestedStructs) {
-    const fields = [];
-
-    for (const [key, value] of Object.entries(obj)) {
-        const fieldType = inferType(value);
-        const goFieldName = snakeToCamel(key);
-
-        let goType = fieldType;
+// Root objects of the input: one object, an array of objects, or several of either separated by "---" lines
+function parseJSONSamples(jsonStr) {
+    const samples = splitJSONSamples(jsonStr)
+        .map(text => JSON.parse(text))
+        .flatMap(value => Array.isArray(value) ? value : [value]);
 
-        // Handle nested objects
-        if (fieldType === 'object' && value !== null) {
-            const nestedStructName = goFieldName;
-            const nestedFields = parseObjectFields(value, nestedStructName, nestedStructs);
-
-            nestedStructs.push({
-                name: nestedStructName,
-                fields: nestedFields
-            });
+    if (samples.length === 0 || samples.some(sample => inferType(sample) !== 'object')) {
+        throw new Error('JSON 必须是一个对象');
+    }
 
-            goType = nestedStructName;
-        }
+    return samples;
+}
 
-        // Handle arrays
-        if (fieldType === 'array' && Array.isArray(value) && value.length > 0) {
-            const elementType = inferType(value[0]);
+// "---" on a line of its own separates samples (a JSON string cannot span lines, so the split is safe)
+function splitJSONSamples(text) {
+    return text.split(/^\s*---\s*$/m)
+        .map(part => part.trim())
+        .filter(Boolean);
+}
 
-            if (elementType === 'object' && value[0] !== null) {
-                const nestedStructName = goFieldName + 'Item';
-                const nestedFields = parseObjectFields(value[0], nestedStructName, nestedStructs);
+// Parse fields from one or more JSON objects of the same shape
+// Keys missing from some of the objects are optional
+function parseObjectFields(objects, parentName, context) {
+    const fields = [];
+    const keys = [...new Set(objects.flatMap(obj => Object.keys(obj)))];
+    const goNames = new Set();
 
-                nestedStructs.push({
-                    name: nestedStructName,
-                    fields: nestedFields
-                });
+    keys.forEach((key, index) => {
+        const present = objects.filter(obj => Object.prototype.hasOwnProperty.call(obj, key));
+        const optional = present.length < objects.length;
+        // Keys without letters or digits ("", "#") get a positional name; keys that collide once converted get a number
+        const goFieldName = Naming.uniqueName(Naming.toGoName(key) || `Field${index + 1}`, goNames);
+        const shape = mergeJSONValues(present.map(obj => obj[key]), goFieldName, parentName, context);
 
-                goType = `[]${nestedStructName}`;
-            } else {
-                goType = `[]${mapJSONTypeToGo(elementType)}`;
-            }
-        } else if (fieldType === 'array') {
-            goType = '[]interface{}';
-        }
+        // Optional and nullable values become pointers; slices and interface{} already have a nil value
+        const goType = (optional || shape.nullable) && isPointerableJSONType(shape.goType)
+            ? `*${shape.goType}`
+            : shape.goType;
 
         fields.push({
             name: key,
             goName: goFieldName,
-            type: fieldType,
-            goType: mapJSONTypeToGo(goType),
-            nullable: value === null,
+            type: shape.type,
+            goType,
+            format: shape.format,
+            nullable: shape.nullable,
+            optional,
+            omitEmpty: optional,
             isPrimaryKey: false,
             isAutoIncrement: false,
             // No comment field for JSON - this prevents "// fieldname" comments
             jsonName: key,
             dbColumn: key
         });
-    }
+    });
 
     return fields;
 }
 
+/**
+ * Merge the values seen for one key into a single type
+ * @param {Array} values - Samples of the value (null included)
+ * @param {string} typeName - Struct name hint for object values
+ * @param {string} parentName - Enclosing struct, used to tell apart different shapes with the same name
+ * @param {object} context - { nestedStructs, names, shapes }; nested structs are pushed inner ones first
+ * @returns {object} - { goType, type, format, nullable }
+ */
+function mergeJSONValues(values, typeName, parentName, context) {
+    const kinds = new Set(values.map(inferType));
+    const nullable = kinds.delete('null');
+
+    // int and float samples widen to float
+    if (kinds.has('int') && kinds.has('float')) {
+        kinds.delete('int');
+    }
+
+    if (kinds.size === 0) {
+        return { goType: 'interface{}', type: 'null', format: null, nullable: true };
+    }
+    if (kinds.size > 1) {
+        return { goType: 'interface{}', type: 'mixed', format: null, nullable };
+    }
+
+    const type = [...kinds][0];
+    const present = values.filter(value => value !== null);
+
+    switch (type) {
+        case 'object': {
+            const nestedFields = parseObjectFields(present, typeName, context);
+            const name = defineJSONStruct(typeName, parentName, nestedFields, context);
+            return { goType: name, type, format: null, nullable };
+        }
+        case 'array': {
+            const elements = present.flat(1);
+            if (elements.length === 0) {
+                return { goType: '[]interface{}', type, format: null, nullable };
+            }
+            // users -> User, data -> DataItem
+            const element = mergeJSONValues(elements, singularizeTypeName(typeName), parentName, context);
+            const elementType = element.nullable && isPointerableJSONType(element.goType)
+                ? `*${element.goType}`
+                : element.goType;
+            return { goType: `[]${elementType}`, type, format: element.format, nullable };
+        }
+        case 'string': {
+            // A format is kept only when every sample has it
+            const formats = new Set(present.map(inferStringFormat));
+            const format = formats.size === 1 ? [...formats][0] : null;
+            return { goType: 'string', type, format, nullable };
+        }
+        default:
+            return { goType: mapJSONTypeToGo(type), type, format: null, nullable };
+    }
+}
+
+// Register a nested struct, reusing an existing one with the same fields
+function defineJSONStruct(nameHint, parentName, fields, context) {
+    const signature = fields
+        .map(field => `${field.jsonName}:${field.goType}${field.optional ? '?' : ''}`)
+        .sort()
+        .join(',');
+    if (context.shapes.has(signature)) {
+        return context.shapes.get(signature);
+    }
+
+    const name = reserveJSONTypeName(nameHint, parentName, context);
+    context.shapes.set(signature, name);
+    context.nestedStructs.push({
+        name,
+        fields
+    });
+    return name;
+}
+
+// Address, then UserAddress (prefixed with the enclosing struct), then Address2, Address3, ...
+function reserveJSONTypeName(name, parentName, context) {
+    const candidates = [name];
+    if (parentName && !name.startsWith(parentName)) {
+        candidates.push(parentName + name);
+    }
+
+    let unique = candidates.find(candidate => !context.names.has(candidate));
+    for (let i = 2; !unique; i++) {
+        if (!context.names.has(`${name}${i}`)) unique = `${name}${i}`;
+    }
+    context.names.add(unique);
+    return unique;
+}
+
+// Plurals the suffix rules below would get wrong
+const IRREGULAR_PLURALS = {
+    People: 'Person', Children: 'Child', Men: 'Man', Women: 'Woman', Mice: 'Mouse', Geese: 'Goose', Feet: 'Foot', Teeth: 'Tooth',
+    Indices: 'Index', Matrices: 'Matrix', Vertices: 'Vertex', Criteria: 'Criterion', Quizzes: 'Quiz', Caches: 'Cache',
+    Leaves: 'Leaf', Lives: 'Life', Wives: 'Wife', Knives: 'Knife', Halves: 'Half', Shelves: 'Shelf', Wolves: 'Wolf', Thieves: 'Thief',
+    Crises: 'Crisis', Theses: 'Thesis', Diagnoses: 'Diagnosis', Hypotheses: 'Hypothesis',
+    Aliases: 'Alias', Atlases: 'Atlas', Biases: 'Bias', Canvases: 'Canvas', Gases: 'Gas',
+    Heroes: 'Hero', Potatoes: 'Potato', Tomatoes: 'Tomato', Echoes: 'Echo', Vetoes: 'Veto', Volcanoes: 'Volcano', Mosquitoes: 'Mosquito',
+    Movies: 'Movie', Cookies: 'Cookie', Zombies: 'Zombie', Calories: 'Calorie', Hoodies: 'Hoodie', Rookies: 'Rookie', Selfies: 'Selfie',
+    Goodies: 'Goodie', Pies: 'Pie', Ties: 'Tie', Lies: 'Lie'
+};
+
+// Words that are the same in singular and plural
+const UNCOUNTABLE_WORDS = new Set(['News', 'Series', 'Species', 'Analytics', 'Economics', 'Logistics', 'Physics']);
+
+// Element type name of an array field: Users -> User, Categories -> Category, Statuses -> Status, UserList -> User
+// Names without a plural form, or whose singular is not clear, get an Item suffix: Data -> DataItem, News -> NewsItem, Canvas -> CanvasItem
+function singularizeTypeName(name) {
+    const match = name.match(/^(.*?)([A-Z][a-z0-9]*|[a-z0-9]+)$/);
+    const [prefix, word] = match ? [match[1], match[2]] : ['', name];
+
+    let singular = word;
+    if (IRREGULAR_PLURALS[word]) {
+        singular = IRREGULAR_PLURALS[word];
+    } else if (UNCOUNTABLE_WORDS.has(word)) {
+        singular = word;
+    } else if (word === 'List' && prefix) {
+        return prefix;
+    } else if (/[^aeiou]ies$/.test(word)) {
+        // Categories -> Category
+        singular = word.slice(0, -3) + 'y';
+    } else if (/(ss|x|ch|sh|zz)es$/.test(word) || /[^aeiou]uses$/.test(word)) {
+        // Classes, Boxes, Matches, Hashes, Statuses, Buses; Cases and Causes only drop the s
+        singular = word.slice(0, -2);
+    } else if (/yses$/.test(word)) {
+        // Analyses -> Analysis
+        singular = word.slice(0, -2) + 'is';
+    } else if (/[^suai]s$/.test(word)) {
+        // Users, Keys, Responses; a trailing s after u, a or i is usually part of the word (Status, Canvas, Alias)
+        singular = word.slice(0, -1);
+    }
+
+    return singular === word ? name + 'Item' : prefix + singular;
+}
+
+/**
+ * Rename nested struct (and enum) types of a parsed result
+ * @param {object} parsedData - parseJSON / parseJSONSchema result
+ * @param {object} renames - { GeneratedName: NewName }
+ * @returns {object} - A copy with the types and every field referring to them renamed
+ */
+function renameNestedStructs(parsedData, renames) {
+    const known = new Set([
+        ...(parsedData.nestedStructs || []).map(struct => struct.name),
+        ...(parsedData.enums || []).map(enumDef => enumDef.name)
+    ]);
+    const renameMap = {};
+    Object.entries(renames || {}).forEach(([from, to]) => {
+        if (known.has(from) && to && to !== from) renameMap[from] = to;
+    });
+    if (Object.keys(renameMap).length === 0) {
+        return parsedData;
+    }
+
+    // Type names in *T, []T, map[string]T; qualified names like time.Time are left alone
+    const renameType = goType => goType.replace(/(?<![.\p{L}\p{N}_])[\p{L}\p{N}_]+/gu, word => renameMap[word] || word);
+    const renameFields = fields => fields.map(field => ({ ...field, goType: renameType(field.goType) }));
+
+    return {
+        ...parsedData,
+        fields: renameFields(parsedData.fields),
+        nestedStructs: (parsedData.nestedStructs || []).map(struct => ({
+            ...struct,
+            name: renameMap[struct.name] || struct.name,
+            fields: renameFields(struct.fields)
+        })),
+        ...(parsedData.enums ? {
+            enums: parsedData.enums.map(enumDef => ({ ...enumDef, name: renameMap[enumDef.name] || enumDef.name }))
+        } : {})
+    };
+}
+
+function isPointerableJSONType(goType) {
+    return goType !== 'interface{}' && !goType.startsWith('[]') && !goType.startsWith('map[');
+}
+
 
 // Infer type from JSON value
 function inferType(value) {
@@ -107,6 +285,17 @@ function inferType(value) {
     return type; // 'string', 'boolean', 'object'
 }
 
+// JSON Schema format of a string sample: date-time, date, email, uuid, uri, ipv4, or null
+function inferStringFormat(value) {
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value)) return 'date-time';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'uuid';
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'email';
+    if (/^https?:\/\/[^\s]+$/i.test(value)) return 'uri';
+    if (/^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(value)) return 'ipv4';
+    return null;
+}
+
 // Map JSON type to Go type
 function mapJSONTypeToGo(jsonType) {
     switch (jsonType) {
@@ -126,14 +315,7 @@ function mapJSONTypeToGo(jsonType) {
     }
 }
 
-// Convert snake_case or kebab-case to CamelCase
-function snakeToCamel(str) {
-    return str.replace(/([-_][a-z])/g, (group) =>
-        group.toUpperCase().replace('-', '').replace('_', '')
-    ).replace(/^[a-z]/, (char) => char.toUpperCase());
-}
-
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { parseJSON, inferType, mapJSONTypeToGo };
+    module.exports = { parseJSON, splitJSONSamples, renameNestedStructs, singularizeTypeName, inferType, inferStringFormat, mapJSONTypeToGo };
 }
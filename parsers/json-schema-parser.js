@@ -0,0 +1,267 @@
+// JSON Schema Parser
+// Reads a JSON Schema (draft 2020-12 / draft-07) into the same field model as parseJSON,
+// plus optionality (required), nullability and enum types
+
+/**
+ * Parse a JSON Schema document
+ * @param {string} input - JSON Schema text
+ * @param {string} structName - Root struct name; defaults to the schema title
+ * @returns {object} - { structName, fields, nestedStructs, enums: [{ name, base, values, comment }], error }
+ */
+function parseJSONSchema(input, structName = '') {
+    const result = {
+        structName: structName || 'Response',
+        fields: [],
+        nestedStructs: [],
+        enums: [],
+        error: null
+    };
+
+    try {
+        const schema = JSON.parse(input);
+        if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+            throw new Error('JSON Schema 必须是一个对象');
+        }
+
+        const context = {
+            root: schema,
+            nestedStructs: result.nestedStructs,
+            enums: result.enums,
+            names: new Set(),
+            structNames: new Set(),
+            defining: new Set(),
+            refs: new Map()
+        };
+
+        const root = resolveSchemaRef(schema, context).schema;
+        if (!isObjectSchema(root)) {
+            throw new Error('JSON Schema 根节点必须是 object 类型');
+        }
+
+        result.structName = structName || (schema.title ? toSchemaTypeName(schema.title) : 'Response');
+        context.names.add(result.structName);
+        context.structNames.add(result.structName);
+        context.refs.set('#', { goType: result.structName, type: 'object', nullable: false });
+        context.defining.add(result.structName);
+        result.fields = parseSchemaProperties(root, context);
+
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    return result;
+}
+
+// Fields of an object schema (allOf members are merged in)
+function parseSchemaProperties(objectSchema, context) {
+    const properties = {};
+    const required = new Set();
+
+    for (const part of [objectSchema, ...(objectSchema.allOf || []).map(item => resolveSchemaRef(item, context).schema)]) {
+        Object.assign(properties, part.properties || {});
+        (part.required || []).forEach(name => required.add(name));
+    }
+
+    const goNames = new Set();
+    return Object.entries(properties).map(([key, propertySchema], index) => {
+        const resolved = resolveSchemaType(propertySchema, toSchemaTypeName(key), context);
+        const optional = !required.has(key);
+
+        // Optional and nullable scalars become pointers; slices, maps and structs have their own zero value,
+        // except a struct referencing itself (or an enclosing struct), which needs a pointer
+        const isScalar = !/^(\[\]|map\[)/.test(resolved.goType) && resolved.goType !== 'interface{}' &&
+            !context.structNames.has(resolved.goType);
+        const isRecursive = context.defining.has(resolved.goType);
+        const goType = ((optional || resolved.nullable) && isScalar) || isRecursive ? `*${resolved.goType}` : resolved.goType;
+
+        return {
+            name: key,
+            goName: Naming.uniqueName(Naming.toGoName(key) || `Field${index + 1}`, goNames),
+            type: resolved.type,
+            goType,
+            format: resolved.format || null,
+            nullable: resolved.nullable,
+            optional,
+            omitEmpty: optional,
+            enumBase: resolved.enumBase || null,
+            isPrimaryKey: false,
+            isAutoIncrement: false,
+            comment: (propertySchema && (propertySchema.description || propertySchema.title)) || '',
+            jsonName: key,
+            dbColumn: key
+        };
+    });
+}
+
+/**
+ * Go type of a property schema
+ * @param {object|boolean} schema - Property schema
+ * @param {string} nameHint - Type name for nested objects and enums
+ * @returns {object} - { goType, type, nullable, format, enumBase }
+ */
+function resolveSchemaType(schema, nameHint, context) {
+    if (schema === true || !schema || typeof schema !== 'object') {
+        return { goType: 'interface{}', type: 'any', nullable: false };
+    }
+
+    // $ref: named definitions keep their name
+    const { schema: target, refName } = resolveSchemaRef(schema, context);
+    if (refName) {
+        if (context.refs.has(schema.$ref)) {
+            return { ...context.refs.get(schema.$ref) };
+        }
+        if (isObjectSchema(target) && (target.properties || target.allOf)) {
+            // Registered before its fields are read so that recursive references resolve to the same struct
+            const name = reserveSchemaName(toSchemaTypeName(refName), context);
+            context.refs.set(schema.$ref, { goType: name, type: 'object', nullable: false });
+            defineSchemaStruct(name, target, context, true);
+            return { ...context.refs.get(schema.$ref) };
+        }
+        const resolved = resolveSchemaType(target, toSchemaTypeName(refName), context);
+        context.refs.set(schema.$ref, resolved);
+        return { ...resolved };
+    }
+
+    // anyOf / oneOf with a null branch: [{ type: 'string' }, { type: 'null' }]
+    const variants = schema.anyOf || schema.oneOf;
+    if (variants) {
+        const nonNull = variants.filter(variant => variant.type !== 'null');
+        if (nonNull.length === 1) {
+            const resolved = resolveSchemaType(nonNull[0], nameHint, context);
+            return { ...resolved, nullable: resolved.nullable || nonNull.length < variants.length };
+        }
+        return { goType: 'interface{}', type: 'any', nullable: false };
+    }
+    if (schema.allOf && schema.allOf.length === 1 && !schema.properties) {
+        return resolveSchemaType(schema.allOf[0], nameHint, context);
+    }
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+    const nullable = types.includes('null');
+    const type = types.find(item => item !== 'null') || (schema.properties ? 'object' : null);
+
+    // enum / const
+    const values = schema.enum || (schema.const !== undefined ? [schema.const] : null);
+    if (values) {
+        const enumValues = values.filter(value => value !== null);
+        const nullableEnum = nullable || enumValues.length < values.length;
+        const base = enumValues.every(Number.isInteger) ? 'int' : (enumValues.every(value => typeof value === 'string') ? 'string' : null);
+
+        if (base && enumValues.length > 1) {
+            const name = defineSchemaEnum(schema.title ? toSchemaTypeName(schema.title) : nameHint, base, enumValues, schema.description, context);
+            return { goType: name, type: base === 'int' ? 'integer' : 'string', nullable: nullableEnum, enumBase: base };
+        }
+        if (base) {
+            return { goType: base, type: base === 'int' ? 'integer' : 'string', nullable: nullableEnum };
+        }
+    }
+
+    switch (type) {
+        case 'object': {
+            if (schema.properties || schema.allOf) {
+                const name = defineSchemaStruct(schema.title ? toSchemaTypeName(schema.title) : nameHint, schema, context);
+                return { goType: name, type, nullable };
+            }
+            const additional = schema.additionalProperties;
+            if (additional && typeof additional === 'object') {
+                const value = resolveSchemaType(additional, `${nameHint}Value`, context);
+                return { goType: `map[string]${value.goType.replace(/^\*/, '')}`, type, nullable };
+            }
+            return { goType: 'map[string]interface{}', type, nullable };
+        }
+        case 'array': {
+            const items = schema.items || (schema.prefixItems && schema.prefixItems[0]);
+            if (!items) {
+                return { goType: '[]interface{}', type, nullable };
+            }
+            const element = resolveSchemaType(items, `${nameHint}Item`, context);
+            return { goType: `[]${element.goType.replace(/^\*/, '')}`, type, nullable, format: element.format };
+        }
+        case 'string':
+            if (schema.format === 'date-time') return { goType: 'time.Time', type, nullable, format: schema.format };
+            if (schema.contentEncoding === 'base64' || schema.format === 'byte') return { goType: '[]byte', type, nullable };
+            return { goType: 'string', type, nullable, format: schema.format || null };
+        case 'integer':
+            return { goType: schema.format === 'int64' ? 'int64' : (schema.format === 'int32' ? 'int32' : 'int'), type, nullable };
+        case 'number':
+            return { goType: schema.format === 'float' ? 'float32' : 'float64', type, nullable };
+        case 'boolean':
+            return { goType: 'bool', type, nullable };
+        default:
+            // "null" alone or no type: any JSON value
+            return { goType: 'interface{}', type: type || 'any', nullable: nullable || type === 'null' };
+    }
+}
+
+// Parse an object schema into a nested struct; inner structs are pushed before the outer one (like parseJSON)
+function defineSchemaStruct(nameHint, schema, context, reserved = false) {
+    const name = reserved ? nameHint : reserveSchemaName(nameHint, context);
+    context.structNames.add(name);
+    context.defining.add(name);
+    const fields = parseSchemaProperties(schema, context);
+    context.defining.delete(name);
+    context.nestedStructs.push({ name, fields });
+    return name;
+}
+
+function defineSchemaEnum(nameHint, base, values, description, context) {
+    const name = reserveSchemaName(nameHint, context);
+    context.enums.push({ name, base, values, comment: description || '' });
+    return name;
+}
+
+// Unique type name: Status, Status2, ...
+function reserveSchemaName(name, context) {
+    let unique = name || 'Item';
+    for (let i = 2; context.names.has(unique); i++) {
+        unique = `${name}${i}`;
+    }
+    context.names.add(unique);
+    return unique;
+}
+
+// Follow a local $ref ("#/$defs/Name", "#/definitions/Name", "#"); returns { schema, refName }
+function resolveSchemaRef(schema, context) {
+    if (!schema || typeof schema !== 'object' || typeof schema.$ref !== 'string') {
+        return { schema, refName: null };
+    }
+
+    const ref = schema.$ref;
+    if (!ref.startsWith('#')) {
+        throw new Error(`不支持外部引用: ${ref}`);
+    }
+
+    let target = context.root;
+    const path = ref.slice(1).split('/').filter(Boolean).map(part => decodeURIComponent(part.replace(/~1/g, '/').replace(/~0/g, '~')));
+    for (const part of path) {
+        target = target && target[part];
+    }
+    if (!target) {
+        throw new Error(`无法解析引用: ${ref}`);
+    }
+
+    return { schema: target, refName: path.length > 0 ? path[path.length - 1] : (context.root.title || 'Response') };
+}
+
+function isObjectSchema(schema) {
+    return !!schema && typeof schema === 'object' &&
+        (schema.type === 'object' || (Array.isArray(schema.type) && schema.type.includes('object')) || !!schema.properties);
+}
+
+// "user profile" / user_profile / userProfile -> UserProfile
+function toSchemaTypeName(name) {
+    return Naming.toGoName(name) || 'Item';
+}
+
+// Whether a parsed JSON document looks like a JSON Schema rather than data
+function isJSONSchemaDocument(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+    if (typeof value.$schema === 'string' && /json-schema\.org/.test(value.$schema)) return true;
+    return value.type === 'object' && typeof value.properties === 'object' && value.properties !== null &&
+        Object.values(value.properties).every(property => typeof property === 'object' && property !== null);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseJSONSchema, isJSONSchemaDocument };
+}
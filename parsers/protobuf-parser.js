@@ -16,13 +16,24 @@ function parseJSONForProtobuf(jsonStr, messageName = 'Message') {
         return result;
     }
 
+    return prepareProtobufData(result);
+}
+
+/**
+ * Add Protocol Buffer metadata to a parseJSON / parseJSONSchema result and its nested structs
+ * @param {object} result - Parsed data ({ fields, nestedStructs })
+ * @returns {object} - The same result
+ */
+function prepareProtobufData(result) {
+    const messageNames = new Set([result.structName, ...(result.nestedStructs || []).map(nested => nested.name)]);
+
     // Add Protocol Buffer specific metadata
-    addProtobufMetadata(result.fields, 1);
+    addProtobufMetadata(result.fields, 1, messageNames);
 
     // Process nested structs
     if (result.nestedStructs && result.nestedStructs.length > 0) {
         for (const nested of result.nestedStructs) {
-            addProtobufMetadata(nested.fields, 1);
+            addProtobufMetadata(nested.fields, 1, messageNames);
         }
     }
 
@@ -33,8 +44,9 @@ function parseJSONForProtobuf(jsonStr, messageName = 'Message') {
  * Add Protocol Buffer metadata to fields (field numbers, etc.)
  * @param {Array} fields - Array of field objects
  * @param {number} startNumber - Starting field number
+ * @param {Set} messageNames - Nested message names (message fields already track presence)
  */
-function addProtobufMetadata(fields, startNumber = 1) {
+function addProtobufMetadata(fields, startNumber = 1, messageNames = new Set()) {
     let fieldNumber = startNumber;
 
     for (const field of fields) {
@@ -50,6 +62,10 @@ function addProtobufMetadata(fields, startNumber = 1) {
         } else {
             field.protoElementType = field.goType;
         }
+
+        // Optional scalars (JSON Schema fields outside "required") use proto3 explicit presence
+        field.isOptional = !!field.optional && !field.isRepeated &&
+            !field.goType.startsWith('map[') && !messageNames.has(field.goType.replace(/^\*/, ''));
     }
 }
 
@@ -59,22 +75,14 @@ function addProtobufMetadata(fields, startNumber = 1) {
  * @returns {string} - PascalCase string
  */
 function toPascalCase(str) {
-    if (!str) return '';
-
-    // Handle snake_case
-    return str
-        .split('_')
-        .map(word => {
-            if (!word) return '';
-            return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
-        })
-        .join('');
+    return Naming.toGoName(str);
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         parseJSONForProtobuf,
+        prepareProtobufData,
         addProtobufMetadata,
         toPascalCase
     };
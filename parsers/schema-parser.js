@@ -0,0 +1,245 @@
+// Schema Parser
+// Splits a multi-statement DDL script (mysqldump / pg_dump output) and parses every CREATE TABLE
+
+/**
+ * Parse a whole DDL script into a list of tables
+ * @param {string} ddl - One or more SQL statements
+ * @param {string} dbType - 'mysql' | 'postgresql' | 'sqlite'
+ * @returns {object} - { tables: [parsed table], dbType, error }
+ */
+function parseDDLSchema(ddl, dbType = 'mysql') {
+    const result = {
+        tables: [],
+        dbType,
+        error: null
+    };
+
+    try {
+        const parseTable = getTableParser(dbType);
+        const statements = splitSQLStatements(ddl);
+        const createStatements = statements.filter(isCreateTableStatement);
+
+        if (createStatements.length === 0) {
+            throw new Error('未找到 CREATE TABLE 语句');
+        }
+
+        for (const statement of createStatements) {
+            const table = parseTable(statement);
+            if (table.error) {
+                const label = table.tableName ? `表 ${table.tableName}` : 'CREATE TABLE';
+                throw new Error(`${label}: ${table.error}`);
+            }
+            result.tables.push(table);
+        }
+
+        // pg_dump / SQLite dumps declare keys and indexes in separate statements
+        mergeSeparateConstraints(result.tables, statements, dbType);
+
+        // PostgreSQL enum types are declared before the tables using them
+        if (dbType === 'postgresql') {
+            const enumTypes = createEnumTypes(parseEnumTypes(statements));
+            result.tables.forEach(table => applyColumnEnums(table, enumTypes));
+        }
+
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    return result;
+}
+
+// Pick the single-table parser for a database type
+function getTableParser(dbType) {
+    switch (dbType) {
+        case 'postgresql':
+            return parsePostgreSQLDDL;
+        case 'sqlite':
+            return parseSQLiteDDL;
+        default:
+            return parseMySQLDDL;
+    }
+}
+
+// Apply CREATE INDEX, ALTER TABLE ... ADD CONSTRAINT / SET DEFAULT and COMMENT ON statements to their tables
+function mergeSeparateConstraints(tables, statements, dbType) {
+    const tablesByName = new Map(tables.map(table => [table.tableName.toLowerCase(), table]));
+
+    for (const statement of statements) {
+        let changes = null;
+
+        try {
+            if (/^COMMENT\s+ON\s+(?:TABLE|COLUMN)\b/i.test(statement)) {
+                applyComment(tablesByName, parseCommentOn(statement, { dialect: dbType }));
+                continue;
+            }
+            if (/^CREATE\s+(?:UNIQUE\s+|FULLTEXT\s+|SPATIAL\s+)?INDEX\b/i.test(statement)) {
+                const { table, index } = parseCreateIndex(statement, { dialect: dbType });
+                changes = { table, primaryKey: null, indexes: [index], foreignKeys: [], checks: [], columnDefaults: [] };
+            } else if (/^ALTER\s+TABLE\b/i.test(statement)) {
+                changes = parseAlterTableConstraints(statement, { dialect: dbType });
+            }
+        } catch (error) {
+            // Statements we cannot read do not affect the generated structs
+            changes = null;
+        }
+
+        const table = changes && tablesByName.get(changes.table.toLowerCase());
+        if (!table) continue;
+
+        if (changes.primaryKey) table.ast.primaryKey = changes.primaryKey;
+        table.ast.indexes.push(...changes.indexes);
+        table.ast.foreignKeys.push(...changes.foreignKeys);
+        table.ast.checks.push(...changes.checks);
+
+        for (const { column, defaultValue } of changes.columnDefaults) {
+            const field = table.fields.find(f => f.name.toLowerCase() === column.toLowerCase());
+            if (!field) continue;
+
+            field.column.defaultValue = defaultValue;
+            field.defaultValue = defaultValue;
+            // Sequence defaults are how pg_dump writes serial columns
+            if (/^nextval\s*\(/i.test(defaultValue.raw)) {
+                field.column.autoIncrement = true;
+                field.isAutoIncrement = true;
+            }
+        }
+    }
+
+    tables.forEach(applyTableConstraints);
+}
+
+// CREATE TYPE ... AS ENUM statements; other type definitions are skipped
+function parseEnumTypes(statements) {
+    const types = [];
+    for (const statement of statements) {
+        if (!/^CREATE\s+TYPE\b[\s\S]*?\bAS\s+ENUM\b/i.test(statement)) continue;
+        try {
+            types.push(parseCreateType(statement));
+        } catch (error) {
+            // An enum we cannot read leaves its columns as plain strings
+        }
+    }
+    return types;
+}
+
+// COMMENT ON TABLE t / COLUMN t.c IS '...'
+function applyComment(tablesByName, { target, table: tableName, column, comment }) {
+    const table = tablesByName.get(tableName.toLowerCase());
+    if (!table) return;
+
+    if (target === 'table') {
+        table.ast.options.comment = comment;
+        return;
+    }
+
+    const field = table.fields.find(f => f.name.toLowerCase() === column.toLowerCase());
+    if (field) {
+        field.column.comment = comment;
+        field.comment = comment || field.name;
+    }
+}
+
+// Check whether a statement is a CREATE TABLE (ignores CREATE TABLE ... AS SELECT / LIKE)
+function isCreateTableStatement(statement) {
+    const match = statement.match(/^CREATE\s+(?:(?:GLOBAL|LOCAL)\s+)?(?:TEMP(?:ORARY)?\s+|UNLOGGED\s+)?TABLE\b([\s\S]*)$/i);
+    if (!match) return false;
+
+    const rest = match[1];
+    if (/^\s*(?:IF\s+NOT\s+EXISTS\s+)?[\w."`\[\]]+\s+(?:AS\b|LIKE\b)/i.test(rest)) {
+        return false;
+    }
+    return rest.includes('(');
+}
+
+/**
+ * Split SQL text into statements on top-level semicolons
+ * Quotes, backticks, -- / # / block comments and PostgreSQL $tag$ bodies are respected.
+ * Comments are dropped from the output so each statement starts with its keyword.
+ * @param {string} sql - SQL script
+ * @returns {string[]} - Trimmed, non-empty statements without the trailing semicolon
+ */
+function splitSQLStatements(sql) {
+    const statements = [];
+    let current = '';
+    let i = 0;
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        const next = sql[i + 1];
+
+        // Line comments: -- and MySQL #
+        if ((ch === '-' && next === '-') || ch === '#') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+            continue;
+        }
+
+        // Block comments (including MySQL /*! ... */ version comments)
+        if (ch === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            current += ' ';
+            continue;
+        }
+
+        // Quoted strings and identifiers
+        if (ch === '\'' || ch === '"' || ch === '`') {
+            const end = findClosingQuote(sql, i, ch);
+            current += sql.slice(i, end);
+            i = end;
+            continue;
+        }
+
+        // PostgreSQL dollar-quoted bodies: $$ ... $$ or $tag$ ... $tag$
+        if (ch === '$') {
+            const tagMatch = sql.slice(i).match(/^\$[A-Za-z_]*\$/);
+            if (tagMatch) {
+                const tag = tagMatch[0];
+                const end = sql.indexOf(tag, i + tag.length);
+                const stop = end === -1 ? sql.length : end + tag.length;
+                current += sql.slice(i, stop);
+                i = stop;
+                continue;
+            }
+        }
+
+        if (ch === ';') {
+            if (current.trim()) statements.push(current.trim());
+            current = '';
+            i++;
+            continue;
+        }
+
+        current += ch;
+        i++;
+    }
+
+    if (current.trim()) statements.push(current.trim());
+
+    return statements;
+}
+
+// Find the index just past the closing quote, honoring doubled quotes and backslash escapes
+function findClosingQuote(sql, start, quote) {
+    let i = start + 1;
+    while (i < sql.length) {
+        if (sql[i] === '\\' && quote === '\'') {
+            i += 2;
+            continue;
+        }
+        if (sql[i] === quote) {
+            if (sql[i + 1] === quote) {
+                i += 2;
+                continue;
+            }
+            return i + 1;
+        }
+        i++;
+    }
+    return sql.length;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseDDLSchema, splitSQLStatements, isCreateTableStatement };
+}
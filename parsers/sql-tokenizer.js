@@ -0,0 +1,169 @@
+// SQL Tokenizer
+// Splits SQL text into tokens for the DDL parser (MySQL / PostgreSQL / SQLite)
+
+/**
+ * Tokenize SQL text
+ * Whitespace and comments are dropped. Every token keeps its source offsets so
+ * callers can slice the original text back out (e.g. raw DEFAULT expressions).
+ * @param {string} sql - SQL text
+ * @param {object} options - { dialect: 'mysql' | 'postgresql' | 'sqlite' }
+ * @returns {Array} - Tokens: { type, value, text, start, end }
+ *   type is one of: word, identifier, string, number, punct, operator
+ */
+function tokenizeSQL(sql, options = {}) {
+    const { dialect = 'mysql' } = options;
+    const tokens = [];
+    let i = 0;
+
+    const push = (type, value, start, end) => {
+        tokens.push({ type, value, text: sql.slice(start, end), start, end });
+    };
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        const next = sql[i + 1];
+
+        // Whitespace
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Line comments: -- and MySQL #
+        if ((ch === '-' && next === '-') || (ch === '#' && dialect === 'mysql')) {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end + 1;
+            continue;
+        }
+
+        // Block comments
+        if (ch === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            continue;
+        }
+
+        // String literals, optionally prefixed: N'..', E'..', X'..', B'..'
+        if (ch === '\'' || (/[NnEeXxBb]/.test(ch) && next === '\'' && !isWordChar(sql[i - 1]))) {
+            const start = i;
+            const quoteAt = ch === '\'' ? i : i + 1;
+            const allowBackslash = dialect === 'mysql' || /[Ee]/.test(ch);
+            const { value, end } = readQuoted(sql, quoteAt, '\'', allowBackslash);
+            push('string', value, start, end);
+            i = end;
+            continue;
+        }
+
+        // Quoted identifiers: `name`, "name", and [name] in SQLite
+        if (ch === '`' || ch === '"' || (ch === '[' && dialect === 'sqlite')) {
+            const close = ch === '[' ? ']' : ch;
+            const { value, end } = readQuoted(sql, i, close, false);
+            push('identifier', value, i, end);
+            i = end;
+            continue;
+        }
+
+        // PostgreSQL dollar-quoted strings: $$ ... $$ or $tag$ ... $tag$
+        if (ch === '$') {
+            const tagMatch = sql.slice(i).match(/^\$[A-Za-z_]*\$/);
+            if (tagMatch) {
+                const tag = tagMatch[0];
+                const bodyEnd = sql.indexOf(tag, i + tag.length);
+                const end = bodyEnd === -1 ? sql.length : bodyEnd + tag.length;
+                push('string', sql.slice(i + tag.length, bodyEnd === -1 ? sql.length : bodyEnd), i, end);
+                i = end;
+                continue;
+            }
+        }
+
+        // Numbers: 12, 3.14, .5, 1e10
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+            const match = sql.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+            push('number', match[0], i, i + match[0].length);
+            i += match[0].length;
+            continue;
+        }
+
+        // Words: keywords and unquoted identifiers
+        if (isWordChar(ch)) {
+            let end = i + 1;
+            while (end < sql.length && (isWordChar(sql[end]) || sql[end] === '$')) {
+                end++;
+            }
+            push('word', sql.slice(i, end), i, end);
+            i = end;
+            continue;
+        }
+
+        // Punctuation
+        if ('(),;.[]'.includes(ch)) {
+            push('punct', ch, i, i + 1);
+            i++;
+            continue;
+        }
+
+        // Operators (multi-character first)
+        const operator = sql.slice(i, i + 2);
+        if (['::', '<>', '!=', '<=', '>=', '||', '->'].includes(operator)) {
+            push('operator', operator, i, i + 2);
+            i += 2;
+            continue;
+        }
+
+        push('operator', ch, i, i + 1);
+        i++;
+    }
+
+    return tokens;
+}
+
+// Word characters: letters (any script), digits and underscore
+function isWordChar(ch) {
+    return ch !== undefined && /[\p{L}\p{N}_]/u.test(ch);
+}
+
+// Read a quoted run starting at `start` (the opening quote); doubled quotes escape themselves
+function readQuoted(sql, start, close, allowBackslash) {
+    let value = '';
+    let i = start + 1;
+
+    while (i < sql.length) {
+        const ch = sql[i];
+
+        if (allowBackslash && ch === '\\' && i + 1 < sql.length) {
+            value += unescapeChar(sql[i + 1]);
+            i += 2;
+            continue;
+        }
+
+        if (ch === close) {
+            if (sql[i + 1] === close && close !== ']') {
+                value += close;
+                i += 2;
+                continue;
+            }
+            return { value, end: i + 1 };
+        }
+
+        value += ch;
+        i++;
+    }
+
+    throw new Error(`引号未闭合: ${sql.slice(start, start + 20)}...`);
+}
+
+// Backslash escapes used by MySQL and PostgreSQL E'' strings
+function unescapeChar(ch) {
+    switch (ch) {
+        case 'n': return '\n';
+        case 't': return '\t';
+        case 'r': return '\r';
+        case '0': return '\0';
+        default: return ch;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { tokenizeSQL };
+}
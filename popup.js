@@ -36,6 +36,13 @@
         currentSettings = await Settings.load();
         updateSettingsUI();
 
+        // Type mappings are edited in the full page settings
+        try {
+            TypeMapper.setOverrides(TypeMapper.parseOverrides(currentSettings.typeOverrides));
+        } catch (error) {
+            console.error('Type override error:', error.message);
+        }
+
         // Attach event listeners
         elements.convertBtn.addEventListener('click', handleConvert);
         elements.copyBtn.addEventListener('click', handleCopy);
@@ -195,10 +202,10 @@
         try {
             const structName = currentSettings.structName ||
                 lastParsedData.structName ||
-                snakeToCamel(lastParsedData.tableName);
+                Naming.toGoName(lastParsedData.tableName);
 
             // Determine required imports
-            const imports = getRequiredImports(lastParsedData.fields);
+            const imports = getRequiredImports(lastParsedData.fields, { enums: lastParsedData.enums || [] });
 
             Exporter.exportAsGoFile(
                 lastGeneratedCode,
@@ -292,13 +299,6 @@
         }
     }
 
-    // Utility: snake_case to CamelCase
-    function snakeToCamel(str) {
-        return str.replace(/([-_][a-z])/g, (group) =>
-            group.toUpperCase().replace('-', '').replace('_', '')
-        ).replace(/^[a-z]/, (char) => char.toUpperCase());
-    }
-
     // Start the app
     document.addEventListener('DOMContentLoaded', init);
 
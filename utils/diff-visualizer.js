@@ -0,0 +1,202 @@
+// Diff Visualizer for the Diff workspace
+// Renders both schemas as aligned column tables (old | new) from DiffEngine.compareSchemas
+// and finds the output line a clicked row belongs to
+
+const DiffVisualizer = (function () {
+    'use strict';
+
+    const STATUS_LABELS = {
+        added: '新增',
+        removed: '删除',
+        renamed: '重命名',
+        changed: '修改',
+        moved: '移动',
+        same: '未变'
+    };
+
+    // Attribute columns shown for each side
+    const ATTRIBUTES = [
+        { key: 'type', label: '类型' },
+        { key: 'nullable', label: '可空' },
+        { key: 'defaultValue', label: '默认值' },
+        { key: 'comment', label: '注释' }
+    ];
+
+    /**
+     * Render the comparison into a container
+     * @param {HTMLElement} container - Target element (cleared first)
+     * @param {Array} tables - Result of diffEngine.compareSchemas
+     * @param {Object} options - { showUnchanged, onSelect(table, column) }
+     */
+    function render(container, tables, options = {}) {
+        const { showUnchanged = false, onSelect = null } = options;
+        container.innerHTML = '';
+
+        const visible = tables.filter(table => showUnchanged || table.status !== 'same');
+        if (visible.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'diff-visual-empty';
+            empty.textContent = tables.length === 0 ? '输入两侧 DDL 后显示对比' : '两个 DDL 完全一致';
+            container.appendChild(empty);
+            return;
+        }
+
+        visible.forEach(table => container.appendChild(renderTable(table, onSelect)));
+    }
+
+    function renderTable(table, onSelect) {
+        const section = document.createElement('section');
+        section.className = `diff-visual-table status-${table.status}`;
+
+        const header = document.createElement('div');
+        header.className = 'diff-visual-header';
+        header.appendChild(createBadge(table.status));
+
+        const title = document.createElement('span');
+        title.className = 'diff-visual-title';
+        title.textContent = table.status === 'renamed' ? `${table.targetName} → ${table.name}` : table.name;
+        header.appendChild(title);
+
+        if (table.keysChanged) {
+            const keys = document.createElement('span');
+            keys.className = 'diff-visual-note';
+            keys.textContent = '索引 / 主键 / 外键有变更';
+            header.appendChild(keys);
+        }
+        if (onSelect) {
+            header.addEventListener('click', () => onSelect(table, null));
+        }
+        section.appendChild(header);
+
+        const grid = document.createElement('table');
+        grid.className = 'diff-visual-grid';
+        grid.appendChild(renderHead());
+
+        const body = document.createElement('tbody');
+        table.columns.forEach(column => {
+            const row = renderRow(column);
+            if (onSelect) {
+                row.addEventListener('click', () => onSelect(table, column));
+            }
+            body.appendChild(row);
+        });
+        grid.appendChild(body);
+        section.appendChild(grid);
+
+        return section;
+    }
+
+    function renderHead() {
+        const head = document.createElement('thead');
+        const sides = document.createElement('tr');
+        const attributes = document.createElement('tr');
+
+        ['线上（旧）', '本地（新）'].forEach((label, index) => {
+            const th = document.createElement('th');
+            th.colSpan = ATTRIBUTES.length + 1;
+            th.textContent = label;
+            if (index === 1) th.className = 'side-start';
+            sides.appendChild(th);
+
+            ['列名', ...ATTRIBUTES.map(attr => attr.label)].forEach((text, position) => {
+                const cell = document.createElement('th');
+                cell.textContent = text;
+                if (index === 1 && position === 0) cell.className = 'side-start';
+                attributes.appendChild(cell);
+            });
+        });
+
+        head.appendChild(sides);
+        head.appendChild(attributes);
+        return head;
+    }
+
+    // One aligned row: old column on the left, new column on the right, changed attributes highlighted
+    function renderRow(column) {
+        const row = document.createElement('tr');
+        row.className = `row-${column.status}`;
+        row.title = STATUS_LABELS[column.status];
+
+        [column.target, column.source].forEach((side, index) => {
+            const nameCell = document.createElement('td');
+            nameCell.className = index === 1 ? 'side-start column-name' : 'column-name';
+            nameCell.textContent = side ? column.name : '';
+            row.appendChild(nameCell);
+
+            ATTRIBUTES.forEach(attr => {
+                const cell = document.createElement('td');
+                if (side) {
+                    cell.textContent = formatValue(attr.key, side[attr.key]);
+                    if (column.changes.includes(attr.key)) cell.classList.add('cell-changed');
+                }
+                row.appendChild(cell);
+            });
+        });
+
+        return row;
+    }
+
+    function formatValue(key, value) {
+        if (key === 'nullable') return value ? 'YES' : 'NO';
+        return value || '';
+    }
+
+    function createBadge(status) {
+        const badge = document.createElement('span');
+        badge.className = `badge diff-status-${status}`;
+        badge.textContent = STATUS_LABELS[status];
+        return badge;
+    }
+
+    /**
+     * Find the output line for a table / column
+     * Output is split into blocks at lines that are not indented (statements and their comments);
+     * the first block naming the table wins, preferring the line where the column is the subject
+     * (ADD/MODIFY/DROP COLUMN `c`, "t"."c" in COMMENT ON, or its line in CREATE TABLE) rather than AFTER `c`.
+     * @param {string} text - Diff output
+     * @param {Array} tableNames - Quoted forms that identify the table in the output
+     * @param {string|null} columnName - Quoted column name, or null for the table itself
+     * @returns {number} - 0-based line number, or -1
+     */
+    function findOutputLine(text, tableNames, columnName) {
+        const lines = text.split('\n');
+        const blocks = [];
+
+        lines.forEach((line, index) => {
+            if (blocks.length === 0 || !/^\s/.test(line)) {
+                blocks.push({ start: index, end: index });
+            } else {
+                blocks[blocks.length - 1].end = index;
+            }
+        });
+
+        const isSubject = (line) => columnName && (
+            line.includes(`COLUMN ${columnName}`) ||
+            line.includes(`.${columnName}`) ||
+            line.trimStart().startsWith(columnName));
+
+        let fallback = -1;
+        for (const { start, end } of blocks) {
+            const blockText = lines.slice(start, end + 1).join('\n');
+            if (!tableNames.some(name => blockText.includes(name))) continue;
+
+            if (!columnName) return start;
+            for (let i = start; i <= end; i++) {
+                if (isSubject(lines[i])) return i;
+            }
+            if (fallback === -1) fallback = start;
+        }
+        return fallback;
+    }
+
+    // Public API
+    return {
+        render,
+        findOutputLine
+    };
+})();
+
+// Export for use
+if (typeof window !== 'undefined') {
+    window.DiffVisualizer = DiffVisualizer;
+}
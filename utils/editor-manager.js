@@ -99,10 +99,27 @@ class EditorManager {
         }
     }
 
+    /**
+     * Select a whole line and scroll it to the middle of the editor
+     * @param {string} textareaId 
+     * @param {number} line - 0-based line number
+     */
+    revealLine(textareaId, line) {
+        const editor = this.editors.get(textareaId);
+        if (!editor || line < 0 || line >= editor.lineCount()) return;
+
+        editor.setSelection({ line, ch: 0 }, { line, ch: editor.getLine(line).length });
+        const top = editor.charCoords({ line, ch: 0 }, 'local').top;
+        editor.scrollTo(null, top - editor.getScrollInfo().clientHeight / 2);
+        editor.focus();
+    }
+
     _resolveMode(mode) {
         switch (mode) {
             case 'json':
                 return { name: 'javascript', json: true };
+            case 'typescript':
+                return { name: 'javascript', typescript: true };
             case 'mysql':
             case 'postgresql':
             case 'sqlite':
@@ -1,5 +1,5 @@
 // Export Utility
-// Handles exporting Go struct code to .go files
+// Handles exporting Go struct code to .go files and generated file sets to .zip archives
 
 const Exporter = {
     // Export struct code as a .go file
@@ -8,17 +8,7 @@ const Exporter = {
         let content = `package ${packageName}\n\n`;
 
         // Add imports if any
-        if (imports.length > 0) {
-            if (imports.length === 1) {
-                content += `import "${imports[0]}"\n\n`;
-            } else {
-                content += 'import (\n';
-                for (const imp of imports) {
-                    content += `\t"${imp}"\n`;
-                }
-                content += ')\n\n';
-            }
-        }
+        content += this.buildImportBlock(imports);
 
         // Add struct code
         content += structCode;
@@ -30,6 +20,26 @@ const Exporter = {
         this.triggerDownload(content, filename);
     },
 
+    // Build the import block: standard library first, then third-party packages (e.g. guregu/null), like goimports
+    buildImportBlock(imports) {
+        const unique = Array.from(new Set(imports));
+        if (unique.length === 0) return '';
+        if (unique.length === 1) return `import "${unique[0]}"\n\n`;
+
+        // Third-party import paths start with a domain: github.com/..., gopkg.in/...
+        const isStandard = (path) => !path.split('/')[0].includes('.');
+        const standard = unique.filter(isStandard).sort();
+        const thirdParty = unique.filter(path => !isStandard(path)).sort();
+
+        let block = 'import (\n';
+        block += standard.map(path => `\t"${path}"\n`).join('');
+        if (standard.length > 0 && thirdParty.length > 0) block += '\n';
+        block += thirdParty.map(path => `\t"${path}"\n`).join('');
+        block += ')\n\n';
+
+        return block;
+    },
+
     // Generate filename from struct name
     generateFilename(structName) {
         // Convert CamelCase to snake_case
@@ -41,12 +51,114 @@ const Exporter = {
         return `${snakeCase}.go`;
     },
 
+    // Download generated files ([{ filename, content }]) one by one, e.g. migrations or one class per file
+    exportFiles(files) {
+        files.forEach(file => this.triggerDownload(file.content, file.filename));
+    },
+
+    // Download generated files ([{ filename, content }]) as one .zip archive, e.g. an sqlc project
+    exportAsZip(files, filename) {
+        this.triggerDownload(this.buildZip(files), filename, 'application/zip');
+    },
+
+    /**
+     * Build a zip archive without compression (the generated files are small text files)
+     * @param {object[]} files - [{ filename, content }]
+     * @returns {Uint8Array} - Archive bytes
+     */
+    buildZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.filename);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            // Local file header; flag 0x0800 marks UTF-8 file names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            // Central directory entry
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        for (const part of parts) {
+            zip.set(part, position);
+            position += part.length;
+        }
+        return zip;
+    },
+
+    // CRC-32 of the zip entries; the lookup table is built on first use
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (const byte of data) {
+            crc = this.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
     // Trigger browser download
-    triggerDownload(content, filename) {
+    triggerDownload(content, filename, type = 'text/plain') {
         // Check if we're in browser extension context
         if (typeof chrome !== 'undefined' && chrome.downloads) {
             // Use Chrome Downloads API
-            const blob = new Blob([content], { type: 'text/plain' });
+            const blob = new Blob([content], { type });
             const url = URL.createObjectURL(blob);
 
             chrome.downloads.download({
@@ -59,7 +171,7 @@ const Exporter = {
             });
         } else {
             // Fallback: use regular download link
-            const blob = new Blob([content], { type: 'text/plain' });
+            const blob = new Blob([content], { type });
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
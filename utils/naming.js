@@ -0,0 +1,168 @@
+// Naming Utility
+// Central place for turning JSON keys and column names into Go identifiers
+// Follows golint: common initialisms keep one case (user_id -> UserID, api_url -> APIURL)
+
+const Naming = {
+    // golint's commonInitialisms
+    commonInitialisms: new Set([
+        'ACL', 'API', 'ASCII', 'CPU', 'CSS', 'DNS', 'EOF', 'GUID', 'HTML', 'HTTP', 'HTTPS', 'ID',
+        'IP', 'JSON', 'LHS', 'QPS', 'RAM', 'RHS', 'RPC', 'SLA', 'SMTP', 'SQL', 'SSH', 'TCP', 'TLS',
+        'TTL', 'UDP', 'UI', 'UID', 'UUID', 'URI', 'URL', 'UTF8', 'VM', 'XML', 'XMPP', 'XSRF', 'XSS'
+    ]),
+
+    // User initialisms: upper-cased word -> spelling to emit (GRPC -> GRPC, OAUTH -> OAuth), see setCustomInitialisms
+    customInitialisms: new Map(),
+
+    goKeywords: new Set([
+        'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough',
+        'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range',
+        'return', 'select', 'struct', 'switch', 'type', 'var'
+    ]),
+
+    /**
+     * Split a name into words
+     * user_name, user-name, user.name, "user name", userName, HTTPServer, APIURL, userIDs, utf8Value
+     * Letters outside ASCII are kept: café_id -> café id, 名称 -> 名称
+     * @param {string} name - Key or column name
+     * @returns {string[]} - Words in their original case
+     */
+    splitWords(name) {
+        return String(name || '')
+            .replace(/([\p{Ll}\d])(\p{Lu})/gu, '$1 $2')
+            // HTTPServer -> HTTP Server, while plural initialisms stay whole: IDs, URLs
+            .replace(/([A-Z]+)([A-Z][a-z]+)/g, (match, run, word) => word === `${word[0]}s` ? match : `${run} ${word}`)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean)
+            .flatMap(word => /^[A-Z\d]{4,}$/.test(word) ? this.splitInitialisms(word) : [word]);
+    },
+
+    // An upper-case run made only of initialisms: APIURL -> API URL; anything else stays one word
+    splitInitialisms(word) {
+        const initialisms = [...this.commonInitialisms, ...this.customInitialisms.keys()]
+            .sort((a, b) => b.length - a.length);
+        const parts = [];
+        let rest = word;
+
+        while (rest) {
+            const initialism = initialisms.find(candidate => rest.startsWith(candidate));
+            if (!initialism) return [word];
+            parts.push(initialism);
+            rest = rest.slice(initialism.length);
+        }
+        return parts;
+    },
+
+    /**
+     * Exported Go identifier: user_id -> UserID, api-url -> APIURL, userIDs -> UserIDs, 2fa_code -> Num2faCode, 名称 -> X名称
+     * @param {string} name - Key or column name
+     * @returns {string} - Go name ('' when the name has no letters or digits: callers supply a placeholder such as Field1)
+     */
+    toGoName(name) {
+        const goName = this.splitWords(name).map(word => this.toGoWord(word)).join('');
+        if (/^\d/.test(goName)) {
+            return `Num${goName}`;
+        }
+        // Letters without case would leave the field unexported, and encoding/json skips unexported fields
+        return goName && !/^\p{Lu}/u.test(goName) ? `X${goName}` : goName;
+    },
+
+    /**
+     * Go name not taken yet by another field: UserID, then UserID2, UserID3, ... (user_id, userId and user-id all map to UserID)
+     * @param {string} goName - Candidate name
+     * @param {Set} used - Names already taken; the returned name is added to it
+     * @returns {string} - Unique Go name
+     */
+    uniqueName(goName, used) {
+        let unique = goName;
+        for (let n = 2; used.has(unique); n++) {
+            unique = `${goName}${n}`;
+        }
+        used.add(unique);
+        return unique;
+    },
+
+    /**
+     * Unexported Go identifier for variables and parameters: UserID -> userID, URLPath -> urlPath, type -> type_
+     * @param {string} name - Key, column or Go name
+     * @returns {string} - Go name
+     */
+    toGoLowerName(name) {
+        const [first = '', ...rest] = this.splitWords(name);
+        // An initialism at the start is lower-cased as a whole (ID -> id, OAuth -> oauth)
+        const goFirst = this.toGoWord(first);
+        const head = goFirst === first.charAt(0).toUpperCase() + first.slice(1).toLowerCase()
+            ? first.toLowerCase()
+            : goFirst.toLowerCase();
+        const goName = head + rest.map(word => this.toGoWord(word)).join('');
+        return this.escapeKeyword(/^\d/.test(goName) ? `num${goName}` : goName);
+    },
+
+    // UserID -> user_id, HTTPServer -> http_server, userIDs -> user_ids
+    toSnakeCase(name) {
+        return this.splitWords(name).map(word => word.toLowerCase()).join('_');
+    },
+
+    // JSON-style lower camel case without initialisms: user_id -> userId, APIURL -> apiUrl
+    toCamelCase(name) {
+        return this.splitWords(name)
+            .map((word, index) => index === 0
+                ? word.toLowerCase()
+                : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join('');
+    },
+
+    // Go keywords cannot be used as identifiers: type -> type_
+    escapeKeyword(name) {
+        return this.goKeywords.has(name) ? `${name}_` : name;
+    },
+
+    // One word in Go spelling: initialisms (and their plurals) upper-cased, other words capitalized
+    toGoWord(word) {
+        const upper = word.toUpperCase();
+        const initialism = this.findInitialism(upper);
+        if (initialism) {
+            return initialism;
+        }
+
+        if (word.length > 2 && word.endsWith('s')) {
+            const singular = this.findInitialism(upper.slice(0, -1));
+            if (singular) return `${singular}s`;
+        }
+
+        return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    },
+
+    findInitialism(upper) {
+        if (this.customInitialisms.has(upper)) {
+            return this.customInitialisms.get(upper);
+        }
+        return this.commonInitialisms.has(upper) ? upper : null;
+    },
+
+    /**
+     * Replace the user initialisms
+     * @param {string[]} initialisms - Words as they should be written, e.g. ['GRPC', 'OAuth']
+     */
+    setCustomInitialisms(initialisms) {
+        this.customInitialisms = new Map((initialisms || []).map(word => [word.toUpperCase(), word]));
+    },
+
+    /**
+     * Parse the settings text: words separated by commas, spaces or new lines
+     * @param {string} text - e.g. "GRPC, OAuth"
+     * @returns {string[]} - Words
+     */
+    parseInitialisms(text) {
+        const words = String(text || '').split(/[\s,，;]+/).filter(Boolean);
+        const invalid = words.find(word => !/^[A-Za-z][A-Za-z0-9]*$/.test(word));
+        if (invalid) {
+            throw new Error(`无效的缩写词: ${invalid}`);
+        }
+        return words;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Naming };
+}
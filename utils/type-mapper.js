@@ -1,90 +1,46 @@
 // Type Mapper Utility
 // Central place for all database type to Go type mappings
+// Every DDL parser and the Proto generator resolve types here; user overrides take precedence
 
 const TypeMapper = {
-    // MySQL type mappings
-    mysql: {
-        'TINYINT(1)': 'bool',
-        'TINYINT': 'int64',
-        'SMALLINT': 'int64',
-        'MEDIUMINT': 'int64',
-        'INT': 'int64',
-        'INTEGER': 'int64',
-        'BIGINT': 'int64',
-        'VARCHAR': 'string',
-        'CHAR': 'string',
-        'TEXT': 'string',
-        'TINYTEXT': 'string',
-        'MEDIUMTEXT': 'string',
-        'LONGTEXT': 'string',
-        'FLOAT': 'float64',
-        'DOUBLE': 'float64',
-        'DECIMAL': 'float64',
-        'NUMERIC': 'float64',
-        'DATE': 'time.Time',
-        'DATETIME': 'time.Time',
-        'TIMESTAMP': 'time.Time',
-        'TIME': 'time.Time',
-        'YEAR': 'int',
-        'JSON': 'json.RawMessage',
-        'BLOB': '[]byte',
-        'BINARY': '[]byte',
-        'VARBINARY': '[]byte',
-        'ENUM': 'string',
-        'SET': 'string'
-    },
+    // Built-in rules per database, checked in order against the upper-cased column type
+    // (e.g. "TINYINT(1)", "CHARACTER VARYING(100)"). `unsigned` is used for UNSIGNED columns when given.
+    mysql: [
+        { pattern: /^TINYINT\(1\)/, go: 'bool', unsigned: 'uint8' },
+        { pattern: /^TINYINT/, go: 'int8', unsigned: 'uint8' },
+        { pattern: /^SMALLINT/, go: 'int16', unsigned: 'uint16' },
+        // MEDIUMINT is 24-bit, fits in 32-bit int
+        { pattern: /^MEDIUMINT/, go: 'int', unsigned: 'uint' },
+        { pattern: /^(INT|INTEGER)/, go: 'int', unsigned: 'uint' },
+        { pattern: /^BIGINT/, go: 'int64', unsigned: 'uint64' },
+        { pattern: /^(VARCHAR|CHAR|TEXT|TINYTEXT|MEDIUMTEXT|LONGTEXT)/, go: 'string' },
+        { pattern: /^(FLOAT|DOUBLE|DECIMAL|NUMERIC)/, go: 'float64' },
+        { pattern: /^(DATE|DATETIME|TIMESTAMP|TIME)/, go: 'time.Time' },
+        { pattern: /^JSON/, go: 'json.RawMessage' },
+        { pattern: /^(BLOB|BINARY|VARBINARY)/, go: '[]byte' }
+    ],
 
-    // PostgreSQL type mappings
-    postgresql: {
-        'SMALLINT': 'int64',
-        'INTEGER': 'int64',
-        'INT': 'int64',
-        'BIGINT': 'int64',
-        'SERIAL': 'int64',
-        'BIGSERIAL': 'int64',
-        'SMALLSERIAL': 'int',
-        'BOOLEAN': 'bool',
-        'BOOL': 'bool',
-        'VARCHAR': 'string',
-        'CHAR': 'string',
-        'CHARACTER': 'string',
-        'TEXT': 'string',
-        'UUID': 'string',
-        'REAL': 'float64',
-        'DOUBLE PRECISION': 'float64',
-        'NUMERIC': 'float64',
-        'DECIMAL': 'float64',
-        'DATE': 'time.Time',
-        'TIME': 'time.Time',
-        'TIMESTAMP': 'time.Time',
-        'TIMESTAMPTZ': 'time.Time',
-        'JSON': 'json.RawMessage',
-        'JSONB': 'json.RawMessage',
-        'BYTEA': '[]byte'
-    },
+    // PostgreSQL type mappings (arrays are handled by mapToGo)
+    postgresql: [
+        { pattern: /^BOOLEAN|BOOL$/, go: 'bool' },
+        { pattern: /^(SMALLINT|INT|INTEGER|BIGINT|SERIAL|BIGSERIAL|SMALLSERIAL)/, go: 'int64' },
+        { pattern: /^(VARCHAR|CHAR|TEXT|CHARACTER)/, go: 'string' },
+        { pattern: /^UUID/, go: 'string' },
+        { pattern: /^(REAL|DOUBLE\s+PRECISION|NUMERIC|DECIMAL)/, go: 'float64' },
+        { pattern: /^(DATE|TIME|TIMESTAMP|TIMESTAMPTZ)/, go: 'time.Time' },
+        { pattern: /^(JSON|JSONB)/, go: 'json.RawMessage' },
+        { pattern: /^BYTEA/, go: '[]byte' }
+    ],
 
     // SQLite type mappings (based on type affinity)
-    sqlite: {
-        'INTEGER': 'int64',
-        'INT': 'int64',
-        'TINYINT': 'int64',
-        'SMALLINT': 'int64',
-        'MEDIUMINT': 'int64',
-        'BIGINT': 'int64',
-        'TEXT': 'string',
-        'CHAR': 'string',
-        'VARCHAR': 'string',
-        'CLOB': 'string',
-        'REAL': 'float64',
-        'FLOAT': 'float64',
-        'DOUBLE': 'float64',
-        'NUMERIC': 'float64',
-        'DECIMAL': 'float64',
-        'BOOLEAN': 'bool',
-        'DATE': 'string',
-        'DATETIME': 'string',
-        'BLOB': '[]byte'
-    },
+    sqlite: [
+        { pattern: /INT/, go: 'int64' },
+        { pattern: /CHAR|CLOB|TEXT/, go: 'string' },
+        { pattern: /BLOB/, go: '[]byte' },
+        { pattern: /REAL|FLOA|DOUB/, go: 'float64' },
+        // NUMERIC affinity (could be int or float, default to float64)
+        { pattern: /NUMERIC|DECIMAL|BOOLEAN|DATE|DATETIME/, go: 'float64' }
+    ],
 
     // JSON type mappings
     json: {
@@ -96,6 +52,280 @@ const TypeMapper = {
         'null': 'interface{}',
         'object': 'struct',
         'array': '[]interface{}'
+    },
+
+    // Go type to Protocol Buffer type
+    proto: {
+        'string': 'string',
+        'bool': 'bool',
+        'int': 'int32',
+        'int8': 'int32',
+        'int16': 'int32',
+        'int32': 'int32',
+        'int64': 'int64',
+        'uint': 'uint32',
+        'uint8': 'uint32',
+        'uint16': 'uint32',
+        'uint32': 'uint32',
+        'uint64': 'uint64',
+        'float32': 'float',
+        'float64': 'double',
+        '[]byte': 'bytes',
+        'json.RawMessage': 'bytes',
+        'time.Time': 'google.protobuf.Timestamp',
+        'interface{}': 'string'  // Fallback for null/unknown types
+    },
+
+    // Go type to column type, per database (used when generating DDL from Go structs)
+    // Follows GORM's migrator: int is 64-bit, time.Time keeps milliseconds in MySQL
+    sql: {
+        mysql: {
+            'bool': 'tinyint(1)',
+            'int8': 'tinyint', 'int16': 'smallint', 'int32': 'int', 'rune': 'int', 'int': 'bigint', 'int64': 'bigint',
+            'uint8': 'tinyint unsigned', 'byte': 'tinyint unsigned', 'uint16': 'smallint unsigned',
+            'uint32': 'int unsigned', 'uint': 'bigint unsigned', 'uint64': 'bigint unsigned',
+            'float32': 'float', 'float64': 'double',
+            'string': 'longtext',
+            'time.Time': 'datetime(3)',
+            '[]byte': 'longblob',
+            'json.RawMessage': 'json'
+        },
+        postgresql: {
+            'bool': 'boolean',
+            'int8': 'smallint', 'int16': 'smallint', 'int32': 'integer', 'rune': 'integer', 'int': 'bigint', 'int64': 'bigint',
+            'uint8': 'smallint', 'byte': 'smallint', 'uint16': 'integer',
+            'uint32': 'bigint', 'uint': 'bigint', 'uint64': 'bigint',
+            'float32': 'real', 'float64': 'double precision',
+            'string': 'text',
+            'time.Time': 'timestamptz',
+            '[]byte': 'bytea',
+            'json.RawMessage': 'jsonb'
+        },
+        sqlite: {
+            'bool': 'numeric',
+            'int8': 'integer', 'int16': 'integer', 'int32': 'integer', 'rune': 'integer', 'int': 'integer', 'int64': 'integer',
+            'uint8': 'integer', 'byte': 'integer', 'uint16': 'integer', 'uint32': 'integer', 'uint': 'integer', 'uint64': 'integer',
+            'float32': 'real', 'float64': 'real',
+            'string': 'text',
+            'time.Time': 'datetime',
+            '[]byte': 'blob',
+            'json.RawMessage': 'text'
+        }
+    },
+
+    // Wrapper types that only add NULL handling, mapped to the Go type they carry
+    nullableWrappers: {
+        'sql.NullString': 'string', 'sql.NullBool': 'bool', 'sql.NullByte': 'uint8',
+        'sql.NullInt16': 'int16', 'sql.NullInt32': 'int32', 'sql.NullInt64': 'int64',
+        'sql.NullFloat64': 'float64', 'sql.NullTime': 'time.Time',
+        'null.String': 'string', 'null.Bool': 'bool', 'null.Int': 'int64', 'null.Int32': 'int32',
+        'null.Int16': 'int16', 'null.Byte': 'uint8', 'null.Float': 'float64', 'null.Time': 'time.Time',
+        'gorm.DeletedAt': 'time.Time'
+    },
+
+    // Library types stored like a built-in one
+    goAliases: {
+        'datatypes.JSON': 'json.RawMessage',
+        'datatypes.Date': 'time.Time'
+    },
+
+    // Import paths of package qualifiers used in generated Go types
+    packages: {
+        'time': 'time',
+        'json': 'encoding/json',
+        'sql': 'database/sql',
+        'null': 'github.com/guregu/null/v5'
+    },
+
+    // User overrides: [{ dbType, sqlType, goType, importPath }], see setOverrides
+    overrides: [],
+
+    /**
+     * Map a database column type to a Go type
+     * @param {string} dbType - 'mysql' | 'postgresql' | 'sqlite'
+     * @param {string} sqlType - Column type as written, e.g. "decimal(10,2)", "integer[]"
+     * @param {object} options - { unsigned }
+     * @returns {string} - Go type
+     */
+    mapToGo(dbType, sqlType, options = {}) {
+        const { unsigned = false } = options;
+        const type = sqlType.toUpperCase().trim();
+
+        // Array types (checked first so INTEGER[] is not matched as INTEGER)
+        if (/\[\]$/.test(type)) {
+            return `[]${this.mapToGo(dbType, type.replace(/\[\]$/, ''), options)}`;
+        }
+
+        const override = this.findOverride(dbType, type, unsigned);
+        if (override) {
+            return override.goType;
+        }
+
+        const rules = this[dbType] || this.mysql;
+        const rule = rules.find(r => r.pattern.test(type));
+        if (rule) {
+            return unsigned && rule.unsigned ? rule.unsigned : rule.go;
+        }
+
+        // Default to string
+        return 'string';
+    },
+
+    /**
+     * Map a Go type to a Protocol Buffer type
+     * @param {string} goType - Go type
+     * @param {object} options - { numericIntType, numericFloatType }
+     * @returns {string} - Protocol Buffer type; custom (nested message) types are returned as-is
+     */
+    mapGoToProto(goType, options = {}) {
+        const { numericIntType = 'int32', numericFloatType = 'float' } = options;
+        const type = goType.replace(/^\*/, '');
+
+        // JSON numbers keep the configurable defaults
+        if (type === 'int') return numericIntType;
+        if (type === 'float64') return numericFloatType;
+
+        if (this.proto[type]) {
+            return this.proto[type];
+        }
+
+        // Qualified types from overrides (decimal.Decimal, uuid.UUID, ...) travel as strings
+        if (type.includes('.')) {
+            return 'string';
+        }
+
+        return type;
+    },
+
+    /**
+     * Import path needed by a Go type, or null
+     * e.g. "*time.Time" -> "time", "[]decimal.Decimal" -> "github.com/shopspring/decimal"
+     * @param {string} goType - Go type
+     * @returns {string|null}
+     */
+    getImportPath(goType) {
+        const match = goType.replace(/^[*\[\]]+/, '').match(/^(\w+)\./);
+        if (!match) return null;
+
+        const override = this.overrides.find(o => o.goType.startsWith(`${match[1]}.`));
+        if (override && override.importPath) return override.importPath;
+
+        return this.packages[match[1]] || null;
+    },
+
+    /**
+     * Map a Go type to a column type (reverse of mapToGo)
+     * Overrides are honored in reverse: "DECIMAL = decimal.Decimal" turns decimal.Decimal back into DECIMAL.
+     * @param {string} dbType - 'mysql' | 'postgresql' | 'sqlite'
+     * @param {string} goType - Go type without pointer / NULL wrappers (see unwrapGoType)
+     * @returns {string|null} - Column type, or null when the type has no column equivalent (structs, slices)
+     */
+    mapGoToSQL(dbType, goType) {
+        const override = this.overrides.find(o => o.goType === goType && (!o.dbType || o.dbType === dbType));
+        if (override) {
+            return override.sqlType.toLowerCase();
+        }
+
+        const types = this.sql[dbType] || this.sql.mysql;
+        return types[goType] || null;
+    },
+
+    /**
+     * Strip pointers and NULL wrapper types: "*string" -> string, "sql.NullInt64" / "sql.Null[int64]" -> int64
+     * @param {string} goType - Go type as declared
+     * @returns {object} - { goType, nullable }
+     */
+    unwrapGoType(goType) {
+        const pointer = goType.startsWith('*');
+        const type = goType.replace(/^\*+/, '');
+        if (this.nullableWrappers[type]) {
+            return { goType: this.nullableWrappers[type], nullable: true };
+        }
+        const generic = type.match(/^sql\.Null\[(.+)\]$/);
+        if (generic) {
+            return { goType: this.goAliases[generic[1]] || generic[1], nullable: true };
+        }
+        return { goType: this.goAliases[type] || type, nullable: pointer };
+    },
+
+    // Find the most specific override: exact type ("TINYINT(1)") before base name ("TINYINT"),
+    // database-specific before generic
+    findOverride(dbType, type, unsigned) {
+        if (this.overrides.length === 0) return null;
+
+        const exact = type.replace(/\s+/g, ' ');
+        const base = exact.replace(/\s*\(.*?\)/g, '');
+        const candidates = unsigned
+            ? [`${exact} UNSIGNED`, `${base} UNSIGNED`, exact, base]
+            : [exact, base];
+
+        for (const key of candidates) {
+            const matches = this.overrides.filter(o => o.sqlType === key && (!o.dbType || o.dbType === dbType));
+            if (matches.length > 0) {
+                return matches.find(o => o.dbType) || matches[0];
+            }
+        }
+        return null;
+    },
+
+    // Replace the active overrides (from Settings.typeOverrides)
+    setOverrides(overrides) {
+        this.overrides = overrides || [];
+    },
+
+    /**
+     * Parse override text, one mapping per line:
+     *   DECIMAL = github.com/shopspring/decimal.Decimal
+     *   postgresql:UUID = github.com/google/uuid.UUID
+     *   JSON -> gorm.io/datatypes.JSON
+     *   BIGINT UNSIGNED = uint64
+     * Lines starting with # are comments.
+     * @param {string} text - Override text
+     * @returns {Array} - [{ dbType, sqlType, goType, importPath }]
+     */
+    parseOverrides(text) {
+        const overrides = [];
+        const lines = (text || '').split('\n');
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = line.match(/^(?:(mysql|postgresql|sqlite)\s*:\s*)?([^=>]+?)\s*(?:=|->)\s*(\S+)$/i);
+            if (!match) {
+                throw new Error(`类型映射第 ${index + 1} 行格式错误: ${line}`);
+            }
+
+            overrides.push({
+                dbType: match[1] ? match[1].toLowerCase() : null,
+                sqlType: match[2].toUpperCase().replace(/\s+/g, ' '),
+                ...this.splitQualifiedType(match[3])
+            });
+        });
+
+        return overrides;
+    },
+
+    // "github.com/shopspring/decimal.Decimal" -> { goType: "decimal.Decimal", importPath: "github.com/shopspring/decimal" }
+    // The package name skips major version suffixes: ".../null/v5.String" and "gopkg.in/guregu/null.v4.String" -> "null.String"
+    splitQualifiedType(qualified) {
+        const prefix = qualified.match(/^[*\[\]]*/)[0];
+        const type = qualified.slice(prefix.length);
+        const lastDot = type.lastIndexOf('.');
+
+        if (!type.includes('/') || lastDot === -1) {
+            return { goType: qualified, importPath: null };
+        }
+
+        const importPath = type.slice(0, lastDot);
+        const segments = importPath.split('/');
+        let packageName = segments[segments.length - 1];
+        if (/^v\d+$/.test(packageName) && segments.length > 1) {
+            packageName = segments[segments.length - 2];
+        }
+        packageName = packageName.replace(/\.v\d+$/, '').replace(/[^\w]/g, '_');
+
+        return { goType: `${prefix}${packageName}.${type.slice(lastDot + 1)}`, importPath };
     }
 };
 